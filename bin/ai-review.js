@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Headless code review for terminals, pre-commit hooks and CI (see src/cli.js)
+import { runCli } from '../src/cli.js';
+
+const controller = new AbortController();
+process.once('SIGINT', () => {
+    process.stderr.write('Interrupted; reporting the files reviewed so far...\n');
+    controller.abort();
+});
+
+process.exitCode = await runCli(process.argv.slice(2), { signal: controller.signal });
@@ -0,0 +1,130 @@
+import { matchGlob } from './glob.js';
+import { hashContent } from './reviewCache.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Background review of saved files. Saves are debounced per file, content whose hash
+ * was already reviewed is skipped, and at most maxPerHour reviews are started in any
+ * rolling hour. Free of the VS Code API: the extension feeds it saved documents and
+ * supplies review(document, signal), which resolves to the review, or to null when it
+ * skipped the file without sending a request.
+ */
+export class AutoReviewScheduler {
+    constructor(review, outputChannel = null, { knownHash = () => null } = {}) {
+        this.review = review;
+        this.outputChannel = outputChannel;
+        // knownHash(filePath): hash of the last reviewed content from elsewhere (e.g. the history)
+        this.knownHash = knownHash;
+        this.timers = new Map();
+        // filePath -> AbortController of the review in flight
+        this.running = new Map();
+        this.reviewedHashes = new Map();
+        this.timestamps = [];
+        this.budgetNoticeShown = false;
+        this.configure({});
+    }
+
+    /**
+     * settings: { enabled, debounceMs, maxPerHour, include: [globs], languages: [ids] };
+     * empty include / languages lists mean every reviewable file
+     */
+    configure({ enabled = false, debounceMs = 2000, maxPerHour = 20, include = [], languages = [] }) {
+        this.enabled = enabled;
+        this.debounceMs = debounceMs;
+        this.maxPerHour = maxPerHour;
+        this.include = include;
+        this.languages = languages;
+        if (!enabled) this.cancelAll();
+    }
+
+    /**
+     * Is the file in scope? relativePath is matched against the include globs.
+     */
+    matches(relativePath, languageId) {
+        if (this.languages.length > 0 && !this.languages.includes(languageId)) return false;
+        return this.include.length === 0 || this.include.some(glob => matchGlob(relativePath, glob));
+    }
+
+    /**
+     * A document was saved: (re)start its debounce timer. relativePath is used for the
+     * include globs.
+     */
+    schedule(document, relativePath) {
+        if (!this.enabled || !this.matches(relativePath, document.languageId)) return;
+
+        const filePath = document.uri.fsPath;
+        clearTimeout(this.timers.get(filePath));
+        this.timers.set(filePath, setTimeout(() => {
+            this.timers.delete(filePath);
+            this._run(document);
+        }, this.debounceMs));
+    }
+
+    /**
+     * Reviews left in the current rolling hour
+     */
+    remainingBudget() {
+        const now = Date.now();
+        this.timestamps = this.timestamps.filter(t => now - t < HOUR_MS);
+        return Math.max(0, this.maxPerHour - this.timestamps.length);
+    }
+
+    async _run(document) {
+        if (!this.enabled || document.isClosed) return;
+
+        const filePath = document.uri.fsPath;
+        const hash = hashContent(document.getText());
+        if (hash === this.reviewedHashes.get(filePath) || hash === this.knownHash(filePath)) return;
+
+        if (this.remainingBudget() === 0) {
+            if (!this.budgetNoticeShown) {
+                const resumes = new Date(this.timestamps[0] + HOUR_MS).toLocaleTimeString();
+                this.outputChannel && this.outputChannel.appendLine(`⏸️ Auto-review budget of ${this.maxPerHour} reviews per hour used up; saves are reviewed again from ${resumes}.`);
+                this.budgetNoticeShown = true;
+            }
+            return;
+        }
+        this.budgetNoticeShown = false;
+
+        // A newer save of the same file supersedes the review in flight
+        const previous = this.running.get(filePath);
+        if (previous) previous.abort();
+        const controller = new AbortController();
+        this.running.set(filePath, controller);
+
+        const started = Date.now();
+        this.timestamps.push(started);
+        try {
+            const review = await this.review(document, controller.signal);
+            // Skipped files and cache hits made no request, so they don't use up the budget
+            if (!review || review.cached) {
+                this.timestamps = this.timestamps.filter(t => t !== started);
+            }
+            // Only remember content that is still current (and was reviewed in full)
+            if (review && !controller.signal.aborted && !review.partial && hashContent(document.getText()) === hash) {
+                this.reviewedHashes.set(filePath, hash);
+            }
+        } catch (err) {
+            if (!controller.signal.aborted) {
+                this.outputChannel && this.outputChannel.appendLine(`❌ Auto-review of ${filePath} failed: ${err.message}`);
+            }
+        } finally {
+            if (this.running.get(filePath) === controller) this.running.delete(filePath);
+        }
+    }
+
+    /**
+     * Drop pending saves and abort reviews in flight
+     */
+    cancelAll() {
+        for (const timer of this.timers.values()) clearTimeout(timer);
+        this.timers.clear();
+        for (const controller of this.running.values()) controller.abort();
+        this.running.clear();
+    }
+
+    dispose() {
+        this.cancelAll();
+    }
+}
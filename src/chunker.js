@@ -0,0 +1,129 @@
+/**
+ * Splits large files into chunks along top-level declarations so each part can be
+ * reviewed (and fixed) on its own. Chunks keep their original line numbers and
+ * share the file's imports as context.
+ */
+
+/**
+ * Rough token estimate (about 4 characters per token for code)
+ */
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+const IMPORT_PATTERNS = [
+    /^\s*import\s/,                               // JS/TS, Python, Java
+    /^\s*(?:const|let|var)\s+.*=\s*require\(/,    // CommonJS
+    /^\s*from\s+\S+\s+import\s/,                  // Python
+    /^\s*#\s*include\s/,                          // C/C++
+    /^\s*(?:using|package)\s+[\w.]+\s*;?\s*$/,    // C#, Java
+    /^\s*@import\s/                               // CSS/LESS
+];
+
+// A line that starts a new top-level declaration (no indentation)
+const DECLARATION_PATTERN = /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\b|class\b|interface\b|type\s+\w+\s*=|enum\b|const\s+\w+|let\s+\w+|var\s+\w+|def\s|@\w+|(?:public|private|protected|static|abstract|final)\b|(?:[\w<>[\]*&:]+\s+)+\w+\s*\([^;]*$)/;
+
+/**
+ * Import / include lines of a file as { line, text } (1-based line numbers)
+ */
+export function extractImports(code) {
+    const imports = [];
+    const lines = String(code).split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        if (IMPORT_PATTERNS.some(re => re.test(lines[i]))) {
+            imports.push({ line: i + 1, text: lines[i] });
+        }
+    }
+    return imports;
+}
+
+/**
+ * 1-based line numbers where top-level declarations start, found by indentation.
+ * Comment / decorator lines directly above a declaration belong to it.
+ */
+export function findDeclarationStarts(code) {
+    const lines = String(code).split('\n');
+    const starts = [];
+    for (let i = 0; i < lines.length; i++) {
+        if (!DECLARATION_PATTERN.test(lines[i])) continue;
+        const previous = starts.length > 0 ? starts[starts.length - 1] : 0;
+        let start = i;
+        while (start > previous && /^\s*(?:\/\/|\/\*|\*|#|@)/.test(lines[start - 1])) {
+            start--;
+        }
+        if (start + 1 > previous) {
+            starts.push(start + 1);
+        }
+    }
+    return starts;
+}
+
+/**
+ * Split code into chunks of at most maxTokens (estimated).
+ *
+ * options:
+ * - maxTokens: size limit per chunk
+ * - symbols: optional top-level symbol ranges [{ startLine, endLine }] (1-based), e.g. from
+ *   the editor's document symbol provider; used instead of the indentation heuristic
+ *
+ * Returns [{ startLine, endLine, text }] covering every line exactly once.
+ */
+export function chunkCode(code, { maxTokens = 6000, symbols = null } = {}) {
+    const lines = String(code).split('\n');
+    const starts = symbols && symbols.length > 0
+        ? [...new Set(symbols.map(s => s.startLine))].sort((a, b) => a - b)
+        : findDeclarationStarts(code);
+
+    // Segments run from one declaration start to the next; the preamble is a segment too
+    const boundaries = [1, ...starts.filter(line => line > 1 && line <= lines.length), lines.length + 1];
+    const segments = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        if (boundaries[i + 1] > boundaries[i]) {
+            segments.push(...splitOversized(lines, boundaries[i], boundaries[i + 1] - 1, maxTokens));
+        }
+    }
+
+    // Greedily pack consecutive segments into chunks
+    const chunks = [];
+    let current = null;
+    for (const segment of segments) {
+        const segmentTokens = estimateTokens(lines.slice(segment.start - 1, segment.end).join('\n'));
+        if (current && current.tokens + segmentTokens <= maxTokens) {
+            current.endLine = segment.end;
+            current.tokens += segmentTokens;
+        } else {
+            if (current) chunks.push(current);
+            current = { startLine: segment.start, endLine: segment.end, tokens: segmentTokens };
+        }
+    }
+    if (current) chunks.push(current);
+
+    return chunks.map(({ startLine, endLine }) => ({
+        startLine,
+        endLine,
+        text: lines.slice(startLine - 1, endLine).join('\n')
+    }));
+}
+
+/**
+ * Break a segment that alone exceeds maxTokens, preferring blank lines as cut points
+ */
+function splitOversized(lines, start, end, maxTokens) {
+    const parts = [];
+    let partStart = start;
+    let tokens = 0;
+    let lastBlank = -1;
+    for (let line = start; line <= end; line++) {
+        tokens += estimateTokens(lines[line - 1] + '\n');
+        if (lines[line - 1].trim() === '') lastBlank = line;
+        if (tokens > maxTokens && line > partStart) {
+            const cut = lastBlank > partStart ? lastBlank : line - 1;
+            parts.push({ start: partStart, end: cut });
+            partStart = cut + 1;
+            tokens = estimateTokens(lines.slice(partStart - 1, line).join('\n'));
+            lastBlank = -1;
+        }
+    }
+    if (partStart <= end) parts.push({ start: partStart, end });
+    return parts;
+}
@@ -0,0 +1,402 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { GeminiReviewer } from './geminiReviewer.js';
+import { FileScanner } from './fileScanner.js';
+import { PROVIDERS, createProvider, isAbortError } from './providers/index.js';
+import { SEVERITIES, formatIssue, sortIssues } from './reviewSchema.js';
+import { ReviewCache } from './reviewCache.js';
+import { JobPool, RateLimiter } from './jobPool.js';
+import { buildSarif } from './sarif.js';
+import { ProjectConfig, formatConfigError } from './projectConfig.js';
+
+/**
+ * Exit codes of `ai-review`
+ */
+export const EXIT_CODES = {
+    ok: 0,
+    findings: 1,
+    error: 2,
+    interrupted: 130
+};
+
+export const OUTPUT_FORMATS = ['text', 'json', 'sarif'];
+
+// Checked in order; AI_REVIEW_API_KEY works for every provider
+const API_KEY_ENV = {
+    google: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+    openai: ['OPENAI_API_KEY'],
+    custom: ['OPENAI_API_KEY']
+};
+
+const USAGE = `Usage: ai-review [options] [paths...]
+
+Reviews files and directories (default: the current directory) with the same
+scanner, prompts and parsing as the VS Code extension.
+
+Options:
+  --format <text|json|sarif>  Output format (default: text)
+  --fail-on <severity>        Exit with 1 when a finding is at least this severe:
+                              critical, high, medium, low or none (default: the
+                              project config's failOn, else high)
+  --provider <id>             ${Object.keys(PROVIDERS).join(', ')} (default: $AI_REVIEW_PROVIDER or google)
+  --model <name>              Model to use (default: the provider's default)
+  --base-url <url>            Server URL for OpenAI-compatible providers
+  --concurrency <n>           Files reviewed at the same time (default: 4)
+  --rpm <n>                   Requests per minute, 0 for no limit (default: 30)
+  --max-files <n>             Stop scanning after this many files (default: 500)
+  --cache-dir <dir>           Reuse reviews of unchanged files stored in this directory
+  --verbose                   Log tool calls and retries to stderr
+  -h, --help                  Show this help
+
+A .aireviewer.json / .aireviewer.yml in the current directory adds include and
+exclude globs, review instructions and other project settings.
+
+The API key is read from AI_REVIEW_API_KEY, or depending on the provider from
+GEMINI_API_KEY / GOOGLE_API_KEY (google) or OPENAI_API_KEY (openai, custom).
+
+Exit codes: 0 no findings at or above --fail-on, 1 such findings exist,
+2 usage error or a file could not be reviewed, 130 interrupted.`;
+
+/**
+ * Parse command-line arguments; throws on unknown options or invalid values
+ */
+export function parseCliArgs(argv, env = process.env) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'text' },
+            'fail-on': { type: 'string' },
+            provider: { type: 'string', default: env.AI_REVIEW_PROVIDER || 'google' },
+            model: { type: 'string' },
+            'base-url': { type: 'string' },
+            concurrency: { type: 'string', default: '4' },
+            rpm: { type: 'string', default: '30' },
+            'max-files': { type: 'string', default: '500' },
+            'cache-dir': { type: 'string' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const format = values.format.toLowerCase();
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${values.format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    if (!PROVIDERS[values.provider]) {
+        throw new Error(`Unknown provider "${values.provider}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const integer = (name, min) => {
+        const value = Number(values[name]);
+        if (!Number.isInteger(value) || value < min) {
+            throw new Error(`--${name} must be a whole number of at least ${min}`);
+        }
+        return value;
+    };
+
+    return {
+        paths: positionals.length > 0 ? positionals : ['.'],
+        format,
+        // undefined: use the project config's failOn
+        threshold: values['fail-on'] === undefined ? undefined : parseThreshold(values['fail-on']),
+        provider: values.provider,
+        model: values.model,
+        baseUrl: values['base-url'],
+        concurrency: integer('concurrency', 1),
+        requestsPerMinute: integer('rpm', 0),
+        maxFiles: integer('max-files', 1),
+        cacheDir: values['cache-dir'],
+        verbose: values.verbose,
+        help: values.help
+    };
+}
+
+/**
+ * Severity a --fail-on value stands for; null for "none"
+ */
+export function parseThreshold(value) {
+    const failOn = value.toLowerCase();
+    const threshold = SEVERITIES.find(s => s.toLowerCase() === failOn) || null;
+    if (!threshold && failOn !== 'none') {
+        throw new Error(`Unknown severity "${value}" for --fail-on`);
+    }
+    return threshold;
+}
+
+/**
+ * API key for a provider from the environment, or undefined
+ */
+export function apiKeyFromEnv(provider, env = process.env) {
+    for (const name of ['AI_REVIEW_API_KEY', ...(API_KEY_ENV[provider] || [])]) {
+        if (env[name]) return env[name];
+    }
+    return undefined;
+}
+
+/**
+ * Expand the given paths into reviewable files (directories are scanned,
+ * files are kept if the scanner would review them)
+ */
+export async function collectFiles(paths, cwd, maxFiles) {
+    const files = [];
+    const missing = [];
+    for (const input of paths) {
+        const absPath = path.resolve(cwd, input);
+        let stats;
+        try {
+            stats = await fs.stat(absPath);
+        } catch (err) {
+            missing.push(input);
+            continue;
+        }
+
+        if (stats.isDirectory()) {
+            files.push(...await FileScanner.scanDirectory(absPath, null, maxFiles - files.length));
+        } else if (FileScanner.shouldReviewFile(absPath)) {
+            files.push(absPath);
+        }
+        if (files.length >= maxFiles) break;
+    }
+    return { files: [...new Set(files)].slice(0, maxFiles), missing };
+}
+
+/**
+ * Count issues per severity
+ */
+export function countBySeverity(results) {
+    const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+    for (const { review } of results) {
+        for (const issue of review.issues) counts[issue.severity]++;
+    }
+    return counts;
+}
+
+/**
+ * Count issues per team rule id ({} when no finding is tagged with a rule)
+ */
+export function countByRule(results) {
+    const counts = {};
+    for (const { review } of results) {
+        for (const issue of review.issues) {
+            if (issue.ruleId) counts[issue.ruleId] = (counts[issue.ruleId] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Whether any finding is at least as severe as `threshold` (null never fails)
+ */
+export function exceedsThreshold(results, threshold) {
+    if (!threshold) return false;
+    const limit = SEVERITIES.indexOf(threshold);
+    return results.some(({ review }) => review.issues.some(issue => SEVERITIES.indexOf(issue.severity) <= limit));
+}
+
+export function formatText({ results, failed, counts, ruleCounts = {}, interrupted }) {
+    const lines = [];
+    for (const { file, review } of results) {
+        if (review.issues.length === 0) continue;
+        lines.push(`${file}${review.partial ? ' (partially reviewed)' : ''}`);
+        for (const issue of sortIssues(review.issues)) {
+            lines.push(`  ${formatIssue(issue)}`);
+            if (issue.explanation && issue.explanation !== issue.title) {
+                lines.push(`    ${issue.explanation.split('\n').join('\n    ')}`);
+            }
+        }
+        lines.push('');
+    }
+
+    for (const { file, error } of failed) {
+        lines.push(`${file}: review failed: ${error}`);
+    }
+
+    const total = SEVERITIES.reduce((sum, s) => sum + counts[s], 0);
+    const breakdown = SEVERITIES.filter(s => counts[s] > 0).map(s => `${counts[s]} ${s.toLowerCase()}`).join(', ');
+    lines.push(`${total} finding(s)${breakdown ? ` (${breakdown})` : ''} in ${results.length} file(s)${failed.length > 0 ? `, ${failed.length} failed` : ''}${interrupted ? ', interrupted' : ''}.`);
+    const rules = Object.entries(ruleCounts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (rules.length > 0) {
+        lines.push(`Team rules: ${rules.map(([id, count]) => `${id} ${count}`).join(', ')}.`);
+    }
+    return lines.join('\n');
+}
+
+export function formatJson({ model, threshold, results, failed, counts, ruleCounts = {}, interrupted }) {
+    return JSON.stringify({
+        model,
+        failOn: threshold || 'none',
+        interrupted,
+        counts,
+        ruleCounts,
+        files: results.map(({ file, review }) => ({
+            path: file,
+            summary: review.summary,
+            partial: !!review.partial,
+            cached: !!review.cached,
+            issues: sortIssues(review.issues).map(({ id, title, severity, category, ruleId, startLine, endLine, explanation, replacement }) =>
+                ({ id, title, severity, category, ruleId, startLine, endLine, explanation, replacement }))
+        })),
+        failed
+    }, null, 2);
+}
+
+export function formatSarif({ model, results, failed }, { cwd, toolVersion, teamRules = [] }) {
+    return JSON.stringify(buildSarif(
+        results.map(({ file, review }) => ({ filePath: path.resolve(cwd, file), findings: review.issues })),
+        {
+            baseDir: cwd,
+            model,
+            toolVersion,
+            teamRules,
+            failures: failed.map(({ file, error }) => ({ filePath: path.resolve(cwd, file), message: error }))
+        }
+    ), null, 2);
+}
+
+/**
+ * Version from package.json, for tool metadata
+ */
+async function packageVersion() {
+    try {
+        const pkg = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf-8'));
+        return pkg.version;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Run the CLI; resolves to the process exit code.
+ * io: { env, cwd, stdout, stderr, signal } — stdout/stderr take whole lines
+ */
+export async function runCli(argv, {
+    env = process.env,
+    cwd = process.cwd(),
+    stdout = line => process.stdout.write(line + '\n'),
+    stderr = line => process.stderr.write(line + '\n'),
+    signal = null
+} = {}) {
+    let options;
+    try {
+        options = parseCliArgs(argv, env);
+    } catch (err) {
+        stderr(`ai-review: ${err.message}`);
+        stderr('Run "ai-review --help" for usage.');
+        return EXIT_CODES.error;
+    }
+
+    if (options.help) {
+        stdout(USAGE);
+        return EXIT_CODES.ok;
+    }
+
+    const project = await ProjectConfig.load(cwd);
+    if (project.errors.length > 0) {
+        stderr(`ai-review: invalid project config ${path.relative(cwd, project.file)}:`);
+        project.errors.forEach(error => stderr(`  ${formatConfigError(error)}`));
+        return EXIT_CODES.error;
+    }
+    ProjectConfig.use([project.config]);
+    if (options.threshold === undefined) {
+        options.threshold = parseThreshold((project.config && project.config.failOn) || 'high');
+    }
+
+    const apiKey = apiKeyFromEnv(options.provider, env);
+    if (!apiKey && PROVIDERS[options.provider].requiresApiKey) {
+        stderr(`ai-review: no API key. Set AI_REVIEW_API_KEY or ${API_KEY_ENV[options.provider].join(' / ')}.`);
+        return EXIT_CODES.error;
+    }
+
+    const log = { appendLine: line => options.verbose && stderr(line) };
+    const reviewer = new GeminiReviewer(log);
+    try {
+        reviewer.setProvider(createProvider({ provider: options.provider, apiKey, baseUrl: options.baseUrl, model: options.model }));
+    } catch (err) {
+        stderr(`ai-review: ${err.message}`);
+        return EXIT_CODES.error;
+    }
+    // Tool calls may look around the current directory but never outside it
+    reviewer.setSandboxOptions({ roots: [cwd] });
+    if (options.cacheDir) {
+        reviewer.setCache(new ReviewCache(path.resolve(cwd, options.cacheDir)));
+    }
+    const rateLimiter = new RateLimiter(options.requestsPerMinute);
+    reviewer.setRateLimiter(rateLimiter);
+
+    const { files, missing } = await collectFiles(options.paths, cwd, options.maxFiles);
+    if (missing.length > 0) {
+        stderr(`ai-review: not found: ${missing.join(', ')}`);
+        return EXIT_CODES.error;
+    }
+    if (files.length === 0) {
+        stderr('ai-review: no reviewable files found.');
+        return EXIT_CODES.ok;
+    }
+
+    const relative = file => path.relative(cwd, file) || path.basename(file);
+    const controller = new AbortController();
+    if (signal) {
+        signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    stderr(`Reviewing ${files.length} file(s) with ${reviewer.provider.label}...`);
+    const pool = new JobPool({
+        concurrency: options.concurrency,
+        rateLimiter,
+        onRetry: (file, error, attempt, delay) => {
+            stderr(`${relative(file)}: ${error.message}; retry ${attempt} in ${Math.round(delay / 1000)}s`);
+        }
+    });
+
+    const results = [];
+    const failed = [];
+    let settled = 0;
+    await pool.run(files, async (file) => {
+        const code = await fs.readFile(file, 'utf-8');
+        return reviewer.reviewCode(file, code, { signal: controller.signal });
+    }, {
+        isCancelled: () => controller.signal.aborted,
+        onSettled: ({ item: file, value, error }) => {
+            if (error && isAbortError(error)) return;
+            settled++;
+            if (error) {
+                failed.push({ file: relative(file), error: error.message });
+                stderr(`[${settled}/${files.length}] ${relative(file)}: failed (${error.message})`);
+            } else {
+                results.push({ file: relative(file), review: value });
+                stderr(`[${settled}/${files.length}] ${relative(file)}: ${value.issues.length} finding(s)${value.cached ? ' (cached)' : ''}`);
+            }
+        }
+    });
+
+    // Keep the output stable regardless of completion order
+    results.sort((a, b) => a.file.localeCompare(b.file));
+    failed.sort((a, b) => a.file.localeCompare(b.file));
+
+    const interrupted = controller.signal.aborted;
+    const report = {
+        model: reviewer.provider.label,
+        threshold: options.threshold,
+        results,
+        failed,
+        counts: countBySeverity(results),
+        ruleCounts: countByRule(results),
+        interrupted
+    };
+    if (options.format === 'sarif') {
+        stdout(formatSarif(report, {
+            cwd,
+            toolVersion: await packageVersion(),
+            teamRules: project.config ? project.config.rules : []
+        }));
+    } else {
+        stdout(options.format === 'json' ? formatJson(report) : formatText(report));
+    }
+
+    if (interrupted) return EXIT_CODES.interrupted;
+    if (failed.length > 0) return EXIT_CODES.error;
+    return exceedsThreshold(results, options.threshold) ? EXIT_CODES.findings : EXIT_CODES.ok;
+}
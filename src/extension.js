@@ -4,6 +4,25 @@ import path from 'path';
 import { promises as fsp } from 'fs';
 import { GeminiReviewer } from './geminiReviewer.js';
 import { FileScanner } from './fileScanner.js';
+import { SEVERITIES, formatIssue, sortIssues } from './reviewSchema.js';
+import { ReviewDiagnostics } from './reviewDiagnostics.js';
+import { ReviewCodeActionProvider, computeMergedEdits } from './reviewCodeActions.js';
+import { FixPreviewManager, PROPOSED_SCHEME } from './fixPreview.js';
+import { createProvider, isAbortError } from './providers/index.js';
+import { getAutoReviewSettings, getCacheSettings, getChunkingSettings, getConcurrencySettings, getProviderSettings, getGenerationSettings, getRedactionSettings, getRelatedContextSettings, getToolSandboxSettings } from './settings.js';
+import { GitDiff } from './gitDiff.js';
+import { diffLines, mapLine } from './lineDiff.js';
+import { FINDING_STATUSES, ReviewHistory } from './reviewHistory.js';
+import { FindingsTreeProvider } from './findingsTreeProvider.js';
+import { ReviewCache, hashContent } from './reviewCache.js';
+import { JobPool, RateLimiter } from './jobPool.js';
+import { estimateTokens } from './chunker.js';
+import { buildSarif } from './sarif.js';
+import { createReport, renderHtml, renderMarkdown } from './reviewReport.js';
+import { PROJECT_CONFIG_FILES, ProjectConfig, formatConfigError } from './projectConfig.js';
+import { IgnoreRules } from './ignoreRules.js';
+import { AutoReviewScheduler } from './autoReview.js';
+import { activeRoot, folderOf, getWorkspaceRoots, groupByRoot, pickWorkspaceRoot, pickWorkspaceRoots, resolveInWorkspace } from './workspaceRoots.js';
 
 // Import the SidebarProvider from the separate file (single source of truth)
 import { SidebarProvider } from './sidebarProvider.js';
@@ -11,9 +30,20 @@ import { SidebarProvider } from './sidebarProvider.js';
 let outputChannel;
 let geminiReviewer;
 let sidebarProvider = null; // ✨ NEW: Store sidebar reference for status updates
-
-// Cancellation token source for the currently running review (if any)
+let reviewDiagnostics = null; // Problems panel entries for review findings
+let fixPreview = null; // Diff previews of proposed fixes
+let reviewHistory = null; // Past reviews of this workspace (persisted)
+let findingsTree = null; // "Findings" tree view data
+let findingsTreeView = null;
+let reviewCache = null; // Reviews of unchanged content, reused instead of calling the API
+let rateLimiter = null; // Requests-per-minute limit shared by all API calls
+let failedReviewFiles = []; // Files whose last batch review failed
+let autoReviewer = null; // Background reviews of saved files (opt-in)
+
+// AbortController of the currently running review (if any); aborting it stops its requests
 let currentReviewCancellation = null;
+// Id of the latest review command, stored with its runs (see ReviewHistory.getLastSessionFiles)
+let currentReviewSession = null;
 // Status bar cancel button (created on activation)
 let cancelStatusBarItem = null;
 
@@ -23,9 +53,55 @@ let cancelStatusBarItem = null;
 export function activate(context) {
     console.log('AI Code Reviewer extension is now active');
 
+    FileScanner.setConfigProvider((key, defaultValue) => vscode.workspace.getConfiguration('aiCodeReviewer').get(key, defaultValue));
+
     // Create output channel for logging
     outputChannel = vscode.window.createOutputChannel('AI Code Reviewer');
     geminiReviewer = new GeminiReviewer(outputChannel);
+    reviewDiagnostics = new ReviewDiagnostics();
+    context.subscriptions.push(
+        reviewDiagnostics,
+        vscode.languages.registerCodeActionsProvider(
+            { scheme: 'file' },
+            new ReviewCodeActionProvider(reviewDiagnostics),
+            { providedCodeActionKinds: ReviewCodeActionProvider.providedCodeActionKinds }
+        )
+    );
+
+    // Committed .aireviewer.json / .yml files, reloaded whenever they change
+    loadProjectConfigs();
+    const configWatcher = vscode.workspace.createFileSystemWatcher(`{${PROJECT_CONFIG_FILES.join(',')}}`);
+    configWatcher.onDidCreate(() => loadProjectConfigs());
+    configWatcher.onDidChange(() => loadProjectConfigs());
+    configWatcher.onDidDelete(() => loadProjectConfigs());
+    context.subscriptions.push(
+        configWatcher,
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            loadProjectConfigs();
+            if (findingsTree) findingsTree.refresh();
+        })
+    );
+
+    fixPreview = new FixPreviewManager(outputChannel);
+    context.subscriptions.push(
+        fixPreview,
+        vscode.workspace.registerTextDocumentContentProvider(PROPOSED_SCHEME, fixPreview)
+    );
+
+    // Model / generation settings apply immediately, without reloading the window
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('aiCodeReviewer')) {
+                geminiReviewer.setGenerationSettings(getGenerationSettings());
+                if (autoReviewer) {
+                    autoReviewer.configure(getAutoReviewSettings());
+                }
+                if (sidebarProvider) {
+                    sidebarProvider.refresh();
+                }
+            }
+        })
+    );
 
     // Create a cancel status bar item (hidden by default)
     cancelStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
@@ -41,12 +117,48 @@ export function activate(context) {
         vscode.window.registerWebviewViewProvider('aiCodeReviewer.sidebar', sidebarProvider)
     );
 
-    // Command: Set API Key
+    // Findings tree backed by the persisted review history
+    reviewHistory = new ReviewHistory((context.storageUri || context.globalStorageUri).fsPath);
+    findingsTree = new FindingsTreeProvider(reviewHistory);
+    findingsTreeView = vscode.window.createTreeView('aiCodeReviewer.findings', {
+        treeDataProvider: findingsTree,
+        showCollapseAll: true
+    });
+    context.subscriptions.push(findingsTreeView);
+    reviewHistory.load().then(() => findingsTree.refresh());
+
+    registerFindingsCommands(context);
+
+    reviewCache = new ReviewCache((context.storageUri || context.globalStorageUri).fsPath);
+    reviewCache.configure(getCacheSettings());
+    reviewCache.evict();
+
+    rateLimiter = new RateLimiter(getConcurrencySettings().requestsPerMinute);
+    geminiReviewer.setRateLimiter(rateLimiter);
+
+    // Opt-in background review of saved files
+    autoReviewer = new AutoReviewScheduler(
+        (document, signal) => autoReviewFile(document, context, signal),
+        outputChannel,
+        { knownHash: filePath => (reviewHistory.getLatest(filePath) || {}).hash }
+    );
+    autoReviewer.configure(getAutoReviewSettings());
+    context.subscriptions.push(
+        autoReviewer,
+        vscode.workspace.onDidSaveTextDocument(document => {
+            if (document.uri.scheme === 'file') {
+                autoReviewer.schedule(document, vscode.workspace.asRelativePath(document.uri, false));
+            }
+        })
+    );
+
+    // Command: Set API Key (for the currently selected provider)
     const setApiKeyCommand = vscode.commands.registerCommand(
         'ai-code-reviewer.setApiKey',
         async () => {
+            const { info } = getProviderSettings();
             const apiKey = await vscode.window.showInputBox({
-                prompt: 'Enter your Gemini API Key',
+                prompt: `Enter your ${info.label} API Key${info.requiresApiKey ? '' : ' (optional for local servers)'}`,
                 password: true,
                 placeHolder: 'sk-...',
                 ignoreFocusOut: true
@@ -54,12 +166,14 @@ export function activate(context) {
 
             if (apiKey !== undefined) {
                 if (apiKey === '') {
-                    await context.secrets.delete('gemini-api-key');
-                    vscode.window.showInformationMessage('✅ Gemini API Key cleared.');
+                    await context.secrets.delete(info.secretKey);
+                    vscode.window.showInformationMessage(`✅ ${info.label} API Key cleared.`);
                 } else {
-                    await context.secrets.store('gemini-api-key', apiKey);
-                    vscode.window.showInformationMessage('✅ Gemini API Key saved securely!');
-                    geminiReviewer.setApiKey(apiKey);
+                    await context.secrets.store(info.secretKey, apiKey);
+                    vscode.window.showInformationMessage(`✅ ${info.label} API Key saved securely!`);
+                }
+                if (sidebarProvider) {
+                    sidebarProvider.refresh();
                 }
             }
         }
@@ -78,6 +192,56 @@ export function activate(context) {
         }
     );
 
+    // Command: Review Selection (or the function around the cursor), from the editor context menu
+    const reviewSelectionCommand = vscode.commands.registerTextEditorCommand('ai-code-reviewer.reviewSelection', async (editor) => {
+        await reviewSelection(editor, context);
+    });
+
+    // Commands: Re-review ignoring the review cache
+    const forceReviewCurrentFileCommand = vscode.commands.registerCommand('ai-code-reviewer.forceReviewCurrentFile', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showWarningMessage('No active file to review');
+            return;
+        }
+        await reviewFile(editor.document, context, { force: true });
+    });
+    const forceReviewWorkspaceCommand = vscode.commands.registerCommand('ai-code-reviewer.forceReviewWorkspace', async () => {
+        await reviewWorkspace(context, { force: true });
+    });
+
+    // Command: Retry the files that failed in the last batch review
+    const retryFailedCommand = vscode.commands.registerCommand('ai-code-reviewer.retryFailedReviews', async () => {
+        if (failedReviewFiles.length === 0) {
+            vscode.window.showInformationMessage('No failed reviews to retry.');
+            return;
+        }
+        if (!(await configureReviewer(context))) {
+            return;
+        }
+
+        const files = failedReviewFiles;
+        if (sidebarProvider) {
+            sidebarProvider.updateReviewStatus(true);
+        }
+        outputChannel.show(true);
+        outputChannel.appendLine('\n' + '='.repeat(80));
+        outputChannel.appendLine(`🔁 RETRYING ${files.length} FAILED FILE(S)`);
+        outputChannel.appendLine('='.repeat(80));
+        await reviewFileList(files, context, {
+            title: `Retrying ${files.length} failed files...`,
+            sessionTitle: 'Retry of failed reviews',
+            completionMessage: count => `✅ Reviewed ${count} of ${files.length} previously failed files.`
+        });
+    });
+
+    // Command: Clear Review Cache
+    const clearReviewCacheCommand = vscode.commands.registerCommand('ai-code-reviewer.clearReviewCache', async () => {
+        const { entries } = await reviewCache.stats();
+        await reviewCache.clear();
+        vscode.window.showInformationMessage(`Review cache cleared (${entries} entries).`);
+    });
+
     // Command: Review Multiple Files in Workspace
     const reviewWorkspaceCommand = vscode.commands.registerCommand(
         'ai-code-reviewer.reviewWorkspace',
@@ -91,8 +255,7 @@ export function activate(context) {
         'ai-code-reviewer.reviewPath',
         async (inputPathArg) => {
             try {
-                const workspaceFolders = vscode.workspace.workspaceFolders;
-                const workspaceRoot = workspaceFolders && workspaceFolders[0] ? workspaceFolders[0].uri.fsPath : undefined;
+                const defaultRoot = activeRoot();
 
                 // If an arg was provided (from sidebar), use it; otherwise ask user
                 let inputPath = inputPathArg;
@@ -104,7 +267,9 @@ export function activate(context) {
 
                     if (choice === 'Type path') {
                         inputPath = await vscode.window.showInputBox({
-                            prompt: 'Enter a file or directory path (relative to workspace or absolute). You can use ../ to go up.',
+                            prompt: getWorkspaceRoots().length > 1
+                                ? 'Enter a file or directory path (relative to a workspace folder, optionally starting with the folder name, or absolute). You can use ../ to go up.'
+                                : 'Enter a file or directory path (relative to workspace or absolute). You can use ../ to go up.',
                             placeHolder: 'src/index.js or ../other-project/src'
                         });
                         if (!inputPath) return;
@@ -113,23 +278,19 @@ export function activate(context) {
                             canSelectFiles: true,
                             canSelectFolders: true,
                             canSelectMany: false,
-                            defaultUri: workspaceRoot ? vscode.Uri.file(workspaceRoot) : undefined
+                            defaultUri: defaultRoot ? defaultRoot.uri : undefined
                         });
                         if (!uris || uris.length === 0) return;
                         inputPath = uris[0].fsPath;
                     }
                 }
 
-                // Resolve path relative to workspace if not absolute
-                let resolvedPath;
-                if (workspaceRoot && !path.isAbsolute(inputPath)) {
-                    resolvedPath = path.resolve(workspaceRoot, inputPath);
-                } else {
-                    resolvedPath = path.resolve(inputPath);
-                }
+                // Resolve relative paths against the workspace folder that has them
+                const resolvedPath = await resolveInWorkspace(inputPath);
+                if (!resolvedPath) return;
 
-                // If resolved path is outside workspace, ask for confirmation
-                if (workspaceRoot && !resolvedPath.startsWith(workspaceRoot)) {
+                // If resolved path is outside every workspace folder, ask for confirmation
+                if (getWorkspaceRoots().length > 0 && !folderOf(resolvedPath)) {
                     const confirm = await vscode.window.showWarningMessage(
                         `The path is outside the workspace: ${resolvedPath}. This will allow the extension to read files outside your project. Proceed?`,
                         'Proceed',
@@ -156,28 +317,7 @@ export function activate(context) {
                         outputChannel.appendLine('='.repeat(80));
                         outputChannel.appendLine('');
 
-                        // Attempt to use FileScanner.scanDirectory if available; otherwise use fallback
-                        let files = [];
-                        if (typeof FileScanner.scanDirectory === 'function') {
-                            try {
-                                const maybe = await FileScanner.scanDirectory(resolvedPath);
-                                if (Array.isArray(maybe)) {
-                                    files = maybe;
-                                } else {
-                                    files = [];
-                                    await FileScanner.scanDirectory(resolvedPath, files, 1000, 0);
-                                }
-                            } catch (err) {
-                                outputChannel.appendLine(`⚠️ FileScanner.scanDirectory failed: ${err.message}. Falling back to internal scanner.`);
-                                files = [];
-                            }
-                        }
-
-                        if (files.length === 0) {
-                            const maxFiles = 1000;
-                            files = await scanDirectoryFallback(resolvedPath, maxFiles);
-                        }
-
+                        const files = await collectDirectoryFiles(resolvedPath);
                         if (files.length === 0) {
                             vscode.window.showInformationMessage('No files found to review in the specified directory.');
                             // ✨ ADDED: Update sidebar on early exit
@@ -187,103 +327,11 @@ export function activate(context) {
                             return;
                         }
 
-                        const cts = new vscode.CancellationTokenSource();
-                        currentReviewCancellation = cts;
-                        cancelStatusBarItem.show();
-
-                        let reviewedCount = 0;
-                        let applyAll = false;
-                        await vscode.window.withProgress({
-                            location: vscode.ProgressLocation.Notification,
+                        await reviewFileList(files, context, {
                             title: `Reviewing ${files.length} files from selected path...`,
-                            cancellable: true
-                        }, async (progress, token) => {
-                            for (let i = 0; i < files.length; i++) {
-                                if (token.isCancellationRequested || cts.token.isCancellationRequested) {
-                                    outputChannel.appendLine('\n⚠️ Review cancelled by user.');
-                                    break;
-                                }
-
-                                const filePath = files[i];
-                                try {
-                                    const document = await vscode.workspace.openTextDocument(filePath);
-                                    outputChannel.appendLine(`\n📁 File ${i + 1}/${files.length}: ${filePath.split(/[\\/]/).pop()}`);
-                                    outputChannel.appendLine('-'.repeat(80));
-                                    const code = document.getText();
-
-                                    if (token.isCancellationRequested || cts.token.isCancellationRequested) {
-                                        outputChannel.appendLine('Cancellation requested before sending to API.');
-                                        break;
-                                    }
-
-                                    const review = await geminiReviewer.reviewCode(filePath, code);
-                                    outputChannel.appendLine(review.summary || String(review));
-
-                                    if (review.suggestions && review.suggestions.length > 0) {
-                                        outputChannel.appendLine('\n💡 SUGGESTIONS:\n');
-                                        review.suggestions.forEach((s, idx) => {
-                                            outputChannel.appendLine(`${idx + 1}. ${s}`);
-                                        });
-                                    }
-
-                                    const autoFixAvailable =
-                                        review.canAutoFix ||
-                                        (Array.isArray(review.suggestions) && review.suggestions.length > 0);
-
-                                    if (autoFixAvailable) {
-                                        let applyChoice = null;
-                                        if (!applyAll) {
-                                            applyChoice = await vscode.window.showInformationMessage(
-                                                `Auto-fix available for ${path.basename(filePath)}. Apply fixes?`,
-                                                'Apply Fixes',
-                                                'Skip',
-                                                'Apply All'
-                                            );
-                                        } else {
-                                            applyChoice = 'Apply Fixes';
-                                        }
-
-                                        if (applyChoice === 'Apply Fixes' || applyAll) {
-                                            try {
-                                                await applyFixesToFile(document, review, context);
-                                                outputChannel.appendLine(`✅ Applied fixes to ${filePath}`);
-                                            } catch (err) {
-                                                outputChannel.appendLine(`❌ Failed to apply fixes to ${filePath}: ${err.message}`);
-                                            }
-                                        } else if (applyChoice === 'Apply All') {
-                                            applyAll = true;
-                                            try {
-                                                await applyFixesToFile(document, review, context);
-                                                outputChannel.appendLine(`✅ Applied fixes to ${filePath} (Apply All mode)`);
-                                            } catch (err) {
-                                                outputChannel.appendLine(`❌ Failed to apply fixes to ${filePath}: ${err.message}`);
-                                            }
-                                        } else {
-                                            outputChannel.appendLine(`⏭️ Skipped applying fixes for ${filePath}`);
-                                        }
-                                    }
-
-                                    reviewedCount++;
-                                } catch (err) {
-                                    outputChannel.appendLine(`❌ Skipping ${filePath}: ${err.message}`);
-                                }
-                                progress.report({ increment: (100 / files.length) });
-                            }
+                            sessionTitle: `Review of ${vscode.workspace.asRelativePath(resolvedPath)}`,
+                            completionMessage: count => `✅ Reviewed ${count} files from the selected path. Check output panel for details.`
                         });
-
-                        cts.dispose();
-                        currentReviewCancellation = null;
-                        cancelStatusBarItem.hide();
-
-                        // ✨ ADDED: Notify sidebar review complete
-                        if (sidebarProvider) {
-                            sidebarProvider.updateReviewStatus(false);
-                        }
-
-                        outputChannel.appendLine('\n' + '='.repeat(80));
-                        outputChannel.appendLine(`✅ Review complete! Reviewed ${reviewedCount} files (or fewer if skipped).`);
-                        outputChannel.appendLine('='.repeat(80));
-                        vscode.window.showInformationMessage(`✅ Reviewed ${reviewedCount} files from the selected path. Check output panel for details.`);
                     } else if (stat.isFile()) {
                         const document = await vscode.workspace.openTextDocument(vscode.Uri.file(resolvedPath));
                         await reviewFile(document, context);
@@ -308,11 +356,63 @@ export function activate(context) {
         }
     );
 
+    // Command: "AI Review" from the Explorer, editor title and SCM context menus (multi-select)
+    const reviewResourcesCommand = vscode.commands.registerCommand('ai-code-reviewer.reviewResources', async (...args) => {
+        await reviewResources(args, context);
+    });
+
+    // Commands: Review only what changed in git
+    const reviewStagedCommand = vscode.commands.registerCommand('ai-code-reviewer.reviewStagedChanges', async () => {
+        await reviewGitChanges(context, 'staged');
+    });
+    const reviewBranchCommand = vscode.commands.registerCommand('ai-code-reviewer.reviewChangesVsBranch', async () => {
+        await reviewGitChanges(context, 'branch');
+    });
+    const reviewLastCommitCommand = vscode.commands.registerCommand('ai-code-reviewer.reviewLastCommit', async () => {
+        await reviewGitChanges(context, 'lastCommit');
+    });
+
+    // Command: Show the audit log of the model's tool calls
+    const showToolAuditLogCommand = vscode.commands.registerCommand('ai-code-reviewer.showToolAuditLog', async () => {
+        try {
+            const document = await vscode.workspace.openTextDocument(getToolAuditLogPath(context));
+            await vscode.window.showTextDocument(document, { preview: false });
+        } catch (err) {
+            vscode.window.showInformationMessage('No tool calls have been logged yet.');
+        }
+    });
+
+    // Command: Show what was redacted before sending code to the model (values are never shown)
+    const showRedactionReportCommand = vscode.commands.registerCommand('ai-code-reviewer.showRedactionReport', async () => {
+        const report = geminiReviewer.redactor.getReport();
+        if (report.length === 0) {
+            vscode.window.showInformationMessage('Nothing has been redacted in this session.');
+            return;
+        }
+
+        const rows = report.map(entry => {
+            const sources = entry.sources.map(src => path.isAbsolute(src) ? vscode.workspace.asRelativePath(src) : src);
+            return `| \`${entry.placeholder}\` | ${entry.kind} | ${entry.rule} | ${entry.count} | ${sources.join(', ')} |`;
+        });
+        const content = [
+            '# Redaction Report',
+            '',
+            `${report.length} distinct value(s) were replaced with placeholders before being sent to the model this session.`,
+            '',
+            '| Placeholder | Kind | Rule | Times | Sources |',
+            '| --- | --- | --- | --- | --- |',
+            ...rows
+        ].join('\n');
+
+        const document = await vscode.workspace.openTextDocument({ language: 'markdown', content });
+        await vscode.window.showTextDocument(document, { preview: false });
+    });
+
     // Command: Cancel Review (programmatic)
     const cancelCommand = vscode.commands.registerCommand('ai-code-reviewer.cancelReview', () => {
         if (currentReviewCancellation) {
             try {
-                currentReviewCancellation.cancel();
+                currentReviewCancellation.abort();
                 vscode.window.showInformationMessage('Review cancellation requested.');
                 // ✨ ADDED: Update sidebar when review cancelled
                 if (sidebarProvider) {
@@ -326,6 +426,37 @@ export function activate(context) {
         }
     });
 
+    // Command: Remove all review findings from the Problems panel
+    const clearDiagnosticsCommand = vscode.commands.registerCommand('ai-code-reviewer.clearDiagnostics', () => {
+        reviewDiagnostics.clear();
+    });
+
+    // Command: Apply every targeted AI fix in the active file
+    const fixAllInFileCommand = vscode.commands.registerCommand('ai-code-reviewer.fixAllInFile', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showWarningMessage('No active file to fix');
+            return;
+        }
+
+        const action = new ReviewCodeActionProvider(reviewDiagnostics).createFixAllAction(editor.document);
+        if (!action) {
+            vscode.window.showInformationMessage('No AI findings with a targeted fix in this file.');
+            return;
+        }
+        await vscode.workspace.applyEdit(action.edit);
+    });
+
+    // Commands: Accept / reject proposed fixes shown in the diff preview
+    const acceptFixCommand = vscode.commands.registerCommand('ai-code-reviewer.acceptFix', (uri) => fixPreview.accept(uri));
+    const acceptFixHunkCommand = vscode.commands.registerCommand('ai-code-reviewer.acceptFixHunk', (uri) => fixPreview.acceptHunk(uri));
+    const rejectFixCommand = vscode.commands.registerCommand('ai-code-reviewer.rejectFix', (uri) => fixPreview.reject(uri));
+    const reviewQueuedFixesCommand = vscode.commands.registerCommand('ai-code-reviewer.reviewQueuedFixes', async () => {
+        if (!(await fixPreview.openNext())) {
+            vscode.window.showInformationMessage('No queued fixes to review.');
+        }
+    });
+
     // Command: Open GitHub issues page (report bug or feedback)
     const reportIssueCommand = vscode.commands.registerCommand('ai-code-reviewer.reportIssue', async () => {
         const repoIssueUrl = 'https://github.com/Maayank18/ai-code-reviewer/issues/new';
@@ -335,34 +466,401 @@ export function activate(context) {
     context.subscriptions.push(
         setApiKeyCommand,
         reviewCurrentFileCommand,
+        reviewSelectionCommand,
         reviewWorkspaceCommand,
+        forceReviewCurrentFileCommand,
+        forceReviewWorkspaceCommand,
+        clearReviewCacheCommand,
+        retryFailedCommand,
         reviewPathCommand,
+        reviewResourcesCommand,
+        reviewStagedCommand,
+        reviewBranchCommand,
+        reviewLastCommitCommand,
+        showToolAuditLogCommand,
+        showRedactionReportCommand,
         cancelCommand,
+        clearDiagnosticsCommand,
+        fixAllInFileCommand,
+        acceptFixCommand,
+        acceptFixHunkCommand,
+        rejectFixCommand,
+        reviewQueuedFixesCommand,
         reportIssueCommand,
         outputChannel
     );
 }
 
 /**
- * Review a single file
+ * Point the reviewer at the configured provider.
+ * Returns false (after offering to set a key, unless `quiet`) when the provider cannot be used yet.
  */
-async function reviewFile(document, context) {
-    try {
-        // Check if API key exists
-        const apiKey = await context.secrets.get('gemini-api-key');
-        if (!apiKey) {
-            const response = await vscode.window.showWarningMessage(
-                'Gemini API Key not set. Would you like to set it now?',
-                'Set API Key',
-                'Cancel'
+async function configureReviewer(context, { quiet = false } = {}) {
+    const { id, info, baseUrl, model } = getProviderSettings();
+    const apiKey = await context.secrets.get(info.secretKey);
+
+    if (info.requiresApiKey && !apiKey) {
+        if (quiet) return false;
+        const response = await vscode.window.showWarningMessage(
+            `${info.label} API Key not set. Would you like to set it now?`,
+            'Set API Key',
+            'Cancel'
+        );
+        if (response === 'Set API Key') {
+            await vscode.commands.executeCommand('ai-code-reviewer.setApiKey');
+        }
+        return false;
+    }
+
+    geminiReviewer.setProvider(createProvider({ provider: id, apiKey, baseUrl, model }));
+    geminiReviewer.setGenerationSettings(getGenerationSettings());
+    geminiReviewer.setRedactionOptions(getRedactionSettings());
+    const cacheSettings = getCacheSettings();
+    reviewCache.configure(cacheSettings);
+    geminiReviewer.setCache(cacheSettings.enabled ? reviewCache : null);
+    rateLimiter.requestsPerMinute = getConcurrencySettings().requestsPerMinute;
+    geminiReviewer.setChunkingOptions(getChunkingSettings());
+    geminiReviewer.setRelatedContextOptions(getRelatedContextSettings());
+    configureToolSandbox(context);
+    return true;
+}
+
+/**
+ * Load the project config file of every workspace folder. Invalid files are ignored
+ * and their errors are shown; valid ones take effect for the next review.
+ */
+async function loadProjectConfigs() {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const results = await Promise.all(folders.map(folder => ProjectConfig.load(folder.uri.fsPath)));
+    ProjectConfig.use(results.map(result => result.config));
+
+    for (const { config, file, errors } of results) {
+        if (config) {
+            outputChannel.appendLine(`📐 Using project review config ${file}`);
+        }
+        if (errors.length === 0) continue;
+
+        outputChannel.appendLine(`⚠️ Ignoring invalid project review config ${file}:`);
+        errors.forEach(error => outputChannel.appendLine(`   ${formatConfigError(error)}`));
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+        vscode.window.showWarningMessage(
+            `${path.basename(file)} is invalid and is ignored: ${formatConfigError(errors[0])}${more}`,
+            'Open Config',
+            'Show Details'
+        ).then(choice => {
+            if (choice === 'Open Config') {
+                vscode.window.showTextDocument(vscode.Uri.file(file));
+            } else if (choice === 'Show Details') {
+                outputChannel.show();
+            }
+        });
+    }
+}
+
+/**
+ * Confine the model's tool calls to the workspace; outside paths need the user's OK per review
+ */
+function configureToolSandbox(context) {
+    const { outsideWorkspace, ...options } = getToolSandboxSettings();
+    geminiReviewer.setSandboxOptions({
+        ...options,
+        auditLogPath: getToolAuditLogPath(context),
+        confirmOutsideAccess: async (absPath) => {
+            if (outsideWorkspace !== 'ask') {
+                return false;
+            }
+            const choice = await vscode.window.showWarningMessage(
+                `The AI wants to read ${absPath}, which is outside the workspace. Allow access outside the workspace for this review?`,
+                { modal: true },
+                'Allow for This Review'
             );
-            if (response === 'Set API Key') {
-                await vscode.commands.executeCommand('ai-code-reviewer.setApiKey');
+            return choice === 'Allow for This Review';
+        }
+    });
+}
+
+function getToolAuditLogPath(context) {
+    return path.join(context.logUri.fsPath, 'tool-audit.jsonl');
+}
+
+/**
+ * Store a finished review in the history, show its findings (minus dismissed ones)
+ * in the Problems panel and the Findings tree, and log what changed since last time.
+ * With `ranges` ([{ startLine, endLine }]) the review covered only those lines: findings
+ * elsewhere in the file stay in the Problems panel and are carried over, with their
+ * status, into the new history run.
+ */
+async function recordReview(document, review, scope = 'file', { durationMs = null, session = currentReviewSession, ranges = null } = {}) {
+    const filePath = document.uri.fsPath;
+    const latest = reviewHistory.getLatest(filePath);
+
+    const covered = issue => ranges.some(range => issue.startLine <= range.endLine && issue.endLine >= range.startLine);
+    const outside = ranges ? reviewDiagnostics.getIssues(document.uri).filter(issue => !covered(issue)) : [];
+    // Findings of the last run that were not reviewed again, at their current position
+    const carried = ranges && latest
+        ? latest.findings.map(finding => {
+            const shown = outside.find(issue => issue.id === finding.id);
+            return shown ? { ...finding, startLine: shown.startLine, endLine: shown.endLine } : finding;
+        }).filter(finding => !covered(finding))
+        : [];
+    if (outside.length > 0 || carried.length > 0) {
+        // Number the new findings after the kept ones so ids stay unique in the file
+        const taken = [...outside, ...carried].map(issue => parseInt(String(issue.id).replace(/\D/g, ''), 10) || 0);
+        let next = Math.max(...taken);
+        review = { ...review, issues: review.issues.map(issue => ({ ...issue, id: `AI${String(++next).padStart(3, '0')}` })) };
+    }
+
+    // A cached review of content the history already has adds nothing new
+    if (review.cached && latest && latest.hash === hashContent(document.getText())) {
+        const hidden = new Set(latest.findings.filter(f => f.status !== 'open').map(f => f.id));
+        reviewDiagnostics.publish(document, [...outside, ...review.issues.filter(issue => !hidden.has(issue.id))]);
+        if (session) await reviewHistory.setSession(filePath, session);
+        return latest;
+    }
+
+    // Findings in parts that were not reviewed must not count as fixed
+    const runScope = scope === 'file' && review.partial ? 'partial' : scope;
+    const isRereview = reviewHistory.getRuns(filePath).length > 0;
+    const run = await reviewHistory.record(filePath, {
+        content: document.getText(),
+        model: geminiReviewer.provider ? geminiReviewer.provider.label : '',
+        review,
+        scope: runScope,
+        session,
+        durationMs,
+        carried
+    });
+
+    const dismissed = new Set(run.findings.filter(f => f.status === 'dismissed').map(f => f.id));
+    reviewDiagnostics.publish(document, [...outside, ...review.issues.filter(issue => !dismissed.has(issue.id))]);
+    findingsTree.refresh();
+
+    if (isRereview) {
+        const added = run.findings.filter(f => f.change === 'new').length;
+        const persisting = run.findings.length - carried.length - added;
+        const fixed = runScope === 'file' ? `, ✅ ${run.fixed.length} fixed` : '';
+        outputChannel.appendLine(`\n📈 Since the last review: 🆕 ${added} new${fixed}, ↺ ${persisting} still present${dismissed.size > 0 ? ` (${dismissed.size} dismissed)` : ''}`);
+    }
+    return run;
+}
+
+/**
+ * Commands behind the Findings tree (navigation, status changes, filtering)
+ */
+function registerFindingsCommands(context) {
+    const setStatus = async (element, status) => {
+        if (!element || !element.finding) return;
+        const finding = await reviewHistory.setStatus(element.filePath, element.finding.id, status);
+        if (!finding) return;
+
+        const document = vscode.workspace.textDocuments.find(doc => doc.uri.fsPath === element.filePath);
+        if (document) {
+            if (status === 'open') {
+                reviewDiagnostics.restoreIssue(document, finding);
+            } else {
+                reviewDiagnostics.removeIssue(document, finding.id);
             }
-            return;
         }
+        findingsTree.refresh();
+    };
+
+    const updateFilterDescription = () => {
+        findingsTreeView.description = findingsTree.describeFilter();
+        vscode.commands.executeCommand('setContext', 'aiCodeReviewer.findingsFiltered', findingsTree.isFiltered());
+    };
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('ai-code-reviewer.revealFinding', async (element) => {
+            if (!element || !element.finding) return;
+            const uri = vscode.Uri.file(element.filePath);
+            const document = await vscode.workspace.openTextDocument(uri);
+            // Diagnostics follow edits, so prefer their position over the stored one
+            const current = reviewDiagnostics.getIssues(uri).find(issue => issue.id === element.finding.id) || element.finding;
+            const range = ReviewDiagnostics.rangeForIssue(document, current);
+            await vscode.window.showTextDocument(document, { selection: range, preserveFocus: false });
+        }),
+        vscode.commands.registerCommand('ai-code-reviewer.resolveFinding', element => setStatus(element, 'resolved')),
+        vscode.commands.registerCommand('ai-code-reviewer.dismissFinding', element => setStatus(element, 'dismissed')),
+        vscode.commands.registerCommand('ai-code-reviewer.reopenFinding', element => setStatus(element, 'open')),
+        vscode.commands.registerCommand('ai-code-reviewer.filterFindings', async () => {
+            const { filter } = findingsTree;
+            const items = [
+                ...SEVERITIES.map(severity => ({ label: severity, group: 'severity', picked: filter.severities.includes(severity) })),
+                { label: '', kind: vscode.QuickPickItemKind.Separator },
+                ...FINDING_STATUSES.map(status => ({ label: `Show ${status}`, status, group: 'status', picked: filter.statuses.includes(status) })),
+                { label: '', kind: vscode.QuickPickItemKind.Separator },
+                { label: 'Only findings new since the last review', group: 'onlyNew', picked: filter.onlyNew }
+            ];
+
+            // Team rules that findings are tagged with, with their counts
+            const ruleCounts = new Map();
+            for (const filePath of reviewHistory.getFiles()) {
+                for (const finding of reviewHistory.getLatest(filePath).findings) {
+                    if (finding.ruleId) ruleCounts.set(finding.ruleId, (ruleCounts.get(finding.ruleId) || 0) + 1);
+                }
+            }
+            if (ruleCounts.size > 0) {
+                const showRule = ruleId => !filter.ruleIds || filter.ruleIds.includes(ruleId);
+                items.push(
+                    { label: 'Team rules', kind: vscode.QuickPickItemKind.Separator },
+                    { label: 'Findings without a team rule', ruleId: null, group: 'rule', picked: showRule(null) },
+                    ...[...ruleCounts].sort((a, b) => a[0].localeCompare(b[0])).map(([ruleId, count]) =>
+                        ({ label: ruleId, description: `${count} finding(s)`, ruleId, group: 'rule', picked: showRule(ruleId) }))
+                );
+            }
+
+            const picked = await vscode.window.showQuickPick(items, { canPickMany: true, placeHolder: 'Which findings should the tree show?' });
+            if (!picked) return;
+
+            const ruleIds = picked.filter(item => item.group === 'rule').map(item => item.ruleId);
+            findingsTree.setFilter({
+                severities: picked.filter(item => item.group === 'severity').map(item => item.label),
+                statuses: picked.filter(item => item.group === 'status').map(item => item.status),
+                onlyNew: picked.some(item => item.group === 'onlyNew'),
+                ruleIds: ruleCounts.size === 0 || ruleIds.length === ruleCounts.size + 1 ? null : ruleIds
+            });
+            updateFilterDescription();
+        }),
+        vscode.commands.registerCommand('ai-code-reviewer.clearFindingsFilter', () => {
+            findingsTree.setFilter({});
+            updateFilterDescription();
+        }),
+        vscode.commands.registerCommand('ai-code-reviewer.clearReviewHistory', async () => {
+            const confirm = await vscode.window.showWarningMessage(
+                'Delete the stored review history for this workspace?',
+                { modal: true },
+                'Delete'
+            );
+            if (confirm !== 'Delete') return;
+            await reviewHistory.clear();
+            findingsTree.refresh();
+        }),
+        vscode.commands.registerCommand('ai-code-reviewer.exportSarif', () => exportSarif(context)),
+        vscode.commands.registerCommand('ai-code-reviewer.generateReport', () => generateReport())
+    );
+}
+
+/**
+ * Ask whether to export the last review or every reviewed file.
+ * Resolves to { label, files, session } (session is the stored last review, if any) or undefined.
+ */
+async function pickHistoryScope(placeHolder) {
+    const lastFiles = reviewHistory.getLastSessionFiles();
+    const allFiles = reviewHistory.getFiles();
+    if (allFiles.length === 0) {
+        vscode.window.showInformationMessage('No stored reviews yet. Run a review first.');
+        return undefined;
+    }
+
+    const lastSession = lastFiles.length > 0 ? reviewHistory.getSession(reviewHistory.getLatest(lastFiles[0]).session) : null;
+    return vscode.window.showQuickPick([
+        {
+            label: 'Last review',
+            description: `${lastSession ? `${lastSession.title}, ` : ''}${lastFiles.length} file(s)`,
+            files: lastFiles,
+            session: lastSession
+        },
+        { label: 'All reviewed files', description: `${allFiles.length} file(s), latest review of each`, files: allFiles, session: null }
+    ].filter(item => item.files.length > 0), { placeHolder });
+}
+
+/**
+ * Ask where to save an export, defaulting to the workspace folder of the exported files
+ */
+function pickExportTarget(fileName, filters, files = []) {
+    const groups = groupByRoot(files);
+    const workspaceFolder = (groups.length > 0 && groups[0].folder) || activeRoot();
+    return vscode.window.showSaveDialog({
+        defaultUri: workspaceFolder ? vscode.Uri.joinPath(workspaceFolder.uri, fileName) : undefined,
+        filters,
+        saveLabel: 'Export'
+    });
+}
+
+/**
+ * Write the findings of the last review, or of every reviewed file, as a SARIF 2.1.0 log
+ */
+async function exportSarif(context) {
+    const scope = await pickHistoryScope('Which findings should be exported?');
+    if (!scope) return;
+
+    // Locations are relative to the workspace folder when every file is in the same one
+    const groups = groupByRoot(scope.files);
+    const baseDir = groups.length === 1 && groups[0].folder ? groups[0].folder.uri.fsPath : null;
+    const target = await pickExportTarget('ai-review.sarif', { SARIF: ['sarif', 'json'] }, scope.files);
+    if (!target) return;
+
+    const sarif = buildSarif(scope.files.map(filePath => {
+        const run = reviewHistory.getLatest(filePath);
+        return { filePath, findings: run.findings, timestamp: run.timestamp, model: run.model };
+    }), {
+        baseDir,
+        toolVersion: context.extension && context.extension.packageJSON.version,
+        teamRules: ProjectConfig.active.flatMap(config => config.rules)
+    });
+
+    await fsp.writeFile(target.fsPath, JSON.stringify(sarif, null, 2), 'utf-8');
+    const findingCount = sarif.runs[0].results.length;
+    outputChannel.appendLine(`📤 Exported ${findingCount} finding(s) from ${scope.files.length} file(s) to ${target.fsPath}`);
+    const choice = await vscode.window.showInformationMessage(`Exported ${findingCount} finding(s) as SARIF.`, 'Open');
+    if (choice === 'Open') {
+        await vscode.window.showTextDocument(target);
+    }
+}
+
+/**
+ * Write a self-contained Markdown or HTML report of the last review or of every reviewed file
+ */
+async function generateReport() {
+    const scope = await pickHistoryScope('Which reviews should the report cover?');
+    if (!scope) return;
+
+    const format = await vscode.window.showQuickPick([
+        { label: 'Markdown', id: 'markdown', extension: 'md' },
+        { label: 'HTML', id: 'html', extension: 'html' }
+    ], { placeHolder: 'Report format' });
+    if (!format) return;
+
+    const target = await pickExportTarget(`ai-review-report.${format.extension}`, { [format.label]: [format.extension] }, scope.files);
+    if (!target) return;
+
+    const files = await Promise.all(scope.files.map(async filePath => ({
+        displayPath: vscode.workspace.asRelativePath(filePath),
+        run: reviewHistory.getLatest(filePath),
+        content: await fsp.readFile(filePath, 'utf-8').catch(() => null)
+    })));
+    const withDisplayPath = entries => (entries || []).map(entry => ({ ...entry, displayPath: vscode.workspace.asRelativePath(entry.filePath) }));
+    const session = scope.session
+        ? { ...scope.session, failed: withDisplayPath(scope.session.failed), skipped: withDisplayPath(scope.session.skipped) }
+        : null;
+
+    const report = createReport(files, {
+        title: 'AI Code Review Report',
+        scope: session ? `${scope.label}: ${session.title}` : scope.label,
+        session
+    });
+    await fsp.writeFile(target.fsPath, format.id === 'html' ? renderHtml(report) : renderMarkdown(report), 'utf-8');
+    outputChannel.appendLine(`📝 Wrote review report (${report.total} finding(s), ${report.files.length} file(s)) to ${target.fsPath}`);
+
+    const choice = await vscode.window.showInformationMessage(`Review report saved to ${path.basename(target.fsPath)}.`, 'Open');
+    if (choice === 'Open') {
+        if (format.id === 'html') {
+            await vscode.env.openExternal(target);
+        } else {
+            await vscode.commands.executeCommand('markdown.showPreview', target);
+        }
+    }
+}
 
-        geminiReviewer.setApiKey(apiKey);
+/**
+ * Review a single file
+ */
+async function reviewFile(document, context, { force = false } = {}) {
+    try {
+        // Check that the provider is configured (API key etc.)
+        if (!(await configureReviewer(context))) {
+            return;
+        }
 
         const filePath = document.uri.fsPath;
         const fileName = filePath.split(/[\\/]/).pop();
@@ -385,46 +883,45 @@ async function reviewFile(document, context) {
         outputChannel.appendLine('='.repeat(80));
         outputChannel.appendLine('');
 
-        const cts = new vscode.CancellationTokenSource();
-        currentReviewCancellation = cts;
-        cancelStatusBarItem.show();
+        const controller = beginCancellableReview();
 
         await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: `Reviewing ${fileName}...`,
             cancellable: true
         }, async (progress, token) => {
+            token.onCancellationRequested(() => controller.abort());
             progress.report({ increment: 0 });
 
             const code = document.getText();
+            const symbols = await getTopLevelSymbols(document);
 
-            if (token.isCancellationRequested || cts.token.isCancellationRequested) {
-                outputChannel.appendLine('⚠️ Review cancelled before sending to API.');
-                return;
-            }
-
-            const review = await geminiReviewer.reviewCode(filePath, code);
-
-            if (token.isCancellationRequested || cts.token.isCancellationRequested) {
-                outputChannel.appendLine('⚠️ Review cancelled after receiving response.');
+            let review;
+            const started = Date.now();
+            try {
+                review = await geminiReviewer.reviewCode(filePath, code, { force, symbols, signal: controller.signal });
+            } catch (err) {
+                if (!isAbortError(err)) throw err;
+                outputChannel.appendLine('⏹️ Review cancelled; no results were received.');
+                await recordReviewSession(`Review of ${fileName}`, { skipped: [{ filePath, reason: 'Cancelled' }], cancelled: true });
                 return;
             }
+            const durationMs = Date.now() - started;
 
             progress.report({ increment: 100 });
 
-            outputChannel.appendLine('📋 REVIEW RESULTS:\n');
-            outputChannel.appendLine(review.summary || review);
+            // A review cancelled part-way still reports what was reviewed before the cancel
+            outputChannel.appendLine(review.cancelled ? '📋 PARTIAL REVIEW RESULTS (cancelled):\n' : '📋 REVIEW RESULTS:\n');
+            logReview(review);
+            await recordReview(document, review, 'file', { durationMs });
+            await recordReviewSession(`Review of ${fileName}`, { reviewed: [filePath], cancelled: controller.signal.aborted });
 
-            if (review.suggestions && review.suggestions.length > 0) {
-                outputChannel.appendLine('\n💡 SUGGESTIONS:\n');
-                review.suggestions.forEach((suggestion, index) => {
-                    outputChannel.appendLine(`${index + 1}. ${suggestion}`);
-                });
+            if (controller.signal.aborted) {
+                vscode.window.showInformationMessage('Review cancelled. Results received so far are in the output panel.');
+                return;
             }
 
-            const autoFixAvailable =
-                review.canAutoFix ||
-                (Array.isArray(review.suggestions) && review.suggestions.length > 0);
+            const autoFixAvailable = hasAutoFix(review);
 
             if (autoFixAvailable) {
                 outputChannel.appendLine('\n✨ Auto-fix available!');
@@ -442,9 +939,7 @@ async function reviewFile(document, context) {
             }
         });
 
-        try { cts.dispose(); } catch (_) {}
-        currentReviewCancellation = null;
-        cancelStatusBarItem.hide();
+        endCancellableReview(controller);
 
         // ✨ ADDED: Notify sidebar review complete
         if (sidebarProvider) {
@@ -454,12 +949,11 @@ async function reviewFile(document, context) {
     } catch (error) {
         outputChannel.appendLine(`\n❌ ERROR: ${error.message}`);
         vscode.window.showErrorMessage(`Review failed: ${error.message}`);
-        
+
         if (currentReviewCancellation) {
-            try { currentReviewCancellation.dispose(); } catch (_) {}
-            currentReviewCancellation = null;
-            cancelStatusBarItem.hide();
+            await recordReviewSession(`Review of ${path.basename(document.uri.fsPath)}`, { failed: [{ filePath: document.uri.fsPath, error: error.message }] });
         }
+        endCancellableReview();
 
         // ✨ ADDED: Update sidebar on error
         if (sidebarProvider) {
@@ -469,232 +963,944 @@ async function reviewFile(document, context) {
 }
 
 /**
- * Apply fixes to file
- */
-async function applyFixesToFile(document, review, context) {
-    try {
-        const apiKey = await context.secrets.get('gemini-api-key');
-        geminiReviewer.setApiKey(apiKey);
-
-        await vscode.window.withProgress({
-            location: vscode.ProgressLocation.Notification,
-            title: 'Applying fixes...',
-            cancellable: false
-        }, async () => {
-            const fixedCode = await geminiReviewer.generateFixedCode(
-                document.uri.fsPath,
-                document.getText(),
-                review
-            );
-
-            const edit = new vscode.WorkspaceEdit();
-            const fullRange = new vscode.Range(
-                document.positionAt(0),
-                document.positionAt(document.getText().length)
-            );
-            edit.replace(document.uri, fullRange, fixedCode);
-
-            await vscode.workspace.applyEdit(edit);
-            await document.save();
-
-            vscode.window.showInformationMessage('✅ Fixes applied successfully!');
-            outputChannel.appendLine('\n✅ Fixes applied and file saved.');
-        });
-
-    } catch (error) {
-        vscode.window.showErrorMessage(`Failed to apply fixes: ${error.message}`);
-        outputChannel.appendLine(`\n❌ Fix application failed: ${error.message}`);
-    }
-}
-
-/**
- * Review multiple files in workspace
+ * Review the selected lines of an editor, or the innermost function / class around the
+ * cursor when nothing is selected. The enclosing symbol and the file's imports go along
+ * as context; findings and fixes stay inside the reviewed lines.
  */
-async function reviewWorkspace(context) {
-    try {
-        const apiKey = await context.secrets.get('gemini-api-key');
-        if (!apiKey) {
-            const response = await vscode.window.showWarningMessage(
-                'Gemini API Key not set. Would you like to set it now?',
-                'Set API Key',
-                'Cancel'
-            );
-            if (response === 'Set API Key') {
-                await vscode.commands.executeCommand('ai-code-reviewer.setApiKey');
-            }
+async function reviewSelection(editor, context) {
+    const document = editor.document;
+    const filePath = document.uri.fsPath;
+    const fileName = path.basename(filePath);
+
+    const selection = editor.selection;
+    let startLine = selection.start.line + 1;
+    // A selection ending at the start of a line does not include that line
+    let endLine = selection.end.line + (selection.end.character === 0 && selection.end.line > selection.start.line ? 0 : 1);
+    let symbol = await getEnclosingSymbol(document, startLine, endLine);
+
+    if (selection.isEmpty) {
+        if (!symbol) {
+            vscode.window.showInformationMessage('Select the code to review, or place the cursor inside a function or class.');
             return;
         }
+        ({ startLine, endLine } = symbol);
+        symbol = null;
+    }
+    const range = { startLine, endLine, symbol };
+    const label = `${fileName}:${startLine}-${endLine}`;
 
-        geminiReviewer.setApiKey(apiKey);
-
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (!workspaceFolders) {
-            vscode.window.showWarningMessage('No workspace folder open');
+    try {
+        if (!(await configureReviewer(context))) {
             return;
         }
 
-        // ✨ ADDED: Notify sidebar review started
         if (sidebarProvider) {
             sidebarProvider.updateReviewStatus(true);
         }
 
         outputChannel.clear();
         outputChannel.show(true);
-
-        // If FileScanner exposes scanWorkspace, use it; otherwise, fallback
-        let files = [];
-        if (typeof FileScanner.scanWorkspace === 'function') {
-            try {
-                files = await FileScanner.scanWorkspace(workspaceFolders[0].uri.fsPath);
-            } catch (err) {
-                outputChannel.appendLine(`⚠️ FileScanner.scanWorkspace failed: ${err.message}. Falling back.`);
-                files = [];
-            }
-        }
-
-        if (!files || files.length === 0) {
-            files = await scanDirectoryFallback(workspaceFolders[0].uri.fsPath, 2000);
-        }
-
-        if (files.length === 0) {
-            vscode.window.showInformationMessage('No files found to review');
-            // ✨ ADDED: Update sidebar on early exit
-            if (sidebarProvider) {
-                sidebarProvider.updateReviewStatus(false);
-            }
-            return;
-        }
-
         outputChannel.appendLine('='.repeat(80));
-        outputChannel.appendLine(`🔍 WORKSPACE REVIEW - Found ${files.length} files`);
+        outputChannel.appendLine(`🔍 Reviewing: ${label}${symbol && symbol.name ? ` (in ${symbol.name})` : ''}`);
         outputChannel.appendLine('='.repeat(80));
         outputChannel.appendLine('');
 
-        const cts = new vscode.CancellationTokenSource();
-        currentReviewCancellation = cts;
-        cancelStatusBarItem.show();
+        const controller = beginCancellableReview();
 
-        let reviewedCount = 0;
-        let applyAll = false;
         await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
-            title: `Reviewing ${files.length} files...`,
+            title: `Reviewing ${label}...`,
             cancellable: true
         }, async (progress, token) => {
-            for (let i = 0; i < files.length; i++) {
-                if (token.isCancellationRequested || cts.token.isCancellationRequested) {
-                    outputChannel.appendLine('\n⚠️ Review cancelled by user.');
-                    break;
-                }
-
-                const file = files[i];
-
-                try {
-                    const document = await vscode.workspace.openTextDocument(file);
-                    const code = document.getText();
+            token.onCancellationRequested(() => controller.abort());
 
-                    outputChannel.appendLine(`\n📁 File ${i + 1}/${files.length}: ${file.split(/[\\/]/).pop()}`);
-                    outputChannel.appendLine('-'.repeat(80));
-
-                    if (token.isCancellationRequested || cts.token.isCancellationRequested) {
-                        outputChannel.appendLine('Cancellation requested before sending to API.');
-                        break;
-                    }
+            let review;
+            const started = Date.now();
+            try {
+                review = await geminiReviewer.reviewSelection(filePath, document.getText(), range, { signal: controller.signal });
+            } catch (err) {
+                if (!isAbortError(err)) throw err;
+                outputChannel.appendLine('⏹️ Review cancelled; no results were received.');
+                await recordReviewSession(`Review of ${label}`, { skipped: [{ filePath, reason: 'Cancelled' }], cancelled: true });
+                return;
+            }
 
-                    const review = await geminiReviewer.reviewCode(file, code);
+            outputChannel.appendLine('📋 REVIEW RESULTS:\n');
+            logReview(review);
+            await recordReview(document, review, 'partial', { durationMs: Date.now() - started, ranges: [range] });
+            await recordReviewSession(`Review of ${label}`, { reviewed: [filePath] });
 
-                    outputChannel.appendLine(review.summary || String(review));
+            if (hasAutoFix(review)) {
+                outputChannel.appendLine('\n✨ Auto-fix available!');
+                const applyFix = await vscode.window.showInformationMessage(
+                    `Review of lines ${startLine}-${endLine} complete! Apply suggested fixes?`,
+                    'Apply Fixes',
+                    'View Only'
+                );
+                if (applyFix === 'Apply Fixes') {
+                    await applyFixesToFile(document, review, context, { range });
+                }
+            } else {
+                vscode.window.showInformationMessage('✅ Code review complete! Check output panel.');
+            }
+        });
 
-                    if (review.suggestions && review.suggestions.length > 0) {
-                        outputChannel.appendLine('\n💡 SUGGESTIONS:\n');
-                        review.suggestions.forEach((suggestion, idx) => {
-                            outputChannel.appendLine(`${idx + 1}. ${suggestion}`);
-                        });
-                    }
+        endCancellableReview(controller);
+    } catch (error) {
+        outputChannel.appendLine(`\n❌ ERROR: ${error.message}`);
+        vscode.window.showErrorMessage(`Review failed: ${error.message}`);
 
-                    const autoFixAvailable =
-                        review.canAutoFix ||
-                        (Array.isArray(review.suggestions) && review.suggestions.length > 0);
-
-                    if (autoFixAvailable) {
-                        let applyChoice = null;
-                        if (!applyAll) {
-                            applyChoice = await vscode.window.showInformationMessage(
-                                `Auto-fix available for ${path.basename(file)}. Apply fixes?`,
-                                'Apply Fixes',
-                                'Skip',
-                                'Apply All'
-                            );
-                        } else {
-                            applyChoice = 'Apply Fixes';
-                        }
+        if (currentReviewCancellation) {
+            await recordReviewSession(`Review of ${label}`, { failed: [{ filePath, error: error.message }] });
+        }
+        endCancellableReview();
+    }
 
-                        if (applyChoice === 'Apply Fixes' || applyAll) {
-                            try {
-                                await applyFixesToFile(document, review, context);
-                                outputChannel.appendLine(`✅ Applied fixes to ${file}`);
-                            } catch (err) {
-                                outputChannel.appendLine(`❌ Failed to apply fixes to ${file}: ${err.message}`);
-                            }
-                        } else if (applyChoice === 'Apply All') {
-                            applyAll = true;
-                            try {
-                                await applyFixesToFile(document, review, context);
-                                outputChannel.appendLine(`✅ Applied fixes to ${file} (Apply All mode)`);
-                            } catch (err) {
-                                outputChannel.appendLine(`❌ Failed to apply fixes to ${file}: ${err.message}`);
-                            }
-                        } else {
-                            outputChannel.appendLine(`⏭️ Skipped applying fixes for ${file}`);
+    if (sidebarProvider) {
+        sidebarProvider.updateReviewStatus(false);
+    }
+}
+
+/**
+ * Innermost function, method or class containing lines startLine-endLine (1-based), as
+ * { name, startLine, endLine }, or null when no symbol provider answers in time
+ */
+async function getEnclosingSymbol(document, startLine, endLine) {
+    const containers = [
+        vscode.SymbolKind.Function, vscode.SymbolKind.Method, vscode.SymbolKind.Constructor,
+        vscode.SymbolKind.Class, vscode.SymbolKind.Interface, vscode.SymbolKind.Module, vscode.SymbolKind.Namespace
+    ];
+    let symbols;
+    try {
+        symbols = await Promise.race([
+            vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri),
+            new Promise(resolve => setTimeout(() => resolve(null), 3000))
+        ]);
+    } catch (err) {
+        return null;
+    }
+
+    let found = null;
+    const visit = (list) => {
+        for (const symbol of list || []) {
+            // DocumentSymbol has a range and children; SymbolInformation has a location
+            const symbolRange = symbol.range || symbol.location.range;
+            const first = symbolRange.start.line + 1;
+            const last = symbolRange.end.line + 1;
+            if (first > startLine || last < endLine) continue;
+            if (containers.includes(symbol.kind) && (!found || last - first < found.endLine - found.startLine)) {
+                found = { name: symbol.name, startLine: first, endLine: last };
+            }
+            visit(symbol.children);
+        }
+    };
+    visit(Array.isArray(symbols) ? symbols : []);
+    return found;
+}
+
+/**
+ * Background review of a saved file (see AutoReviewScheduler): no prompts, no progress
+ * notification and no output panel; findings go to the Problems panel and the history.
+ * Resolves to null when the file was skipped without a request; cancellation throws.
+ */
+async function autoReviewFile(document, context, signal) {
+    const filePath = document.uri.fsPath;
+    if (!FileScanner.shouldReviewFile(filePath, document.languageId)) return null;
+    if (!(await configureReviewer(context, { quiet: true }))) return null;
+
+    const fileName = path.basename(filePath);
+    const status = vscode.window.setStatusBarMessage(`$(sync~spin) Auto-reviewing ${fileName}...`);
+    try {
+        const code = document.getText();
+        const symbols = await getTopLevelSymbols(document);
+        const started = Date.now();
+        // Never a modal from a save: tool calls outside the workspace are refused
+        const review = await geminiReviewer.reviewCode(filePath, code, { symbols, signal, quiet: true });
+        // The file changed while this review ran; its line numbers no longer fit, and the
+        // next save is reviewed instead
+        if (signal.aborted || document.isClosed || document.getText() !== code) return review;
+
+        outputChannel.appendLine(`\n🔁 Auto-review of ${fileName}: ${review.issues.length} issue(s)${review.cached ? ' (cached)' : ''}`);
+        await recordReview(document, review, 'file', { durationMs: Date.now() - started, session: null });
+        return review;
+    } finally {
+        status.dispose();
+    }
+}
+
+/**
+ * Apply fixes to file.
+ * Findings that carry a suggested replacement become targeted edits; the whole-file
+ * rewrite from the model is only used when no finding can be fixed in place.
+ * Nothing is written directly: the result opens as a diff preview (or is queued
+ * with `queue: true`) and only lands on disk once the user accepts it.
+ * With `range` ({ startLine, endLine }) only findings and changes inside those lines are used.
+ */
+async function applyFixesToFile(document, review, context, { queue = false, range = null } = {}) {
+    try {
+        // Prefer the tracked copies: their line numbers follow edits made since the review
+        const tracked = reviewDiagnostics.getIssues(document.uri);
+        const inRange = issue => !range || (issue.startLine >= range.startLine && issue.endLine <= range.endLine);
+        const issues = (tracked.length > 0 ? tracked : (review.issues || [])).filter(inRange);
+        const { edits, skipped } = computeMergedEdits(document, issues, id => reviewDiagnostics.getSnapshot(document.uri, id));
+
+        let proposedText;
+        if (edits.length > 0) {
+            proposedText = document.getText();
+            // Splice bottom-up so earlier offsets stay valid
+            for (const { range, newText } of [...edits].reverse()) {
+                const start = document.offsetAt(range.start);
+                const end = document.offsetAt(range.end);
+                proposedText = proposedText.slice(0, start) + newText + proposedText.slice(end);
+            }
+
+            const unfixed = issues.length - edits.length;
+            outputChannel.appendLine(`\n🩹 Prepared ${edits.length} targeted fix(es) for ${path.basename(document.uri.fsPath)}.`);
+            if (skipped.length > 0) {
+                outputChannel.appendLine(`⚠️ ${skipped.length} fix(es) overlapped another fix and were skipped.`);
+            }
+            if (unfixed > skipped.length) {
+                outputChannel.appendLine(`ℹ️ ${unfixed - skipped.length} finding(s) have no targeted fix; see the Problems panel.`);
+            }
+        } else {
+            if (!(await configureReviewer(context))) {
+                return;
+            }
+
+            const controller = new AbortController();
+            proposedText = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: 'Generating fixes...',
+                cancellable: true
+            }, async (progress, token) => {
+                token.onCancellationRequested(() => controller.abort());
+                if (range) {
+                    // Rewrite only the reviewed lines and keep the rest of the file as it is
+                    const lines = document.getText().split('\n');
+                    const fixed = await geminiReviewer.generateFixedRange(
+                        document.uri.fsPath,
+                        document.getText(),
+                        { ...review, issues },
+                        range,
+                        { signal: controller.signal }
+                    );
+                    return [...lines.slice(0, range.startLine - 1), fixed, ...lines.slice(range.endLine)].join('\n');
+                }
+                return geminiReviewer.generateFixedCode(
+                    document.uri.fsPath,
+                    document.getText(),
+                    review,
+                    { symbols: await getTopLevelSymbols(document), signal: controller.signal }
+                );
+            }).catch(err => {
+                if (!isAbortError(err)) throw err;
+                outputChannel.appendLine(`⏹️ Fix generation for ${path.basename(document.uri.fsPath)} cancelled.`);
+                return null;
+            });
+            if (proposedText === null) {
+                return;
+            }
+        }
+
+        if (queue) {
+            if (fixPreview.enqueue(document, proposedText)) {
+                outputChannel.appendLine(`🗂️ Queued fix preview for ${document.uri.fsPath}`);
+            }
+        } else if (await fixPreview.propose(document, proposedText)) {
+            outputChannel.appendLine('\n👀 Review the proposed fix in the diff view, then Accept, Accept Hunk or Reject.');
+        }
+
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to prepare fixes: ${error.message}`);
+        outputChannel.appendLine(`\n❌ Fix preparation failed: ${error.message}`);
+    }
+}
+
+/**
+ * Files to review under a directory: FileScanner first, the internal scanner as fallback
+ */
+async function collectDirectoryFiles(dirPath) {
+    let files = [];
+    if (typeof FileScanner.scanDirectory === 'function') {
+        try {
+            const maybe = await FileScanner.scanDirectory(dirPath);
+            if (Array.isArray(maybe)) {
+                files = maybe;
+            } else {
+                files = [];
+                await FileScanner.scanDirectory(dirPath, files, 1000, 0);
+            }
+        } catch (err) {
+            outputChannel.appendLine(`⚠️ FileScanner.scanDirectory failed: ${err.message}. Falling back to internal scanner.`);
+            files = [];
+        }
+    }
+
+    if (files.length === 0) {
+        files = await scanDirectoryFallback(dirPath, 1000);
+    }
+    return files;
+}
+
+/**
+ * Uris a menu command was invoked with. The Explorer passes (uri, uris[]) with every
+ * selected resource in uris, the editor title (uri, context), the SCM view one resource
+ * state per selected change; without arguments (command palette) the active editor's file is used.
+ */
+function resourceUrisFromArgs(args) {
+    const [first, all] = args;
+    const candidates = Array.isArray(all) && all.length > 0 ? all : args;
+    const uris = candidates
+        .map(arg => (arg instanceof vscode.Uri ? arg : arg && arg.resourceUri))
+        .filter(uri => uri && uri.scheme === 'file');
+    if (uris.length === 0 && !first && vscode.window.activeTextEditor) {
+        uris.push(vscode.window.activeTextEditor.document.uri);
+    }
+    const seen = new Set();
+    return uris.filter(uri => !seen.has(uri.fsPath) && seen.add(uri.fsPath));
+}
+
+/**
+ * Review the files and folders selected in a context menu as one batch: folders are
+ * scanned like Review Path, selected files are kept unless FileScanner.shouldReviewFile
+ * excludes them, and a single selected file gets the normal single-file review
+ */
+async function reviewResources(args, context) {
+    const uris = resourceUrisFromArgs(args);
+    if (uris.length === 0) {
+        vscode.window.showWarningMessage('Select files or folders to review.');
+        return;
+    }
+
+    try {
+        const files = [];
+        const missing = [];
+        let folderCount = 0;
+        for (const uri of uris) {
+            let stat;
+            try {
+                stat = await fsp.stat(uri.fsPath);
+            } catch (err) {
+                // e.g. a deleted file in the Source Control view
+                missing.push(uri.fsPath);
+                continue;
+            }
+            if (stat.isDirectory()) {
+                folderCount++;
+                files.push(...await collectDirectoryFiles(uri.fsPath));
+            } else if (stat.isFile() && FileScanner.shouldReviewFile(uri.fsPath)) {
+                files.push(uri.fsPath);
+            }
+        }
+        const unique = [...new Set(files)];
+        if (missing.length > 0) {
+            outputChannel.appendLine(`⏭️ Skipped ${missing.length} path(s) that no longer exist: ${missing.map(file => vscode.workspace.asRelativePath(file)).join(', ')}`);
+        }
+
+        if (unique.length === 0) {
+            vscode.window.showInformationMessage('No files to review in the selection (excluded types and ignored files are skipped).');
+            return;
+        }
+        if (unique.length === 1 && folderCount === 0) {
+            const document = await vscode.workspace.openTextDocument(vscode.Uri.file(unique[0]));
+            await reviewFile(document, context);
+            return;
+        }
+
+        if (!(await configureReviewer(context))) {
+            return;
+        }
+        if (sidebarProvider) {
+            sidebarProvider.updateReviewStatus(true);
+        }
+
+        const label = uris.length === 1
+            ? vscode.workspace.asRelativePath(uris[0])
+            : `${uris.length} selected items`;
+        outputChannel.clear();
+        outputChannel.show(true);
+        outputChannel.appendLine('='.repeat(80));
+        outputChannel.appendLine(`🔍 REVIEW SELECTION - ${unique.length} files from ${label}`);
+        outputChannel.appendLine('='.repeat(80));
+        outputChannel.appendLine('');
+
+        await reviewFileList(unique, context, {
+            title: `Reviewing ${unique.length} files...`,
+            sessionTitle: `Review of ${label}`,
+            completionMessage: count => `✅ Reviewed ${count} files from ${label}. Check output panel for details.`
+        });
+    } catch (err) {
+        vscode.window.showErrorMessage(`Review failed: ${err.message}`);
+        outputChannel.appendLine(`❌ ERROR (reviewResources): ${err.stack || err.message}`);
+        endCancellableReview();
+        if (sidebarProvider) {
+            sidebarProvider.updateReviewStatus(false);
+        }
+    }
+}
+
+/**
+ * Review multiple files in workspace
+ */
+async function reviewWorkspace(context, { force = false } = {}) {
+    try {
+        if (!(await configureReviewer(context))) {
+            return;
+        }
+
+        if (getWorkspaceRoots().length === 0) {
+            vscode.window.showWarningMessage('No workspace folder open');
+            return;
+        }
+        const roots = await pickWorkspaceRoots('Which workspace folders should be reviewed?');
+        if (!roots) return;
+
+        // ✨ ADDED: Notify sidebar review started
+        if (sidebarProvider) {
+            sidebarProvider.updateReviewStatus(true);
+        }
+
+        outputChannel.clear();
+        outputChannel.show(true);
+
+        const files = [];
+        for (const root of roots) {
+            // If FileScanner exposes scanWorkspace, use it; otherwise, fallback
+            let rootFiles = [];
+            if (typeof FileScanner.scanWorkspace === 'function') {
+                try {
+                    rootFiles = await FileScanner.scanWorkspace(root.uri.fsPath);
+                } catch (err) {
+                    outputChannel.appendLine(`⚠️ FileScanner.scanWorkspace failed for ${root.name}: ${err.message}. Falling back.`);
+                    rootFiles = [];
+                }
+            }
+
+            if (!rootFiles || rootFiles.length === 0) {
+                rootFiles = await scanDirectoryFallback(root.uri.fsPath, 2000);
+            }
+            if (roots.length > 1) {
+                outputChannel.appendLine(`📂 ${root.name}: ${rootFiles.length} files`);
+            }
+            files.push(...rootFiles);
+        }
+
+        if (files.length === 0) {
+            vscode.window.showInformationMessage('No files found to review');
+            // ✨ ADDED: Update sidebar on early exit
+            if (sidebarProvider) {
+                sidebarProvider.updateReviewStatus(false);
+            }
+            return;
+        }
+
+        outputChannel.appendLine('='.repeat(80));
+        outputChannel.appendLine(`🔍 WORKSPACE REVIEW - Found ${files.length} files`);
+        outputChannel.appendLine('='.repeat(80));
+        outputChannel.appendLine('');
+
+        const allRoots = roots.length === getWorkspaceRoots().length;
+        await reviewFileList(files, context, {
+            title: `Reviewing ${files.length} files...`,
+            sessionTitle: allRoots ? 'Workspace review' : `Workspace review (${roots.map(root => root.name).join(', ')})`,
+            completionMessage: count => `✅ Reviewed ${count} files. Check output panel for details.`,
+            force
+        });
+
+    } catch (error) {
+        vscode.window.showErrorMessage(`Workspace review failed: ${error.message}`);
+        outputChannel.appendLine(`\n❌ ERROR: ${error.message}`);
+
+        endCancellableReview();
+
+        // ✨ ADDED: Update sidebar on error
+        if (sidebarProvider) {
+            sidebarProvider.updateReviewStatus(false);
+        }
+    }
+}
+
+/**
+ * Review only the changed hunks from git: staged changes, changes vs a branch, or the last commit
+ */
+/**
+ * Move a diff review of another version of a file (the index or HEAD) onto the working-tree
+ * text: findings and reviewed ranges follow the lines they were on. Findings whose first line
+ * was edited since cannot be placed and are returned in `dropped`.
+ */
+function mapDiffReview(review, ranges, reviewedText, documentText) {
+    const hunks = diffLines(reviewedText, documentText);
+    if (hunks.length === 0) return { review, ranges, dropped: [] };
+
+    const mapRange = ({ startLine, endLine }) => {
+        const lines = [];
+        for (let line = startLine; line <= endLine; line++) {
+            const mapped = mapLine(hunks, line);
+            if (mapped !== null) lines.push(mapped);
+        }
+        return lines.length > 0 ? { startLine: lines[0], endLine: lines[lines.length - 1] } : null;
+    };
+
+    const issues = [];
+    const dropped = [];
+    for (const issue of review.issues) {
+        const startLine = mapLine(hunks, issue.startLine);
+        if (startLine === null) {
+            dropped.push(issue);
+            continue;
+        }
+        issues.push({ ...issue, startLine, endLine: mapRange({ startLine: issue.startLine, endLine: Math.max(issue.endLine, issue.startLine) }).endLine });
+    }
+    return { review: { ...review, issues }, ranges: ranges.map(mapRange).filter(Boolean), dropped };
+}
+
+async function reviewGitChanges(context, mode) {
+    try {
+        if (getWorkspaceRoots().length === 0) {
+            vscode.window.showWarningMessage('No workspace folder open');
+            return;
+        }
+        const root = await pickWorkspaceRoot('Review the changes of which workspace folder?');
+        if (!root) return;
+
+        let repoRoot;
+        try {
+            repoRoot = await GitDiff.getRepoRoot(root.uri.fsPath);
+        } catch (err) {
+            vscode.window.showWarningMessage(`Not a git repository: ${err.message}`);
+            return;
+        }
+
+        let base;
+        if (mode === 'branch') {
+            const branches = await GitDiff.listBranches(repoRoot);
+            base = await vscode.window.showQuickPick(branches, { placeHolder: 'Compare your changes against which branch?' });
+            if (!base) return;
+        }
+
+        if (!(await configureReviewer(context))) {
+            return;
+        }
+
+        const diffText = await GitDiff.getDiff(repoRoot, mode, { base });
+        const files = GitDiff.parse(diffText).filter(file =>
+            file.newPath && !file.isDeleted && !file.isBinary && file.hunks.length > 0 &&
+            FileScanner.shouldReviewFile(path.join(repoRoot, file.newPath))
+        );
+
+        const label = { staged: 'staged changes', branch: `changes vs ${base}`, lastCommit: 'last commit' }[mode];
+        if (files.length === 0) {
+            vscode.window.showInformationMessage(`No reviewable ${label} found.`);
+            return;
+        }
+
+        if (sidebarProvider) {
+            sidebarProvider.updateReviewStatus(true);
+        }
+
+        outputChannel.clear();
+        outputChannel.show(true);
+        outputChannel.appendLine('='.repeat(80));
+        outputChannel.appendLine(`🔍 DIFF REVIEW - ${label} (${files.length} files)`);
+        outputChannel.appendLine('='.repeat(80));
+
+        const controller = beginCancellableReview();
+
+        let reviewedCount = 0;
+        let findingCount = 0;
+        const session = { reviewed: [], failed: [], skipped: [] };
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `Reviewing ${label}...`,
+            cancellable: true
+        }, async (progress, token) => {
+            token.onCancellationRequested(() => controller.abort());
+            for (let i = 0; i < files.length; i++) {
+                if (controller.signal.aborted) {
+                    session.skipped.push(...files.slice(i).map(f => ({ filePath: path.join(repoRoot, f.newPath), reason: 'Cancelled' })));
+                    break;
+                }
+
+                const file = files[i];
+                const filePath = path.join(repoRoot, file.newPath);
+                outputChannel.appendLine(`\n📁 File ${i + 1}/${files.length}: ${file.newPath}`);
+                outputChannel.appendLine('-'.repeat(80));
+
+                try {
+                    const started = Date.now();
+                    const review = await geminiReviewer.reviewDiff(filePath, file, { signal: controller.signal });
+                    const durationMs = Date.now() - started;
+                    logReview(review);
+                    findingCount += review.issues.length;
+
+                    // Line numbers refer to the new version, which for staged changes and the last
+                    // commit is the index or HEAD: carry the findings over to the working tree
+                    const document = await vscode.workspace.openTextDocument(filePath);
+                    let ranges = file.hunks.map(h => ({ startLine: h.newStart, endLine: h.newStart + Math.max(h.newLines - 1, 0) }));
+                    let placed = review;
+                    if (mode !== 'branch') {
+                        const reviewedText = await GitDiff.showFile(repoRoot, mode === 'staged' ? '' : 'HEAD', file.newPath);
+                        const mapped = mapDiffReview(review, ranges, reviewedText, document.getText());
+                        ({ review: placed, ranges } = mapped);
+                        if (mapped.dropped.length > 0) {
+                            outputChannel.appendLine(`⚠️ ${file.newPath} was edited since it was ${mode === 'staged' ? 'staged' : 'committed'}: ${mapped.dropped.length} finding(s) on edited lines are listed above but not shown in the Problems panel.`);
                         }
                     }
-
+                    await recordReview(document, placed, 'diff', { durationMs, ranges });
+                    session.reviewed.push(filePath);
                     reviewedCount++;
-                    progress.report({ increment: (100 / files.length) });
-                } catch (error) {
-                    outputChannel.appendLine(`❌ Error reviewing file: ${error.message}`);
+                } catch (err) {
+                    if (isAbortError(err)) {
+                        session.skipped.push(...files.slice(i).map(f => ({ filePath: path.join(repoRoot, f.newPath), reason: 'Cancelled' })));
+                        break;
+                    }
+                    session.failed.push({ filePath, error: err.message });
+                    outputChannel.appendLine(`❌ Error reviewing ${file.newPath}: ${err.message}`);
                 }
+                progress.report({ increment: (100 / files.length) });
             }
         });
 
-        cts.dispose();
-        currentReviewCancellation = null;
-        cancelStatusBarItem.hide();
+        const cancelled = controller.signal.aborted;
+        await recordReviewSession(`Review of ${label}`, { ...session, cancelled });
+        endCancellableReview(controller);
 
-        // ✨ ADDED: Notify sidebar review complete
         if (sidebarProvider) {
             sidebarProvider.updateReviewStatus(false);
         }
 
         outputChannel.appendLine('\n' + '='.repeat(80));
-        outputChannel.appendLine(`✅ Review complete! Reviewed ${reviewedCount} files.`);
+        if (cancelled) {
+            outputChannel.appendLine(`⏹️ Diff review cancelled after ${reviewedCount} of ${files.length} files, ${findingCount} findings kept.`);
+        } else {
+            outputChannel.appendLine(`✅ Diff review complete! ${reviewedCount} files, ${findingCount} findings.`);
+        }
         outputChannel.appendLine('='.repeat(80));
-
-        vscode.window.showInformationMessage(`✅ Reviewed ${reviewedCount} files. Check output panel for details.`);
+        vscode.window.showInformationMessage(cancelled
+            ? `Review of ${label} cancelled: ${findingCount} findings in the ${reviewedCount} files reviewed so far.`
+            : `✅ Reviewed ${label}: ${findingCount} findings in ${reviewedCount} files. See the Problems panel.`);
 
     } catch (error) {
-        vscode.window.showErrorMessage(`Workspace review failed: ${error.message}`);
+        vscode.window.showErrorMessage(`Diff review failed: ${error.message}`);
         outputChannel.appendLine(`\n❌ ERROR: ${error.message}`);
 
-        if (currentReviewCancellation) {
-            try { currentReviewCancellation.dispose(); } catch (_) {}
-            currentReviewCancellation = null;
-            cancelStatusBarItem.hide();
-        }
+        endCancellableReview();
 
-        // ✨ ADDED: Update sidebar on error
         if (sidebarProvider) {
             sidebarProvider.updateReviewStatus(false);
         }
     }
 }
 
+/**
+ * Review a list of files through the job pool: several files at once, rate limited,
+ * with retries. Output is written per file once it finishes, fix prompts are asked
+ * one at a time, and files that still failed can be retried afterwards.
+ * Shared by the workspace review and the directory branch of Review Path.
+ */
+async function reviewFileList(files, context, { title, sessionTitle = 'Batch review', completionMessage, force = false }) {
+    const controller = beginCancellableReview();
+
+    let reviewedCount = 0;
+    let cachedCount = 0;
+    let applyAll = false;
+    const results = [];
+    // Fix prompts are serialized so workers keep reviewing while the user decides
+    let fixPrompts = Promise.resolve();
+
+    const askToApplyFixes = async (document, review) => {
+        const file = document.uri.fsPath;
+        let applyChoice = null;
+        if (!applyAll) {
+            applyChoice = await vscode.window.showInformationMessage(
+                `Auto-fix available for ${path.basename(file)}. Apply fixes?`,
+                'Apply Fixes',
+                'Skip',
+                'Apply All'
+            );
+        }
+
+        if (applyChoice === 'Apply All') {
+            applyAll = true;
+        }
+
+        if (applyAll) {
+            // Batch mode: queue the diff instead of rewriting files behind the user's back
+            await applyFixesToFile(document, review, context, { queue: true });
+        } else if (applyChoice === 'Apply Fixes') {
+            await applyFixesToFile(document, review, context);
+        } else {
+            outputChannel.appendLine(`⏭️ Skipped applying fixes for ${file}`);
+        }
+    };
+
+    const { concurrency, maxRetries } = getConcurrencySettings();
+    let failed = [];
+    let wasCancelled = false;
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title,
+        cancellable: true
+    }, async (progress, token) => {
+        token.onCancellationRequested(() => controller.abort());
+        const isCancelled = () => controller.signal.aborted;
+        const pool = new JobPool({
+            concurrency,
+            maxRetries,
+            rateLimiter,
+            onRetry: (file, error, attempt, delay) => {
+                outputChannel.appendLine(`🔁 ${path.basename(file)}: ${error.message} — retry ${attempt}/${maxRetries} in ${Math.round(delay / 1000)}s`);
+            }
+        });
+
+        let settledCount = 0;
+        const outcome = await pool.run(files, async (file) => {
+            const document = await vscode.workspace.openTextDocument(file);
+            const symbols = await getTopLevelSymbols(document);
+            const started = Date.now();
+            const review = await geminiReviewer.reviewCode(file, document.getText(), { force, symbols, signal: controller.signal });
+            return { document, review, durationMs: Date.now() - started };
+        }, {
+            isCancelled,
+            onSettled: async ({ item: file, value, error, attempts }) => {
+                // Requests stopped by the cancel are not failures
+                if (error && isAbortError(error)) return;
+                settledCount++;
+                outputChannel.appendLine(`\n📁 File ${settledCount}/${files.length}: ${file.split(/[\\/]/).pop()}`);
+                outputChannel.appendLine('-'.repeat(80));
+
+                if (error) {
+                    outputChannel.appendLine(`❌ Error reviewing ${file}${attempts > 1 ? ` after ${attempts} attempts` : ''}: ${error.message}`);
+                } else {
+                    const { document, review, durationMs } = value;
+                    if (review.cached) cachedCount++;
+                    logReview(review);
+                    await recordReview(document, review, 'file', { durationMs });
+                    results.push({ filePath: vscode.workspace.asRelativePath(file), absPath: file, review });
+                    reviewedCount++;
+
+                    if (hasAutoFix(review) && !controller.signal.aborted) {
+                        fixPrompts = fixPrompts.then(() => askToApplyFixes(document, review)).catch(err => {
+                            outputChannel.appendLine(`❌ Error applying fixes to ${file}: ${err.message}`);
+                        });
+                    }
+                }
+                progress.report({ increment: (100 / files.length), message: `${settledCount}/${files.length}` });
+            }
+        });
+
+        wasCancelled = outcome.cancelled;
+        const failures = outcome.failed.filter(f => !isAbortError(f.error));
+        failed = failures.map(f => f.item);
+        const reviewed = outcome.results.map(r => r.item);
+        const settled = new Set([...reviewed, ...failed]);
+        await recordReviewSession(sessionTitle, {
+            reviewed,
+            failed: failures.map(f => ({ filePath: f.item, error: f.error.message })),
+            skipped: files.filter(file => !settled.has(file)).map(filePath => ({ filePath, reason: 'Cancelled' })),
+            cancelled: wasCancelled
+        });
+        await fixPrompts;
+    });
+
+    // Summarized while the batch can still be cancelled, so Cancel also stops this request
+    const summaryEnabled = vscode.workspace.getConfiguration('aiCodeReviewer').get('summary.enabled', true);
+    let overview = null;
+    let summaryError = null;
+    if (summaryEnabled && results.length > 1 && !wasCancelled) {
+        try {
+            overview = await geminiReviewer.summarizeReviews(results, { signal: controller.signal });
+        } catch (err) {
+            if (!isAbortError(err)) summaryError = err;
+        }
+    }
+
+    endCancellableReview(controller);
+
+    // ✨ ADDED: Notify sidebar review complete
+    if (sidebarProvider) {
+        sidebarProvider.updateReviewStatus(false);
+    }
+
+    setFailedReviews(failed);
+
+    outputChannel.appendLine('\n' + '='.repeat(80));
+    const cacheNote = cachedCount > 0 ? ` (${cachedCount} unchanged, reused from cache)` : '';
+    if (wasCancelled) {
+        outputChannel.appendLine(`⏹️ Review cancelled. Kept the results of ${reviewedCount} of ${files.length} files${cacheNote}.`);
+    } else {
+        outputChannel.appendLine(`✅ Review complete! Reviewed ${reviewedCount} files${cacheNote}.`);
+    }
+    const groups = groupByRoot(files);
+    if (groups.length > 1) {
+        const findingsPerFile = new Map(results.map(({ absPath, review }) => [absPath, review.issues.length]));
+        for (const { folder, paths } of groups) {
+            const reviewedPaths = paths.filter(file => findingsPerFile.has(file));
+            const findings = reviewedPaths.reduce((sum, file) => sum + findingsPerFile.get(file), 0);
+            const failedHere = paths.filter(file => failed.includes(file)).length;
+            outputChannel.appendLine(`   📂 ${folder ? folder.name : 'Outside the workspace'}: ${reviewedPaths.length} of ${paths.length} files, ${findings} findings${failedHere > 0 ? `, ${failedHere} failed` : ''}`);
+        }
+    }
+    if (failed.length > 0) {
+        outputChannel.appendLine(`❌ ${failed.length} file(s) failed:`);
+        failed.forEach(file => outputChannel.appendLine(`   - ${vscode.workspace.asRelativePath(file)}`));
+    }
+    outputChannel.appendLine('='.repeat(80));
+
+    if (overview) {
+        outputChannel.appendLine('\n🧭 PROJECT SUMMARY:\n');
+        outputChannel.appendLine(overview);
+    } else if (summaryError) {
+        outputChannel.appendLine(`⚠️ Could not summarize the review: ${summaryError.message}`);
+    }
+
+    if (failed.length > 0) {
+        vscode.window.showWarningMessage(
+            `${completionMessage(reviewedCount)} ${failed.length} file(s) failed.`,
+            'Retry Failed'
+        ).then(choice => {
+            if (choice === 'Retry Failed') {
+                vscode.commands.executeCommand('ai-code-reviewer.retryFailedReviews');
+            }
+        });
+    } else if (wasCancelled) {
+        vscode.window.showInformationMessage(`Review cancelled after ${reviewedCount} of ${files.length} files. Their results are kept.`);
+    } else {
+        vscode.window.showInformationMessage(completionMessage(reviewedCount));
+    }
+
+    if (fixPreview.pendingCount > 0) {
+        const choice = await vscode.window.showInformationMessage(
+            `${fixPreview.pendingCount} fix preview(s) queued. Nothing has been written yet.`,
+            'Review Now',
+            'Later'
+        );
+        if (choice === 'Review Now') {
+            await fixPreview.openNext();
+        }
+    }
+    return reviewedCount;
+}
+
+/**
+ * Start a review that the Cancel Review command can stop; returns its AbortController
+ */
+function beginCancellableReview() {
+    currentReviewSession = new Date().toISOString();
+    const controller = new AbortController();
+    currentReviewCancellation = controller;
+    cancelStatusBarItem.show();
+    return controller;
+}
+
+/**
+ * Store what the current review command did (see ReviewHistory.recordSession), for reports
+ */
+async function recordReviewSession(title, { reviewed = [], failed = [], skipped = [], cancelled = false } = {}) {
+    if (!currentReviewSession) return;
+    await reviewHistory.recordSession({
+        id: currentReviewSession,
+        title,
+        startedAt: currentReviewSession,
+        finishedAt: new Date().toISOString(),
+        model: geminiReviewer.provider ? geminiReviewer.provider.label : '',
+        reviewed,
+        failed,
+        skipped,
+        cancelled
+    });
+}
+
+/**
+ * Forget the running review (or only `controller`, if another review has started since)
+ */
+function endCancellableReview(controller = currentReviewCancellation) {
+    if (controller && controller === currentReviewCancellation) {
+        currentReviewCancellation = null;
+        cancelStatusBarItem.hide();
+    }
+}
+
+/**
+ * Remember the files whose review failed, for "Retry Failed Reviews"
+ */
+function setFailedReviews(files) {
+    failedReviewFiles = files;
+    vscode.commands.executeCommand('setContext', 'aiCodeReviewer.hasFailedReviews', files.length > 0);
+}
+
+/**
+ * Write a typed review to the output channel
+ */
+function logReview(review) {
+    if (review.redactions && review.redactions.length > 0) {
+        const lines = review.redactions.map(r => `${r.kind}${r.line ? ` (line ${r.line}${r.source ? ` of ${path.basename(r.source)}` : ''})` : ''}`);
+        outputChannel.appendLine(`🔒 Redacted ${review.redactions.length} value(s) before sending: ${lines.join(', ')}\n`);
+    }
+
+    outputChannel.appendLine(review.summary || 'No summary provided.');
+
+    if (review.issues && review.issues.length > 0) {
+        outputChannel.appendLine(`\n🐞 ISSUES (${review.issues.length}):\n`);
+        sortIssues(review.issues).forEach((issue, idx) => {
+            outputChannel.appendLine(`${idx + 1}. ${formatIssue(issue)}`);
+            if (issue.explanation && issue.explanation !== issue.title) {
+                outputChannel.appendLine(`   ${issue.explanation}`);
+            }
+        });
+    }
+
+    if (review.suggestions && review.suggestions.length > 0) {
+        outputChannel.appendLine('\n💡 SUGGESTIONS:\n');
+        review.suggestions.forEach((suggestion, idx) => {
+            outputChannel.appendLine(`${idx + 1}. ${suggestion}`);
+        });
+    }
+}
+
+/**
+ * Top-level symbol ranges from the language's symbol provider, used to split large
+ * files for review. Small files (reviewed in one piece) skip the lookup; returns
+ * null when no provider answers in time, and the reviewer then splits by indentation.
+ */
+async function getTopLevelSymbols(document) {
+    const { enabled, maxTokens } = getChunkingSettings();
+    if (!enabled || estimateTokens(document.getText()) <= maxTokens) {
+        return null;
+    }
+
+    try {
+        const symbols = await Promise.race([
+            vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri),
+            new Promise(resolve => setTimeout(() => resolve(null), 3000))
+        ]);
+        if (!Array.isArray(symbols) || symbols.length === 0) {
+            return null;
+        }
+        // DocumentSymbol has a range; SymbolInformation has a location and a containerName
+        return symbols
+            .filter(symbol => symbol.range || !symbol.containerName)
+            .map(symbol => symbol.range || symbol.location.range)
+            .map(range => ({ startLine: range.start.line + 1, endLine: range.end.line + 1 }));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Whether a review has anything the fix generator could act on
+ */
+function hasAutoFix(review) {
+    return Boolean(review.canAutoFix) || (Array.isArray(review.issues) && review.issues.length > 0);
+}
+
 /**
  * Fallback directory scanner (recursively collects files up to maxFiles).
  * Uses FileScanner.shouldReviewFile to filter.
  */
 async function scanDirectoryFallback(dirPath, maxFiles = 1000) {
     const results = [];
+    const ignoreRules = await IgnoreRules.forDirectory(dirPath);
     async function walker(currentPath) {
         if (results.length >= maxFiles) return;
         let entries;
@@ -708,10 +1914,10 @@ async function scanDirectoryFallback(dirPath, maxFiles = 1000) {
             if (results.length >= maxFiles) break;
             const full = path.join(currentPath, entry.name);
             try {
+                if (await FileScanner.shouldSkipEntry(full, entry.isDirectory(), ignoreRules)) {
+                    continue;
+                }
                 if (entry.isDirectory()) {
-                    if (/(node_modules|\.git|dist|build)/i.test(entry.name)) {
-                        continue;
-                    }
                     await walker(full);
                 } else if (entry.isFile()) {
                     if (FileScanner.shouldReviewFile(full, '')) {
@@ -735,6 +1941,6 @@ export function deactivate() {
         cancelStatusBarItem.dispose();
     }
     if (currentReviewCancellation) {
-        try { currentReviewCancellation.dispose(); } catch (_) {}
+        currentReviewCancellation.abort();
     }
 }
\ No newline at end of file
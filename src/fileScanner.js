@@ -1,8 +1,30 @@
 import { promises as fs } from 'fs';
 import path from 'path';
-import * as vscode from 'vscode';
-
+import { globToRegex, matchGlob } from './glob.js';
+import { ProjectConfig } from './projectConfig.js';
+import { ALWAYS_SKIPPED_DIRECTORIES, IgnoreRules } from './ignoreRules.js';
+
+/**
+ * Finds reviewable files. Free of the VS Code API so it also runs in the CLI:
+ * settings come from a config provider, (key, defaultValue) => value, which the
+ * extension points at the `aiCodeReviewer` configuration.
+ */
 export class FileScanner {
+    static configProvider = null;
+
+    /**
+     * Read settings through `provider(key, defaultValue)`; pass null to use the defaults
+     */
+    static setConfigProvider(provider) {
+        FileScanner.configProvider = provider;
+    }
+
+    static getConfig(key, defaultValue) {
+        if (!FileScanner.configProvider) return defaultValue;
+        const value = FileScanner.configProvider(key, defaultValue);
+        return value === undefined ? defaultValue : value;
+    }
+
     /**
      * Default exclude patterns
      */
@@ -50,45 +72,54 @@ export class FileScanner {
     ];
 
     /**
-     * Convert glob-like pattern (with *, **) to a RegExp.
-     * This is a conservative converter that uses `/` as separator.
+     * Convert glob-like pattern (with *, **) to a RegExp (see glob.js)
      */
     static patternToRegex(pattern) {
-        // Normalize to forward slashes
-        let p = pattern.replace(/\\/g, '/');
-
-        // Escape regex special chars, then replace glob tokens
-        // We split on '/' so '**' can be handled as full wildcard
-        const segments = p.split('/').map(seg => {
-            if (seg === '**') return '.*';
-            // escape regex special chars in segment
-            const escaped = seg.replace(/[.+^${}()|[\]\\]/g, '\\$&');
-            // now replace '*' and '?'
-            return escaped.replace(/\\\*/g, '[^/]*').replace(/\\\?/g, '.');
-        });
-
-        const regexString = '^' + segments.join('/') + '$';
-        return new RegExp(regexString, 'i'); // case-insensitive
+        return globToRegex(pattern);
     }
 
     /**
      * Simple glob pattern matching applied to normalized paths.
      */
     static matchPattern(filePath, pattern) {
-        if (!pattern) return false;
-        const normalized = filePath.replace(/\\/g, '/');
-        const regex = FileScanner.patternToRegex(pattern);
-        return regex.test(normalized);
+        return matchGlob(filePath, pattern);
+    }
+
+    /**
+     * Is the path matched by the configured exclude patterns? Directories are also tested
+     * with a trailing slash, so `**\/dist/**` excludes the dist folder itself.
+     */
+    static isExcluded(fullPath, isDirectory = false) {
+        const excludePatterns = FileScanner.getConfig('excludePatterns', FileScanner.DEFAULT_EXCLUDE_PATTERNS);
+        const candidates = isDirectory ? [fullPath, `${fullPath}/`] : [fullPath];
+        return excludePatterns.some(pattern => candidates.some(candidate => FileScanner.matchPattern(candidate, pattern)));
+    }
+
+    /**
+     * Should a directory walk skip this entry? Checks the always-skipped directory names,
+     * the exclude patterns, the project config and the ignore files (see IgnoreRules).
+     */
+    static async shouldSkipEntry(fullPath, isDirectory, ignoreRules = null) {
+        if (isDirectory && ALWAYS_SKIPPED_DIRECTORIES.has(path.basename(fullPath))) return true;
+        if (FileScanner.isExcluded(fullPath, isDirectory)) return true;
+        if (isDirectory) {
+            const project = ProjectConfig.find(fullPath);
+            if (project && project.excludesDirectory(fullPath)) return true;
+        }
+        return !!ignoreRules && await ignoreRules.ignores(fullPath, isDirectory);
     }
 
     /**
-     * Check if a file should be reviewed based on configuration
+     * Check if a file should be reviewed based on configuration.
+     * A project config file (see ProjectConfig) adds include / exclude globs and may
+     * replace the reviewed file types.
      */
     static shouldReviewFile(filePath, languageId = '') {
         try {
-            const config = vscode.workspace.getConfiguration('aiCodeReviewer');
-            const excludePatterns = config.get('excludePatterns', FileScanner.DEFAULT_EXCLUDE_PATTERNS);
-            const includedTypes = config.get('includedFileTypes', FileScanner.DEFAULT_INCLUDED_EXTENSIONS);
+            const project = ProjectConfig.find(filePath);
+            const excludePatterns = FileScanner.getConfig('excludePatterns', FileScanner.DEFAULT_EXCLUDE_PATTERNS);
+            const includedTypes = (project && project.data.fileTypes) ||
+                FileScanner.getConfig('includedFileTypes', FileScanner.DEFAULT_INCLUDED_EXTENSIONS);
 
             // Normalize includedTypes to lower-case extensions (ensure leading dot)
             const normalizedIncluded = (Array.isArray(includedTypes) ? includedTypes : FileScanner.DEFAULT_INCLUDED_EXTENSIONS)
@@ -100,6 +131,9 @@ export class FileScanner {
                     return false;
                 }
             }
+            if (project && project.excludes(filePath)) {
+                return false;
+            }
 
             // Check file extension
             const ext = (path.extname(filePath) || '').toLowerCase();
@@ -143,13 +177,14 @@ export class FileScanner {
     }
 
     /**
-     * Recursively scan directory for files.
+     * Recursively scan directory for files, honouring .gitignore / .aireviewignore files
+     * (ignoreRules is created for the top-level call and passed down).
      *
      * Backwards-compatible signature:
      * - scanDirectory(dirPath) -> returns Promise<Array<string>>
      * - scanDirectory(dirPath, filesArray, maxFiles, depth) -> pushes into filesArray (old style)
      */
-    static async scanDirectory(dirPath, files = null, maxFiles = 1000, depth = 0) {
+    static async scanDirectory(dirPath, files = null, maxFiles = 1000, depth = 0, ignoreRules = null) {
         // If caller provided a files array (old signature), use that; otherwise create and return results
         const isLegacyCall = Array.isArray(files);
         const results = isLegacyCall ? files : [];
@@ -158,35 +193,16 @@ export class FileScanner {
         if (depth > 20) return isLegacyCall ? undefined : results;
 
         try {
+            const rules = ignoreRules || await IgnoreRules.forDirectory(dirPath);
             const entries = await fs.readdir(dirPath, { withFileTypes: true });
             for (const entry of entries) {
                 if (results.length >= maxFiles) break;
 
                 const fullPath = path.join(dirPath, entry.name);
+                if (await FileScanner.shouldSkipEntry(fullPath, entry.isDirectory(), rules)) continue;
 
-                // Quick skip for common heavy directories based on name
                 if (entry.isDirectory()) {
-                    const name = entry.name.toLowerCase();
-                    if (/(node_modules|\.git|dist|build|coverage|venv|\.next|\.nuxt)/i.test(name)) {
-                        continue;
-                    }
-                }
-
-                // Check exclude patterns (use workspace config if available)
-                const config = vscode.workspace.getConfiguration('aiCodeReviewer');
-                const excludePatterns = config.get('excludePatterns', FileScanner.DEFAULT_EXCLUDE_PATTERNS);
-
-                let shouldSkip = false;
-                for (const pattern of excludePatterns) {
-                    if (FileScanner.matchPattern(fullPath, pattern)) {
-                        shouldSkip = true;
-                        break;
-                    }
-                }
-                if (shouldSkip) continue;
-
-                if (entry.isDirectory()) {
-                    await FileScanner.scanDirectory(fullPath, results, maxFiles, depth + 1);
+                    await FileScanner.scanDirectory(fullPath, results, maxFiles, depth + 1, rules);
                 } else if (entry.isFile()) {
                     if (FileScanner.shouldReviewFile(fullPath)) {
                         results.push(fullPath);
@@ -194,11 +210,8 @@ export class FileScanner {
                 }
             }
         } catch (error) {
-            // Skip directories we can't access - log to output if possible
-            try {
-                const output = vscode.window.createOutputChannel ? vscode.window.createOutputChannel('AI Code Reviewer Scanner') : null;
-                if (output) output.appendLine(`⚠️ Cannot access directory: ${dirPath} — ${error.message}`);
-            } catch (_) { /* ignore */ }
+            // Skip directories we can't access
+            console.warn(`Cannot access directory: ${dirPath} — ${error.message}`);
         }
 
         return isLegacyCall ? undefined : results;
@@ -253,7 +266,7 @@ export class FileScanner {
         };
 
         try {
-            await FileScanner.buildStructureTree(workspacePath, structure, 0, maxDepth);
+            await FileScanner.buildStructureTree(workspacePath, structure, 0, maxDepth, await IgnoreRules.forDirectory(workspacePath));
         } catch (error) {
             console.error('Error building project structure:', error);
         }
@@ -262,9 +275,9 @@ export class FileScanner {
     }
 
     /**
-     * Build directory tree structure
+     * Build directory tree structure (excluded and ignored entries are left out)
      */
-    static async buildStructureTree(dirPath, node, depth, maxDepth) {
+    static async buildStructureTree(dirPath, node, depth, maxDepth, ignoreRules = null) {
         if (depth >= maxDepth) {
             return;
         }
@@ -273,12 +286,9 @@ export class FileScanner {
             const entries = await fs.readdir(dirPath, { withFileTypes: true });
 
             for (const entry of entries) {
-                // Skip excluded directories by name
-                if (entry.isDirectory()) {
-                    const shouldSkip = ['node_modules', '.git', 'dist', 'build', 'coverage', 'venv', '.next', '.nuxt'].includes(entry.name);
-                    if (shouldSkip) {
-                        continue;
-                    }
+                const fullPath = path.join(dirPath, entry.name);
+                if (await FileScanner.shouldSkipEntry(fullPath, entry.isDirectory(), ignoreRules)) {
+                    continue;
                 }
 
                 const childNode = {
@@ -288,8 +298,7 @@ export class FileScanner {
                 };
 
                 if (entry.isDirectory()) {
-                    const fullPath = path.join(dirPath, entry.name);
-                    await FileScanner.buildStructureTree(fullPath, childNode, depth + 1, maxDepth);
+                    await FileScanner.buildStructureTree(fullPath, childNode, depth + 1, maxDepth, ignoreRules);
                 }
 
                 node.children.push(childNode);
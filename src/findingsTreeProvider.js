@@ -0,0 +1,192 @@
+// src/findingsTreeProvider.js
+import * as vscode from 'vscode';
+import path from 'path';
+import { SEVERITIES } from './reviewSchema.js';
+import { getWorkspaceRoots, groupByRoot } from './workspaceRoots.js';
+
+const SEVERITY_ICONS = {
+    Critical: new vscode.ThemeIcon('error', new vscode.ThemeColor('errorForeground')),
+    High: new vscode.ThemeIcon('error', new vscode.ThemeColor('problemsErrorIcon.foreground')),
+    Medium: new vscode.ThemeIcon('warning', new vscode.ThemeColor('problemsWarningIcon.foreground')),
+    Low: new vscode.ThemeIcon('info', new vscode.ThemeColor('problemsInfoIcon.foreground'))
+};
+
+const STATUS_ICONS = {
+    resolved: new vscode.ThemeIcon('check'),
+    dismissed: new vscode.ThemeIcon('circle-slash')
+};
+
+/**
+ * "Findings" tree: reviewed files → severity → findings, from the latest run in ReviewHistory.
+ * In multi-root workspaces files are grouped under their workspace folder first.
+ * Findings that disappeared since the previous review are listed under "Fixed".
+ */
+export class FindingsTreeProvider {
+    // ruleIds: team rule ids to show (null stands for findings without a rule); null shows all
+    static DEFAULT_FILTER = { severities: [...SEVERITIES], statuses: ['open'], onlyNew: false, ruleIds: null };
+
+    constructor(history) {
+        this.history = history;
+        this.filter = { ...FindingsTreeProvider.DEFAULT_FILTER };
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    setFilter(filter) {
+        this.filter = { ...FindingsTreeProvider.DEFAULT_FILTER, ...filter };
+        this.refresh();
+    }
+
+    isFiltered() {
+        const defaults = FindingsTreeProvider.DEFAULT_FILTER;
+        return this.filter.onlyNew
+            || this.filter.ruleIds !== null
+            || this.filter.severities.length !== defaults.severities.length
+            || this.filter.statuses.join() !== defaults.statuses.join();
+    }
+
+    /**
+     * Short description of the active filter, shown next to the view title
+     */
+    describeFilter() {
+        if (!this.isFiltered()) return '';
+        const parts = [];
+        if (this.filter.severities.length !== SEVERITIES.length) parts.push(this.filter.severities.join('/'));
+        parts.push(this.filter.statuses.join('/'));
+        if (this.filter.onlyNew) parts.push('new only');
+        if (this.filter.ruleIds) parts.push(this.filter.ruleIds.map(id => id || 'no rule').join('/'));
+        return parts.join(' · ');
+    }
+
+    matchesFilter(finding) {
+        return this.filter.severities.includes(finding.severity)
+            && this.filter.statuses.includes(finding.status)
+            && (!this.filter.onlyNew || finding.change === 'new')
+            && (!this.filter.ruleIds || this.filter.ruleIds.includes(finding.ruleId || null));
+    }
+
+    getChildren(element) {
+        if (!element) {
+            const files = this._fileNodes(this.history.getFiles());
+            if (getWorkspaceRoots().length <= 1) return files;
+            return groupByRoot(files.map(node => node.filePath)).map(({ folder, paths }) => ({
+                type: 'root',
+                folder,
+                files: files.filter(node => paths.includes(node.filePath))
+            }));
+        }
+
+        if (element.type === 'root') {
+            return element.files;
+        }
+
+        if (element.type === 'file') {
+            const findings = this._visibleFindings(element.run);
+            const groups = SEVERITIES
+                .map(severity => ({ type: 'severity', filePath: element.filePath, severity, findings: findings.filter(f => f.severity === severity) }))
+                .filter(group => group.findings.length > 0);
+            if (this._showFixed() && element.run.fixed.length > 0) {
+                groups.push({ type: 'fixed', filePath: element.filePath, findings: element.run.fixed });
+            }
+            return groups;
+        }
+
+        if (element.type === 'severity' || element.type === 'fixed') {
+            return [...element.findings]
+                .sort((a, b) => a.startLine - b.startLine)
+                .map(finding => ({ type: element.type === 'fixed' ? 'fixedFinding' : 'finding', filePath: element.filePath, finding }));
+        }
+
+        return [];
+    }
+
+    _fileNodes(filePaths) {
+        return filePaths
+            .map(filePath => ({ type: 'file', filePath, run: this.history.getLatest(filePath) }))
+            .filter(node => this._visibleFindings(node.run).length > 0 || (this._showFixed() && node.run.fixed.length > 0));
+    }
+
+    _visibleFindings(run) {
+        return run.findings.filter(f => this.matchesFilter(f));
+    }
+
+    _showFixed() {
+        return !this.filter.onlyNew;
+    }
+
+    getTreeItem(element) {
+        const Collapsible = vscode.TreeItemCollapsibleState;
+
+        switch (element.type) {
+            case 'root': {
+                const item = new vscode.TreeItem(element.folder ? element.folder.name : 'Outside the workspace', Collapsible.Expanded);
+                const open = element.files.reduce((sum, node) => sum + node.run.findings.filter(f => f.status === 'open').length, 0);
+                item.description = `${element.files.length} file(s) · ${open} open`;
+                item.iconPath = new vscode.ThemeIcon(element.folder ? 'root-folder' : 'folder');
+                if (element.folder) item.tooltip = element.folder.uri.fsPath;
+                return item;
+            }
+
+            case 'file': {
+                const { run } = element;
+                const item = new vscode.TreeItem(path.basename(element.filePath), Collapsible.Expanded);
+                item.resourceUri = vscode.Uri.file(element.filePath);
+                item.contextValue = 'findingsFile';
+
+                const open = run.findings.filter(f => f.status === 'open').length;
+                const added = run.findings.filter(f => f.change === 'new').length;
+                const counts = [`${open} open`];
+                if (added > 0 && this.history.getRuns(element.filePath).length > 1) counts.push(`${added} new`);
+                if (run.fixed.length > 0) counts.push(`${run.fixed.length} fixed`);
+                item.description = counts.join(' · ');
+                item.tooltip = `${vscode.workspace.asRelativePath(element.filePath)}\nReviewed ${new Date(run.timestamp).toLocaleString()}${run.model ? ` with ${run.model}` : ''}${run.scope === 'diff' ? ' (changes only)' : run.scope === 'partial' ? ' (partial)' : ''}`;
+                return item;
+            }
+
+            case 'severity': {
+                const item = new vscode.TreeItem(`${element.severity} (${element.findings.length})`, Collapsible.Expanded);
+                item.iconPath = SEVERITY_ICONS[element.severity];
+                return item;
+            }
+
+            case 'fixed': {
+                const item = new vscode.TreeItem(`Fixed since last review (${element.findings.length})`, Collapsible.Collapsed);
+                item.iconPath = new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed'));
+                return item;
+            }
+
+            case 'finding':
+            case 'fixedFinding': {
+                const { finding } = element;
+                const fixed = element.type === 'fixedFinding';
+                const item = new vscode.TreeItem(finding.title, Collapsible.None);
+                const lines = finding.endLine > finding.startLine ? `lines ${finding.startLine}-${finding.endLine}` : `line ${finding.startLine}`;
+                const tags = [lines, ...(finding.ruleId ? [finding.ruleId] : []), finding.category];
+                if (!fixed && finding.change === 'new' && this.history.getRuns(element.filePath).length > 1) tags.push('new');
+                if (!fixed && finding.status !== 'open') tags.push(finding.status);
+                item.description = tags.join(' · ');
+                const rule = finding.ruleId ? `Team rule \`${finding.ruleId}\`\n\n` : '';
+                item.tooltip = new vscode.MarkdownString(`**[${finding.severity}] ${finding.title}**\n\n${rule}${finding.explanation || ''}`);
+                item.iconPath = fixed
+                    ? new vscode.ThemeIcon('pass')
+                    : STATUS_ICONS[finding.status] || SEVERITY_ICONS[finding.severity];
+                item.contextValue = fixed ? 'fixedFinding' : `finding.${finding.status}`;
+                if (!fixed) {
+                    item.command = {
+                        command: 'ai-code-reviewer.revealFinding',
+                        title: 'Go to Finding',
+                        arguments: [element]
+                    };
+                }
+                return item;
+            }
+
+            default:
+                return new vscode.TreeItem('');
+        }
+    }
+}
@@ -0,0 +1,245 @@
+// src/fixPreview.js
+import * as vscode from 'vscode';
+import path from 'path';
+import { diffLines, applyHunks } from './lineDiff.js';
+
+export const PROPOSED_SCHEME = 'ai-code-reviewer-proposed';
+
+/**
+ * Shows AI fixes as a side-by-side diff before anything touches the file.
+ * Serves the proposed text through a virtual document and keeps a queue of
+ * pending proposals for batch reviews.
+ */
+export class FixPreviewManager {
+    constructor(outputChannel) {
+        this.outputChannel = outputChannel;
+        // original uri string -> { originalUri, baseText, proposedText }
+        this.proposals = new Map();
+        this.queue = [];
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    /**
+     * TextDocumentContentProvider: content of the proposed (right-hand) side
+     */
+    provideTextDocumentContent(uri) {
+        const proposal = this.proposals.get(FixPreviewManager.originalKey(uri));
+        return proposal ? proposal.proposedText : '';
+    }
+
+    static originalKey(proposedUri) {
+        return decodeURIComponent(proposedUri.query);
+    }
+
+    static proposedUri(originalUri) {
+        return originalUri.with({ scheme: PROPOSED_SCHEME, query: encodeURIComponent(originalUri.toString()) });
+    }
+
+    get pendingCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Register a proposal for a document; returns false if it would not change anything
+     */
+    addProposal(document, proposedText) {
+        const baseText = document.getText();
+        if (proposedText === baseText) return false;
+
+        const key = document.uri.toString();
+        this.proposals.set(key, { originalUri: document.uri, baseText, proposedText });
+        this._onDidChange.fire(FixPreviewManager.proposedUri(document.uri));
+        return true;
+    }
+
+    /**
+     * Open the diff for a proposal right away
+     */
+    async propose(document, proposedText) {
+        if (!this.addProposal(document, proposedText)) {
+            vscode.window.showInformationMessage('The AI fix does not change the file.');
+            return false;
+        }
+        await this.showDiff(document.uri);
+        return true;
+    }
+
+    /**
+     * Queue a proposal to be reviewed later (used by "Apply All")
+     */
+    enqueue(document, proposedText) {
+        if (!this.addProposal(document, proposedText)) return false;
+
+        const key = document.uri.toString();
+        if (!this.queue.includes(key)) this.queue.push(key);
+        this.updateContext();
+        return true;
+    }
+
+    async showDiff(originalUri) {
+        const title = `${path.basename(originalUri.fsPath)} ↔ AI Proposed Fix`;
+        await vscode.commands.executeCommand('vscode.diff', originalUri, FixPreviewManager.proposedUri(originalUri), title, { preview: false });
+    }
+
+    /**
+     * Open the next queued proposal, if any
+     */
+    async openNext() {
+        while (this.queue.length > 0) {
+            const key = this.queue[0];
+            const proposal = this.proposals.get(key);
+            if (proposal) {
+                await this.showDiff(proposal.originalUri);
+                return true;
+            }
+            this.queue.shift();
+        }
+        this.updateContext();
+        return false;
+    }
+
+    /**
+     * Find the proposal the user is looking at (diff editor or the original file)
+     */
+    resolveProposal(uri) {
+        const target = uri || vscode.window.activeTextEditor?.document.uri;
+        if (!target) return undefined;
+        const key = target.scheme === PROPOSED_SCHEME ? FixPreviewManager.originalKey(target) : target.toString();
+        return this.proposals.get(key);
+    }
+
+    /**
+     * Write the full proposal to the file
+     */
+    async accept(uri) {
+        const proposal = this.resolveProposal(uri);
+        if (!proposal) {
+            vscode.window.showWarningMessage('No AI fix preview is active.');
+            return;
+        }
+
+        const document = await vscode.workspace.openTextDocument(proposal.originalUri);
+        if (document.getText() !== proposal.baseText) {
+            const choice = await vscode.window.showWarningMessage(
+                `${path.basename(proposal.originalUri.fsPath)} changed since the fix was generated. Overwrite it with the proposed version?`,
+                'Overwrite',
+                'Cancel'
+            );
+            if (choice !== 'Overwrite') return;
+        }
+
+        await this.replaceDocument(document, proposal.proposedText);
+        this.outputChannel && this.outputChannel.appendLine(`✅ Accepted AI fix for ${proposal.originalUri.fsPath}`);
+        await this.finish(proposal);
+    }
+
+    /**
+     * Discard the proposal without touching the file
+     */
+    async reject(uri) {
+        const proposal = this.resolveProposal(uri);
+        if (!proposal) {
+            vscode.window.showWarningMessage('No AI fix preview is active.');
+            return;
+        }
+        this.outputChannel && this.outputChannel.appendLine(`⏭️ Rejected AI fix for ${proposal.originalUri.fsPath}`);
+        await this.finish(proposal);
+    }
+
+    /**
+     * Apply a single hunk: the one under the cursor in the diff, or one picked from a list
+     */
+    async acceptHunk(uri) {
+        const proposal = this.resolveProposal(uri);
+        if (!proposal) {
+            vscode.window.showWarningMessage('No AI fix preview is active.');
+            return;
+        }
+
+        const document = await vscode.workspace.openTextDocument(proposal.originalUri);
+        const currentText = document.getText();
+        const hunks = diffLines(currentText, proposal.proposedText);
+        if (hunks.length === 0) {
+            await this.finish(proposal);
+            return;
+        }
+
+        let hunk = this.hunkAtCursor(hunks);
+        if (!hunk) {
+            const picked = await vscode.window.showQuickPick(
+                hunks.map((h, idx) => ({
+                    label: `Hunk ${idx + 1}: line ${h.originalStart + 1}`,
+                    description: `-${h.originalLength} +${h.modifiedLength}`,
+                    detail: (h.modifiedLines[0] ?? h.originalLines[0] ?? '').trim(),
+                    hunk: h
+                })),
+                { placeHolder: 'Select the change to accept' }
+            );
+            if (!picked) return;
+            hunk = picked.hunk;
+        }
+
+        await this.replaceDocument(document, applyHunks(currentText, [hunk]));
+        proposal.baseText = document.getText();
+
+        if (proposal.baseText === proposal.proposedText) {
+            await this.finish(proposal);
+        } else {
+            this._onDidChange.fire(FixPreviewManager.proposedUri(proposal.originalUri));
+        }
+    }
+
+    /**
+     * Hunk under the cursor of the active diff side (proposed or original)
+     */
+    hunkAtCursor(hunks) {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) return undefined;
+        const line = editor.selection.active.line;
+        const onProposedSide = editor.document.uri.scheme === PROPOSED_SCHEME;
+        return hunks.find(h => {
+            const start = onProposedSide ? h.modifiedStart : h.originalStart;
+            const length = onProposedSide ? h.modifiedLength : h.originalLength;
+            return line >= start && line <= start + Math.max(length - 1, 0);
+        });
+    }
+
+    async replaceDocument(document, text) {
+        const edit = new vscode.WorkspaceEdit();
+        const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+        edit.replace(document.uri, fullRange, text);
+        await vscode.workspace.applyEdit(edit);
+        await document.save();
+    }
+
+    /**
+     * Drop a proposal, close its diff and move on to the next queued one
+     */
+    async finish(proposal) {
+        const key = proposal.originalUri.toString();
+        this.proposals.delete(key);
+        this.queue = this.queue.filter(k => k !== key);
+
+        const active = vscode.window.activeTextEditor;
+        if (active && active.document.uri.scheme === PROPOSED_SCHEME &&
+            FixPreviewManager.originalKey(active.document.uri) === key) {
+            await vscode.commands.executeCommand('workbench.action.closeActiveEditor');
+        }
+
+        this.updateContext();
+        if (this.queue.length > 0) {
+            await this.openNext();
+        }
+    }
+
+    updateContext() {
+        vscode.commands.executeCommand('setContext', 'aiCodeReviewer.hasQueuedFixes', this.queue.length > 0);
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+        this.proposals.clear();
+        this.queue = [];
+    }
+}
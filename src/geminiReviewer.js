@@ -1,29 +1,77 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { promises as fs } from 'fs';
 import path from 'path';
+import {
+    REVIEW_RESPONSE_SCHEMA,
+    SEVERITIES,
+    extractJson,
+    formatIssue,
+    normalizeIssue,
+    normalizeReview,
+    numberLines
+} from './reviewSchema.js';
+import { GeminiProvider, ProviderError, isAbortError } from './providers/index.js';
+import { GitDiff } from './gitDiff.js';
+import { SandboxError, ToolSandbox } from './toolSandbox.js';
+import { Redactor } from './redactor.js';
+import { ReviewCache, hashContent } from './reviewCache.js';
+import { chunkCode, estimateTokens, extractImports } from './chunker.js';
+import { ProjectConfig, applyProjectSettings } from './projectConfig.js';
+import { ALWAYS_SKIPPED_DIRECTORIES, IgnoreRules } from './ignoreRules.js';
+import { ImportGraph, extractSignatures, formatRelatedContext, languageOf } from './importGraph.js';
 
+/**
+ * Review engine. Despite the name it is backend-agnostic: the LLM is supplied as a
+ * provider (see ./providers) and Gemini is only the default.
+ */
 export class GeminiReviewer {
+    /**
+     * Bump whenever the review prompt or parsing changes, so cached reviews are not reused
+     */
+    static PROMPT_VERSION = 2;
+    // Imported files larger than this are not parsed for signatures
+    static MAX_RELATED_FILE_BYTES = 512 * 1024;
+
     constructor(outputChannel) {
         this.outputChannel = outputChannel;
-        this.genAI = null;
-        this.model = null;
-        this.apiKey = null;
+        this.provider = null;
+        // Per-mode generation overrides: { review, fix, summary }
+        this.generation = { review: {}, fix: {}, summary: {} };
+        // Workspace roots, exclude patterns, byte caps and audit log for tool calls
+        this.sandboxOptions = {};
+        // Secrets and PII are swapped for placeholders before anything is sent
+        this.redactor = new Redactor();
+        // Optional ReviewCache; unchanged files reuse their stored review
+        this.cache = null;
+        // Optional RateLimiter gating every API request
+        this.rateLimiter = null;
+        // Files estimated above maxTokens are reviewed and fixed in parts
+        this.chunking = { enabled: true, maxTokens: 6000 };
+        // Signatures of imported and importing files sent along with JS/TS/Python reviews
+        this.relatedContext = { enabled: true, maxTokens: 1500 };
+        // root directory -> ImportGraph
+        this.importGraphs = new Map();
+    }
+
+    /**
+     * Use the given LLM provider for all subsequent requests
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Set generation parameters per mode ({ review, fix, summary }); missing modes keep their values
+     */
+    setGenerationSettings(settings = {}) {
+        this.generation = { ...this.generation, ...settings };
     }
 
+    /**
+     * Backwards-compatible shortcut: use Gemini with the given API key
+     */
     setApiKey(apiKey) {
-        // store key and initialize client (depends on SDK)
-        this.apiKey = apiKey;
         try {
-            this.genAI = new GoogleGenerativeAI(apiKey);
-            this.model = this.genAI.getGenerativeModel({
-                model: 'gemini-2.5-flash',
-                generationConfig: {
-                    temperature: 0.7,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 8192,
-                }
-            });
+            this.setProvider(new GeminiProvider({ apiKey }));
         } catch (err) {
             // SDK initialization issues should be surfaced but not crash
             this.outputChannel && this.outputChannel.appendLine(`⚠️ Gemini init warning: ${err.message}`);
@@ -31,7 +79,7 @@ export class GeminiReviewer {
     }
 
     /**
-     * Define tools/functions that Gemini can use
+     * Define tools/functions the model can use
      */
     getToolDefinitions() {
         return [
@@ -43,7 +91,7 @@ export class GeminiReviewer {
                     properties: {
                         file_path: {
                             type: 'string',
-                            description: 'The relative or absolute path to the file to read'
+                            description: 'Path of the file to read, relative to the project root'
                         }
                     },
                     required: ['file_path']
@@ -57,7 +105,7 @@ export class GeminiReviewer {
                     properties: {
                         directory_path: {
                             type: 'string',
-                            description: 'The path to the directory to list'
+                            description: 'Path of the directory to list, relative to the project root'
                         }
                     },
                     required: ['directory_path']
@@ -85,41 +133,167 @@ export class GeminiReviewer {
     }
 
     /**
-     * Execute tool functions called by Gemini
+     * Execute tool functions called by the model, inside the review's sandbox.
+     * File contents are redacted in the review's `redaction` scope; what was redacted is
+     * appended to `redactions`.
+     * An aborted `signal` stops the call (and directory searches) with a cancellation error.
      */
-    async executeToolFunction(functionName, args) {
+    async executeToolFunction(functionName, args, sandbox = this.createSandbox(), redactions = [], signal = null, redaction = this.redactor.scope()) {
+        ProviderError.throwIfAborted(signal);
         try {
+            let result;
             switch (functionName) {
                 case 'read_file':
-                    return await this.readFile(args.file_path);
+                    result = await this.readFile(args.file_path, sandbox);
+                    if (result.success) {
+                        const { text, findings } = redaction.redact(result.content, result.path);
+                        result.content = text;
+                        redactions.push(...findings);
+                    }
+                    break;
 
                 case 'list_directory':
-                    return await this.listDirectory(args.directory_path);
+                    result = await this.listDirectory(args.directory_path, sandbox);
+                    break;
 
                 case 'find_file':
-                    return await this.findFile(args.pattern, args.directory);
+                    result = await this.findFile(args.pattern, args.directory, sandbox, signal);
+                    break;
 
                 default:
+                    await sandbox.audit(functionName, args, 'denied', { reason: 'unknown tool' });
                     return `Error: Unknown function ${functionName}`;
             }
+
+            ProviderError.throwIfAborted(signal);
+            await sandbox.audit(functionName, args, result.success ? 'ok' : 'error', {
+                path: result.path,
+                bytes: result.content !== undefined ? Buffer.byteLength(result.content, 'utf-8') : undefined,
+                reason: result.error
+            });
+            return result;
         } catch (error) {
+            if (isAbortError(error)) {
+                await sandbox.audit(functionName, args, 'cancelled', {});
+                throw error;
+            }
+            if (error instanceof SandboxError) {
+                await sandbox.audit(functionName, args, 'denied', { reason: error.message });
+                return { success: false, error: error.message };
+            }
+            await sandbox.audit(functionName, args, 'error', { reason: error.message });
             return `Error executing ${functionName}: ${error.message}`;
         }
     }
 
+    /**
+     * Configure how tool calls are confined (see ToolSandbox for the options).
+     * Applies to reviews started afterwards.
+     */
+    setSandboxOptions(options = {}) {
+        this.sandboxOptions = { ...this.sandboxOptions, ...options };
+    }
+
+    /**
+     * Reuse reviews of unchanged content (pass null to disable)
+     */
+    setCache(cache) {
+        this.cache = cache;
+    }
+
+    /**
+     * Configure chunked review of large files: { enabled, maxTokens }
+     */
+    setChunkingOptions(options = {}) {
+        this.chunking = { ...this.chunking, ...options };
+    }
+
+    /**
+     * Configure the related-files context: { enabled, maxTokens }
+     */
+    setRelatedContextOptions(options = {}) {
+        this.relatedContext = { ...this.relatedContext, ...options };
+    }
+
+    _shouldChunk(code) {
+        return this.chunking.enabled && estimateTokens(code) > this.chunking.maxTokens;
+    }
+
+    /**
+     * Gate all API requests through a shared RateLimiter (pass null to disable)
+     */
+    setRateLimiter(rateLimiter) {
+        this.rateLimiter = rateLimiter;
+    }
+
+    /**
+     * Send one API request, waiting for the rate limiter first.
+     * Nothing is sent once `signal` is aborted, including while waiting for the limiter.
+     */
+    async _request(fn, signal = null) {
+        ProviderError.throwIfAborted(signal);
+        if (this.rateLimiter) {
+            await this.rateLimiter.acquire(() => !!(signal && signal.aborted));
+            ProviderError.throwIfAborted(signal);
+        }
+        return fn();
+    }
+
+    /**
+     * Cache key covering everything that shapes a review of `code`. Related-file context
+     * is covered by its settings only, so a lookup needs no workspace scan; like the rest
+     * of the key, edits to other files do not invalidate it.
+     */
+    reviewCacheKey(filePath, code, range = null) {
+        const related = this.relatedContext.enabled && languageOf(filePath) ? this.relatedContext : null;
+        return ReviewCache.key({
+            ...(range ? { range } : {}),
+            ...(related ? { related } : {}),
+            promptVersion: GeminiReviewer.PROMPT_VERSION,
+            content: hashContent(code),
+            fileName: path.basename(filePath),
+            provider: this.provider ? this.provider.label : '',
+            generation: this.generation.review,
+            redaction: this.redactor.enabled,
+            chunking: this.chunking,
+            project: ProjectConfig.settingsFor(filePath)
+        });
+    }
+
+    /**
+     * Configure secret / PII redaction (see Redactor.configure)
+     */
+    setRedactionOptions(options = {}) {
+        this.redactor.configure(options);
+    }
+
+    /**
+     * A fresh sandbox for one review; options.allowOutsideWorkspace pre-approves outside paths
+     */
+    createSandbox(options = {}) {
+        const sandbox = new ToolSandbox({ outputChannel: this.outputChannel, ...this.sandboxOptions, ...options });
+        if (options.allowOutsideWorkspace) {
+            sandbox.outsideAllowed = true;
+        }
+        return sandbox;
+    }
+
     /**
      * Tool: Read file contents
      */
-    async readFile(filePath) {
+    async readFile(filePath, sandbox = this.createSandbox()) {
+        const absPath = await sandbox.resolve(filePath);
         try {
-            const content = await fs.readFile(filePath, 'utf-8');
+            const { content, size, truncated } = await sandbox.readText(absPath);
             return {
                 success: true,
-                path: filePath,
+                path: sandbox.displayPath(absPath),
                 content: content,
-                size: content.length
+                size: size,
+                truncated: truncated
             };
         } catch (error) {
+            if (error instanceof SandboxError) throw error;
             return {
                 success: false,
                 error: `Cannot read file: ${error.message}`
@@ -128,14 +302,16 @@ export class GeminiReviewer {
     }
 
     /**
-     * Tool: List directory contents
+     * Tool: List directory contents (excluded entries are hidden)
      */
-    async listDirectory(dirPath) {
+    async listDirectory(dirPath, sandbox = this.createSandbox()) {
+        const absDir = await sandbox.resolve(dirPath || '.');
         try {
-            const entries = await fs.readdir(dirPath, { withFileTypes: true });
+            const entries = await fs.readdir(absDir, { withFileTypes: true });
+            const visible = entries.filter(entry => !sandbox.isExcluded(path.join(absDir, entry.name)));
             const fileDetails = await Promise.all(
-                entries.map(async (entry) => {
-                    const fullPath = path.join(dirPath, entry.name);
+                visible.map(async (entry) => {
+                    const fullPath = path.join(absDir, entry.name);
                     try {
                         const stats = await fs.stat(fullPath);
                         return {
@@ -150,7 +326,8 @@ export class GeminiReviewer {
             );
             return {
                 success: true,
-                directory: dirPath,
+                path: sandbox.displayPath(absDir),
+                directory: sandbox.displayPath(absDir),
                 files: fileDetails
             };
         } catch (error) {
@@ -162,12 +339,14 @@ export class GeminiReviewer {
     }
 
     /**
-     * Helper: recursively walk a directory and collect file paths
+     * Helper: recursively walk a directory and collect file paths, skipping files matched by
+     * .gitignore / .aireviewignore (see IgnoreRules); stops early once isCancelled() is true
      */
-    async _walkDirectory(dir, maxFiles = 1000) {
+    async _walkDirectory(dir, maxFiles = 1000, isExcluded = () => false, isCancelled = () => false) {
         const results = [];
+        const ignoreRules = await IgnoreRules.forDirectory(dir);
         async function walker(current) {
-            if (results.length >= maxFiles) return;
+            if (results.length >= maxFiles || isCancelled()) return;
             let entries;
             try {
                 entries = await fs.readdir(current, { withFileTypes: true });
@@ -177,9 +356,10 @@ export class GeminiReviewer {
             for (const entry of entries) {
                 if (results.length >= maxFiles) break;
                 const full = path.join(current, entry.name);
+                if (isExcluded(full)) continue;
+                if (entry.isDirectory() && ALWAYS_SKIPPED_DIRECTORIES.has(entry.name)) continue;
+                if (await ignoreRules.ignores(full, entry.isDirectory())) continue;
                 if (entry.isDirectory()) {
-                    // skip common heavy dirs
-                    if (/(node_modules|\.git|dist|build|coverage|venv|\.next|\.nuxt)/i.test(entry.name)) continue;
                     await walker(full);
                 } else if (entry.isFile()) {
                     results.push(full);
@@ -191,15 +371,15 @@ export class GeminiReviewer {
     }
 
     /**
-     * Tool: Find files by pattern (supports simple glob * and ?)
+     * Tool: Find files by pattern (supports simple glob * and ?); searches the workspace by default
      */
-    async findFile(pattern, directory = '.') {
+    async findFile(pattern, directory, sandbox = this.createSandbox(), signal = null) {
+        const dirToSearch = await sandbox.resolve(directory || '.');
         try {
-            const dirToSearch = directory || '.';
-            const allFiles = await this._walkDirectory(dirToSearch, 5000);
+            const allFiles = await this._walkDirectory(dirToSearch, 5000, full => sandbox.isExcluded(full), () => !!(signal && signal.aborted));
 
             // Convert a simple glob to regex (filename only)
-            const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            const escaped = String(pattern || '*').replace(/[.+^${}()|[\]\\]/g, '\\$&')
                                    .replace(/\*/g, '.*')
                                    .replace(/\?/g, '.');
             const regex = new RegExp(`^${escaped}$`, 'i');
@@ -207,8 +387,9 @@ export class GeminiReviewer {
             const matches = allFiles.filter(f => regex.test(path.basename(f)));
             return {
                 success: true,
+                path: sandbox.displayPath(dirToSearch),
                 pattern: pattern,
-                matches: matches
+                matches: matches.map(f => sandbox.displayPath(f))
             };
         } catch (error) {
             return {
@@ -221,139 +402,600 @@ export class GeminiReviewer {
     /**
      * Main code review function
      *
-     * options: { signal } optionally accepts an AbortSignal (best-effort if underlying SDK supports it)
+     * options: { signal } an AbortSignal; aborting it cancels the request in flight and rejects with a
+     * cancellation error (see isAbortError), except for large files where the parts reviewed so far
+     * are returned as a partial review with `cancelled: true`;
+     * { allowOutsideWorkspace } lets this review's tool calls read outside the workspace;
+     * { quiet } never asks the user: tool calls outside the workspace are refused (background reviews);
+     * { force } skips the review cache;
+     * { symbols } top-level symbol ranges ([{ startLine, endLine }]) used to split large files
      */
     async reviewCode(filePath, code, options = {}) {
-        if (!this.model) {
-            throw new Error('API key not set. Please set your Gemini API key first.');
+        const cacheKey = this.cache ? this.reviewCacheKey(filePath, code) : null;
+        if (cacheKey && !options.force) {
+            const cached = await this.cache.get(cacheKey);
+            if (cached) {
+                this.outputChannel && this.outputChannel.appendLine('♻️ File unchanged since its last review, using the cached result.');
+                return { ...cached, cached: true };
+            }
+        }
+
+        const redaction = this.redactor.scope();
+        const related = await this._relatedContext(filePath, code, redaction);
+        const { text: safeCode, findings } = redaction.redact(code, filePath);
+        const redactions = [...findings, ...related.redactions];
+        const lineCount = code.split('\n').length;
+
+        const review = this._shouldChunk(code)
+            ? await this._reviewChunked(filePath, safeCode, { ...options, redaction, redactions, lineCount, related: related.text })
+            : await this._runReview(this._codeReviewPrompt(filePath, numberLines(safeCode), null, related.text), filePath, { ...options, redaction, redactions, lineCount });
+
+        review.issues = applyProjectSettings(review.issues, ProjectConfig.settingsFor(filePath));
+
+        // A review with failed parts should be retried next time, not reused
+        if (cacheKey && !review.partial) {
+            await this.cache.set(cacheKey, review);
         }
+        return review;
+    }
 
+    /**
+     * Review prompt for numbered code; `part` ({ index, count, startLine, endLine, imports })
+     * marks one chunk of a large file, or ({ selection: true, startLine, endLine, context })
+     * a selection with its context already formatted; `related` is the (redacted) related-files
+     * context from _relatedContext
+     */
+    _codeReviewPrompt(filePath, numberedCode, part = null, related = '') {
         const fileName = path.basename(filePath);
         const fileExt = path.extname(filePath) || '';
 
-        const prompt = `You are an expert code reviewer. Review the following ${fileExt} file and provide:
+        let partInfo = '';
+        if (part && part.selection) {
+            partInfo = `\nOnly lines ${part.startLine}-${part.endLine} of the file were selected for review. Report issues in these lines only.${part.context}`;
+        } else if (part) {
+            partInfo = `\nThis is part ${part.index} of ${part.count} of a large file (lines ${part.startLine}-${part.endLine}). Review only this part; other parts are reviewed separately.`;
+            if (part.imports.length > 0) {
+                partInfo += `\nImports of the file, for context only (do not report issues here):\n\`\`\`${fileExt}\n${part.imports.map(i => `${i.line} | ${i.text}`).join('\n')}\n\`\`\``;
+            }
+        }
 
-1. **Overall Assessment**: Brief summary of code quality (1-2 sentences)
-2. **Issues Found**: List any bugs, security vulnerabilities, performance issues, or bad practices
-3. **Suggestions**: Concrete improvements with examples
-4. **Severity**: Rate each issue as Critical, High, Medium, or Low
-5. **Can Auto-Fix**: Indicate if issues can be automatically fixed
+        return `You are an expert code reviewer. Review the following ${fileExt} file and report bugs, security vulnerabilities, performance issues and bad practices.
 
-File: ${fileName}
+File: ${fileName}${partInfo}${this._projectInstructions(filePath)}${this._relatedSection(related)}
+Each line is prefixed with its line number ("12 | code"); the prefix is not part of the file.
 \`\`\`${fileExt}
-${code}
+${numberedCode}
+\`\`\`
+
+${this._toolInstructions(filePath)}
+
+${this._responseFormatInstructions(fileName)}`;
+    }
+
+    /**
+     * Review a large (already redacted) file chunk by chunk and merge the results.
+     * Findings keep their file line numbers; findings outside a chunk are dropped.
+     */
+    async _reviewChunked(filePath, code, options = {}) {
+        const chunks = chunkCode(code, { maxTokens: this.chunking.maxTokens, symbols: options.symbols });
+        const imports = extractImports(code);
+        this.outputChannel && this.outputChannel.appendLine(`✂️ Large file: reviewing in ${chunks.length} parts.`);
+
+        const parts = [];
+        const failures = [];
+        const skipped = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const chunk = chunks[i];
+            if (options.signal && options.signal.aborted) {
+                skipped.push(...chunks.slice(i).map(c => ({ chunk: c })));
+                break;
+            }
+            const prompt = this._codeReviewPrompt(filePath, numberLines(chunk.text, chunk.startLine), {
+                index: i + 1,
+                count: chunks.length,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                imports: imports.filter(imp => imp.line < chunk.startLine || imp.line > chunk.endLine)
+            }, options.related);
+
+            try {
+                const review = await this._runReview(prompt, filePath, options);
+                review.issues = review.issues.filter(issue => issue.startLine >= chunk.startLine && issue.startLine <= chunk.endLine);
+                review.issues.forEach(issue => {
+                    issue.endLine = Math.min(Math.max(issue.endLine, issue.startLine), chunk.endLine);
+                });
+                parts.push({ chunk, review });
+            } catch (error) {
+                // Nothing to keep yet, or rate limits and network errors the caller retries for the whole file
+                if (parts.length === 0 && (isAbortError(error) || error.status || error.transient)) throw error;
+                if (isAbortError(error)) {
+                    skipped.push(...chunks.slice(i).map(c => ({ chunk: c })));
+                    break;
+                }
+                failures.push({ chunk, error });
+                this.outputChannel && this.outputChannel.appendLine(`⚠️ Part ${i + 1} (lines ${chunk.startLine}-${chunk.endLine}) failed: ${error.message}`);
+            }
+        }
+
+        if (parts.length === 0) {
+            throw failures.length > 0 ? failures[0].error : ProviderError.cancelled();
+        }
+        if (skipped.length > 0) {
+            this.outputChannel && this.outputChannel.appendLine(`⏹️ Cancelled: keeping the ${parts.length} of ${chunks.length} part(s) reviewed so far.`);
+        }
+        return GeminiReviewer.mergeChunkReviews(parts, failures, options.redactions || [], skipped);
+    }
+
+    /**
+     * Combine per-chunk reviews into one file review with unique issue ids.
+     * `skipped` chunks were never reviewed because the review was cancelled.
+     */
+    static mergeChunkReviews(parts, failures = [], redactions = [], skipped = []) {
+        const issues = parts.flatMap(({ review }) => review.issues);
+        issues.forEach((issue, idx) => {
+            issue.id = `AI${String(idx + 1).padStart(3, '0')}`;
+        });
+
+        const summaries = parts
+            .filter(({ review }) => review.summary)
+            .map(({ chunk, review }) => `Lines ${chunk.startLine}-${chunk.endLine}: ${review.summary}`);
+        if (failures.length > 0) {
+            summaries.push(`Not reviewed (errors): ${failures.map(({ chunk }) => `lines ${chunk.startLine}-${chunk.endLine}`).join(', ')}.`);
+        }
+        if (skipped.length > 0) {
+            summaries.push(`Not reviewed (cancelled): ${skipped.map(({ chunk }) => `lines ${chunk.startLine}-${chunk.endLine}`).join(', ')}.`);
+        }
+
+        return {
+            summary: summaries.join('\n'),
+            issues,
+            suggestions: [...new Set(parts.flatMap(({ review }) => review.suggestions || []))],
+            canAutoFix: parts.some(({ review }) => review.canAutoFix),
+            rawText: parts.map(({ review }) => review.rawText).join('\n\n'),
+            structured: parts.every(({ review }) => review.structured),
+            redactions,
+            chunks: parts.length + failures.length + skipped.length,
+            partial: failures.length > 0 || skipped.length > 0,
+            cancelled: skipped.length > 0
+        };
+    }
+
+    /**
+     * Review part of a file: lines range.startLine-range.endLine (1-based, inclusive) of `code`,
+     * the whole document. The file's imports and the enclosing symbol
+     * (range.symbol: { name, startLine, endLine }) are sent as context only. Lines are numbered
+     * as in the document, so findings come back in document line numbers; findings outside
+     * the range are dropped. options as in reviewCode (large selections are not split).
+     */
+    async reviewSelection(filePath, code, range, options = {}) {
+        const { startLine, endLine, symbol = null } = range;
+        const cacheKey = this.cache ? this.reviewCacheKey(filePath, code, { startLine, endLine, symbol }) : null;
+        if (cacheKey && !options.force) {
+            const cached = await this.cache.get(cacheKey);
+            if (cached) {
+                this.outputChannel && this.outputChannel.appendLine('♻️ Selection unchanged since its last review, using the cached result.');
+                return { ...cached, cached: true };
+            }
+        }
+
+        const redaction = this.redactor.scope();
+        const related = await this._relatedContext(filePath, code, redaction);
+        const { text: safeCode, findings } = redaction.redact(code, filePath);
+        const lines = safeCode.split('\n');
+        const numbered = (from, to) => numberLines(lines.slice(from - 1, to).join('\n'), from);
+        const fileExt = path.extname(filePath) || '';
+
+        let context = '';
+        const sent = [[startLine, endLine]];
+        const imports = extractImports(safeCode).filter(imp => imp.line < startLine || imp.line > endLine);
+        if (imports.length > 0) {
+            context += `\nImports of the file, for context only (do not report issues here):\n\`\`\`${fileExt}\n${imports.map(i => `${i.line} | ${i.text}`).join('\n')}\n\`\`\``;
+            sent.push(...imports.map(i => [i.line, i.line]));
+        }
+        if (symbol && (symbol.startLine < startLine || symbol.endLine > endLine)) {
+            // The whole enclosing symbol when it fits, else only its first line (the signature)
+            const symbolEnd = estimateTokens(lines.slice(symbol.startLine - 1, symbol.endLine).join('\n')) <= this.chunking.maxTokens
+                ? symbol.endLine
+                : symbol.startLine;
+            context += `\nThe selection is inside ${symbol.name ? `\`${symbol.name}\`` : 'this declaration'} (lines ${symbol.startLine}-${symbol.endLine}), shown for context only (do not report issues outside the selected lines):\n\`\`\`${fileExt}\n${numbered(symbol.startLine, symbolEnd)}\n\`\`\``;
+            sent.push([symbol.startLine, symbolEnd]);
+        }
+        // Only report values that were actually sent
+        const redactions = [...findings.filter(f => sent.some(([from, to]) => f.line >= from && f.line <= to)), ...related.redactions];
+
+        const prompt = this._codeReviewPrompt(filePath, numbered(startLine, endLine), {
+            selection: true,
+            startLine,
+            endLine,
+            context
+        }, related.text);
+        const review = await this._runReview(prompt, filePath, { ...options, redaction, redactions, lineCount: lines.length });
+
+        review.issues = review.issues.filter(issue => issue.startLine >= startLine && issue.startLine <= endLine);
+        review.issues.forEach(issue => {
+            issue.endLine = Math.min(Math.max(issue.endLine, issue.startLine), endLine);
+        });
+        review.issues = applyProjectSettings(review.issues, ProjectConfig.settingsFor(filePath));
+
+        if (cacheKey) {
+            await this.cache.set(cacheKey, review);
+        }
+        return review;
+    }
+
+    /**
+     * Review only the changed hunks of a file (from GitDiff.parse).
+     * Lines carry their new-file numbers, so findings land on the current version;
+     * findings outside the changed lines are dropped.
+     */
+    async reviewDiff(filePath, fileDiff, options = {}) {
+        const fileName = path.basename(filePath);
+        const fileExt = path.extname(filePath) || '';
+        const redaction = this.redactor.scope();
+        const { text: safeHunks, findings } = redaction.redact(GitDiff.formatHunks(fileDiff), filePath);
+        // The diff is of the working-tree version, so its imports are read from disk
+        const related = await this._relatedContext(filePath, null, redaction);
+        const redactions = [...findings, ...related.redactions];
+
+        const prompt = `You are an expert code reviewer. Review ONLY the changes in this diff of a ${fileExt} file and report bugs, security vulnerabilities, performance issues and bad practices introduced by them.
+
+File: ${fileName}${this._projectInstructions(filePath)}${this._relatedSection(related.text)}
+Each line is "<new line number> <marker> <code>": "+" is an added line, "-" a removed line (no number), " " unchanged context. Context lines are there to help you understand the change; only report problems in added lines, or problems the change causes in context lines.
+\`\`\`diff
+${safeHunks}
 \`\`\`
 
-If you need to check related files, imports, or project structure, use the available tools:
+${this._toolInstructions(filePath)}
+
+${this._responseFormatInstructions(fileName)}
+Use the new line numbers shown in the diff for startLine and endLine.`;
+
+        const review = await this._runReview(prompt, filePath, { ...options, redaction, redactions });
+
+        // Only keep findings inside the hunks the model was shown
+        const hunkRanges = fileDiff.hunks.map(h => ({ start: h.newStart, end: h.newStart + Math.max(h.newLines - 1, 0) }));
+        review.issues = applyProjectSettings(review.issues, ProjectConfig.settingsFor(filePath)).filter(issue =>
+            hunkRanges.some(r => issue.startLine <= r.end && issue.endLine >= r.start)
+        );
+        return review;
+    }
+
+    /**
+     * Prompt lines from the project config for this file: custom instructions, team rules
+     * and the categories / severities to report. Empty when no config applies.
+     */
+    _projectInstructions(filePath) {
+        const settings = ProjectConfig.settingsFor(filePath);
+        if (!settings) return '';
+
+        const lines = [];
+        if (settings.instructions.length > 0) {
+            lines.push('Project guidelines from the repository\'s review config; check the code against them:');
+            lines.push(...settings.instructions.map(instruction => `- ${instruction}`));
+        }
+        if (settings.rules.length > 0) {
+            lines.push('Team rules; report every place that breaks one, with "ruleId" set to the rule id (leave "ruleId" out for other issues):');
+            for (const rule of settings.rules) {
+                lines.push(`- ${rule.id} (${rule.severity}): ${rule.description}`);
+                const { bad = [], good = [] } = rule.examples || {};
+                const indent = example => example.trim().split('\n').join('\n    ');
+                bad.forEach(example => lines.push(`  Breaks the rule: ${indent(example)}`));
+                good.forEach(example => lines.push(`  Follows the rule: ${indent(example)}`));
+            }
+        }
+        if (settings.categories) {
+            const ruleNote = settings.rules.length > 0 ? ', plus team rule violations' : '';
+            lines.push(`Only report issues in these categories: ${settings.categories.join(', ')}${ruleNote}.`);
+        }
+        if (settings.minSeverity && settings.minSeverity !== SEVERITIES[SEVERITIES.length - 1]) {
+            lines.push(`Only report issues of severity ${settings.minSeverity} or higher.`);
+        }
+        return lines.length > 0 ? `\n${lines.join('\n')}` : '';
+    }
+
+    /**
+     * Related workspace files of a JS/TS/Python file for the review prompt: exported signatures
+     * of the files it imports and how the files importing it use it, within
+     * relatedContext.maxTokens. Pass code null to read the file from disk.
+     * Returns { text, redactions }; text is redacted in the review's `redaction` scope and empty
+     * when nothing was found.
+     */
+    async _relatedContext(filePath, code, redaction = this.redactor.scope()) {
+        const none = { text: '', redactions: [] };
+        if (!this.relatedContext.enabled || !languageOf(filePath)) return none;
+
+        try {
+            const sandbox = this.createSandbox({ reviewedFile: filePath });
+            const root = sandbox.homeRoot;
+            const graph = this._importGraph(root || path.dirname(filePath));
+            const source = code === null ? await fs.readFile(filePath, 'utf-8') : code;
+            const allowed = file => (!root || ToolSandbox.isInside(root, file)) && !sandbox.isExcluded(file);
+
+            const dependencies = [];
+            for (const { filePath: file } of await graph.dependenciesOf(filePath, source)) {
+                if (!allowed(file)) continue;
+                const stat = await fs.stat(file);
+                if (stat.size > GeminiReviewer.MAX_RELATED_FILE_BYTES) continue;
+                dependencies.push({ filePath: file, signatures: extractSignatures(await fs.readFile(file, 'utf-8'), file) });
+            }
+            // Outside the workspace there is no tree to search for importers
+            const dependents = root ? (await graph.dependentsOf(filePath)).filter(({ filePath: file }) => allowed(file)) : [];
+
+            const { text, files } = formatRelatedContext({ dependencies, dependents }, {
+                maxTokens: this.relatedContext.maxTokens,
+                displayPath: file => sandbox.displayPath(file)
+            });
+            if (!text) return none;
+
+            if (files.length > 0) {
+                this.outputChannel && this.outputChannel.appendLine(`🔗 Including context from ${files.length} related file(s): ${files.map(file => sandbox.displayPath(file)).join(', ')}`);
+            }
+            // Line numbers of the combined text mean nothing to the user
+            const { text: safeText, findings } = redaction.redact(text, 'related files');
+            return { text: safeText, redactions: findings.map(finding => ({ ...finding, line: null })) };
+        } catch (error) {
+            this.outputChannel && this.outputChannel.appendLine(`⚠️ Could not gather related files: ${error.message}`);
+            return none;
+        }
+    }
+
+    _importGraph(rootDir) {
+        if (!this.importGraphs.has(rootDir)) {
+            this.importGraphs.set(rootDir, new ImportGraph(rootDir));
+        }
+        return this.importGraphs.get(rootDir);
+    }
+
+    _relatedSection(related) {
+        if (!related) return '';
+        return `\nRelated files in the workspace, for context only (do not report issues in them, but do report code here that misuses their APIs or that would break how they use this file):\n\`\`\`\n${related}\n\`\`\``;
+    }
+
+    /**
+     * Generation parameters for a request about filePath, with the project config's
+     * model settings applied: all of them for reviews, only the model name for fixes
+     */
+    _generationFor(mode, filePath) {
+        const generation = this.generation[mode] || {};
+        const settings = ProjectConfig.settingsFor(filePath);
+        if (!settings) return generation;
+
+        const { name, ...params } = settings.model;
+        return { ...generation, ...(mode === 'review' ? params : {}), ...(name ? { model: name } : {}) };
+    }
+
+    _toolInstructions(filePath) {
+        const sandbox = this.createSandbox({ reviewedFile: filePath });
+        const others = sandbox.otherRoots.map(({ name }) => `\`${name}/\``);
+        const roots = sandbox.homeName && others.length > 0
+            ? `Paths are relative to the workspace folder \`${sandbox.homeName}\` holding this file; files of the other workspace folders are reached as ${others.join(', ')} followed by the path inside that folder.`
+            : 'Paths are relative to the project root.';
+        return `If you need to check related files, imports, or project structure, use the available tools:
 - read_file(file_path): Read another file
 - list_directory(directory_path): List directory contents
 - find_file(pattern, directory): Find files by pattern
+${roots} Files outside the project and excluded files (e.g. .env) are not available.
+Values like REDACTED_SECRET_1a2b3c4d are placeholders for redacted secrets; keep them exactly as they are.`;
+    }
+
+    _responseFormatInstructions(fileName) {
+        return `Respond with ONLY a JSON object (no markdown, no prose) of this shape:
+{
+  "summary": "Brief overall assessment (1-2 sentences)",
+  "canAutoFix": true,
+  "issues": [
+    {
+      "id": "AI001",
+      "title": "One-line description",
+      "severity": "${SEVERITIES.join('" | "')}",
+      "category": "bug | security | performance | maintainability | style | best-practice | other",
+      "file": "${fileName}",
+      "startLine": 1,
+      "endLine": 1,
+      "explanation": "Why it is a problem and how to fix it",
+      "replacement": "Optional code replacing lines startLine..endLine exactly, without line number prefixes",
+      "ruleId": "Optional id of the team rule the issue breaks"
+    }
+  ],
+  "suggestions": ["General improvements not tied to a specific line"]
+}`;
+    }
 
-Provide a structured review with actionable feedback.`;
+    /**
+     * Send a review prompt, let the model use tools, and parse its answer
+     */
+    async _runReview(prompt, filePath, options = {}) {
+        if (!this.provider) {
+            throw new Error('AI provider not configured. Please set your API key first.');
+        }
+        const signal = options.signal || null;
 
         try {
             // Start chat with tools
-            const chat = this.model.startChat({
+            const chat = this.provider.startChat({
                 tools: this.getToolDefinitions(),
-                history: []
+                generation: this._generationFor('review', filePath)
+            });
+
+            const redactions = options.redactions || [];
+            const redaction = options.redaction || this.redactor.scope();
+            const sandbox = this.createSandbox({
+                reviewId: `${path.basename(filePath)}@${new Date().toISOString()}`,
+                reviewedFile: filePath,
+                allowOutsideWorkspace: options.allowOutsideWorkspace,
+                ...(options.quiet ? { confirmOutsideAccess: null } : {})
             });
 
-            let result = await chat.sendMessage(prompt);
-            let response = result.response;
+            let reply = await this._request(() => chat.send(prompt, { signal }), signal);
 
             // Handle function calls iteratively (best-effort)
             let maxIterations = 6;
             let iterations = 0;
 
-            while (response && response.functionCalls && iterations < maxIterations) {
+            while (reply.toolCalls.length > 0 && iterations < maxIterations) {
                 iterations++;
                 this.outputChannel && this.outputChannel.appendLine(`🔧 AI is using tools to analyze your code...`);
 
-                const functionCalls = response.functionCalls;
-                const functionResponses = [];
-
-                for (const call of functionCalls) {
+                const toolResults = [];
+                for (const call of reply.toolCalls) {
                     this.outputChannel && this.outputChannel.appendLine(`   → Calling: ${call.name}(${JSON.stringify(call.args)})`);
-                    const functionResult = await this.executeToolFunction(call.name, call.args);
-
-                    // The SDK may require a different shape; we forward minimal useful data
-                    functionResponses.push({
-                        name: call.name,
-                        result: functionResult
-                    });
+                    const result = await this.executeToolFunction(call.name, call.args || {}, sandbox, redactions, signal, redaction);
+                    toolResults.push({ id: call.id, name: call.name, result });
                 }
 
-                // Send function results back to model (SDK specifics may vary)
-                result = await chat.sendMessage(functionResponses);
-                response = result.response;
+                // Send function results back to model
+                reply = await this._request(() => chat.send(toolResults, { signal }), signal);
             }
 
-            // Parse final response into text (SDK specifics may vary)
-            const reviewText = response && typeof response.text === 'function' ? response.text() : (response && response.content) || (typeof result === 'string' ? result : '');
-
-            return this.parseReview(String(reviewText || '').trim());
+            const review = this._restoreReview(await this.parseReview(reply.text, filePath, signal, { lineCount: options.lineCount }), redaction);
+            review.redactions = redactions;
+            return review;
 
         } catch (error) {
-            this.outputChannel && this.outputChannel.appendLine(`❌ Review error: ${error.message}`);
+            if (!isAbortError(error)) {
+                this.outputChannel && this.outputChannel.appendLine(`❌ Review error: ${error.message}`);
+            }
             throw error;
         }
     }
 
     /**
-     * Parse review response into structured format
+     * Put redacted values back into the parts of a review shown to the user or applied as fixes
+     */
+    _restoreReview(review, redaction) {
+        const restore = text => redaction.restore(text);
+        review.summary = restore(review.summary);
+        review.suggestions = (review.suggestions || []).map(restore);
+        review.issues = review.issues.map(issue => ({
+            ...issue,
+            title: restore(issue.title),
+            explanation: restore(issue.explanation),
+            replacement: issue.replacement == null ? issue.replacement : restore(issue.replacement)
+        }));
+        return review;
+    }
+
+    /**
+     * Turn the model's answer into a typed review.
+     * JSON is preferred; prose answers are re-structured through the JSON schema (JSON
+     * mode cannot be combined with tool calls, so this is a second request),
+     * and the heading-based text parser is only the last resort.
+     * options: { lineCount } of the reviewed file; issues past its end are dropped.
+     */
+    async parseReview(reviewText, filePath = '', signal = null, options = {}) {
+        const json = extractJson(reviewText);
+        if (json) {
+            return normalizeReview(json, filePath, reviewText, options);
+        }
+
+        if (reviewText && this.provider) {
+            try {
+                const text = await this._request(() => this.provider.generateText(
+                    `Convert this code review of ${path.basename(filePath) || 'the file'} into a JSON object with keys summary, canAutoFix, issues and suggestions. Keep line numbers as given.\n\n${reviewText}`,
+                    { json: REVIEW_RESPONSE_SCHEMA, generation: this._generationFor('review', filePath), signal }
+                ), signal);
+                const structured = extractJson(text);
+                if (structured) {
+                    return normalizeReview(structured, filePath, reviewText, options);
+                }
+            } catch (err) {
+                if (isAbortError(err)) throw err;
+                this.outputChannel && this.outputChannel.appendLine(`⚠️ Could not structure review: ${err.message}`);
+            }
+        }
+
+        return this.parseReviewText(reviewText, filePath, options);
+    }
+
+    /**
+     * Fallback: parse a free-text review by its section headings
      */
-    parseReview(reviewText) {
+    parseReviewText(reviewText, filePath = '', { lineCount = null } = {}) {
         const review = {
             summary: '',
             issues: [],
             suggestions: [],
             canAutoFix: false,
-            rawText: reviewText
+            rawText: reviewText,
+            structured: false
         };
 
         // Extract sections from review in a best-effort manner
-        const lines = reviewText.split('\n');
+        const lines = String(reviewText || '').split('\n');
         let currentSection = 'summary';
+        const issueLines = [];
 
         for (const rawLine of lines) {
             const line = rawLine.trim();
-            const lower = line.toLowerCase();
-
             if (!line) continue;
 
-            if (lower.includes('overall assessment') || lower.includes('summary') || lower.startsWith('overall:')) {
-                currentSection = 'summary';
-                continue;
-            } else if (lower.includes('issues found') || lower.includes('issues:') || lower.startsWith('bugs')) {
-                currentSection = 'issues';
-                continue;
-            } else if (lower.includes('suggestions') || lower.includes('improvements') || lower.startsWith('suggestion')) {
-                currentSection = 'suggestions';
-                continue;
-            } else if (lower.includes('can auto-fix') || lower.includes('automatically fix')) {
+            // Only short heading-looking lines may switch sections, so code or prose
+            // that merely mentions "summary" or "issues" stays where it is
+            const heading = this._matchHeading(line);
+            if (heading === 'autofix') {
+                const lower = line.toLowerCase();
                 if (lower.includes('yes') || lower.includes('true')) review.canAutoFix = true;
                 continue;
+            } else if (heading) {
+                currentSection = heading;
+                continue;
             }
 
             if (currentSection === 'summary') {
                 review.summary += (review.summary ? ' ' : '') + line;
             } else if (currentSection === 'issues') {
-                review.issues.push(line);
+                issueLines.push(line);
             } else if (currentSection === 'suggestions') {
                 review.suggestions.push(line);
             }
         }
 
-        review.summary = (review.summary || '').trim() || (reviewText.substring(0, 200)).trim();
+        review.issues = issueLines.map((line, idx) => {
+            const text = line.replace(/^([-*•]|\d+[.)])\s*/, '');
+            const lineMatch = text.match(/lines?\s+(\d+)(?:\s*[-–]\s*(\d+))?/i);
+            return normalizeIssue({
+                title: text,
+                severity: SEVERITIES.find(s => text.toLowerCase().includes(s.toLowerCase())),
+                startLine: lineMatch ? lineMatch[1] : 1,
+                endLine: lineMatch ? (lineMatch[2] || lineMatch[1]) : 1,
+                explanation: text
+            }, idx, filePath, lineCount);
+        }).filter(Boolean);
+
+        review.summary = (review.summary || '').trim() || (String(reviewText || '').substring(0, 200)).trim();
         return review;
     }
 
     /**
-     * Generate fixed code based on review
+     * Helper: classify a line as a section heading ('summary' | 'issues' | 'suggestions' | 'autofix') or null
+     */
+    _matchHeading(line) {
+        const looksLikeHeading = /^(#{1,6}\s|\*\*|__|\d+\.\s*\*\*)/.test(line) || (line.length <= 60 && /:\s*(\S.{0,20})?$/.test(line));
+        if (!looksLikeHeading) return null;
+
+        const lower = line.toLowerCase().replace(/[#*_]/g, '').trim();
+        if (lower.includes('can auto-fix') || lower.includes('automatically fix')) return 'autofix';
+        if (lower.startsWith('overall') || lower.includes('overall assessment') || /^(\d+\.\s*)?summary\b/.test(lower)) return 'summary';
+        if (/^(\d+\.\s*)?(issues( found)?|bugs)\b/.test(lower)) return 'issues';
+        if (/^(\d+\.\s*)?(suggestions?|improvements)\b/.test(lower)) return 'suggestions';
+        return null;
+    }
+
+    /**
+     * Generate fixed code based on review.
+     * Large files are fixed chunk by chunk (only chunks with findings are sent), so the
+     * answer never has to hold the whole file; options.symbols works as in reviewCode.
+     * options.signal cancels the fix; nothing is returned for a cancelled fix.
      */
-    async generateFixedCode(filePath, originalCode, review) {
-        if (!this.model) {
-            throw new Error('API key not set');
+    async generateFixedCode(filePath, originalCode, review, options = {}) {
+        if (!this.provider) {
+            throw new Error('AI provider not configured');
+        }
+
+        // One scope for the whole fix, so a value found in one part is also redacted in the others
+        const redaction = this.redactor.scope();
+        if (this._shouldChunk(originalCode)) {
+            return this._generateFixedCodeChunked(filePath, originalCode, review, { ...options, redaction });
         }
 
         const fileName = path.basename(filePath);
@@ -370,25 +1012,156 @@ Review Summary:
 ${review.summary}
 
 Issues to Fix:
-${(review.issues || []).join('\n')}
+${this._fixIssueList(review.issues || [])}
 
 Suggestions to Apply:
 ${(review.suggestions || []).join('\n')}
 
 Generate the complete corrected code. Return ONLY the code, no explanations or markdown formatting.`;
 
+        return (await this._requestFix(fixPrompt, filePath, options.signal, redaction)).trim();
+    }
+
+    /**
+     * Fix only lines range.startLine-range.endLine of a file for the given review (of those
+     * lines). Returns the corrected text of that range, to replace the lines as a whole.
+     */
+    async generateFixedRange(filePath, originalCode, review, range, options = {}) {
+        if (!this.provider) {
+            throw new Error('AI provider not configured');
+        }
+
+        const { startLine, endLine } = range;
+        const fileExt = path.extname(filePath) || '';
+        const lines = String(originalCode).split('\n');
+        const text = lines.slice(startLine - 1, endLine).join('\n');
+        const imports = extractImports(originalCode).filter(imp => imp.line < startLine || imp.line > endLine);
+        const issues = (review.issues || []).filter(issue => issue.startLine >= startLine && issue.startLine <= endLine);
+
+        const fixPrompt = `Based on the code review, generate the corrected version of the selected lines of a file.
+
+File: ${path.basename(filePath)} (lines ${startLine}-${endLine} shown)
+${imports.length > 0 ? `Imports of the file, for context only:\n\`\`\`${fileExt}\n${imports.map(i => i.text).join('\n')}\n\`\`\`\n` : ''}
+Lines to fix:
+\`\`\`${fileExt}
+${text}
+\`\`\`
+
+Issues to Fix (line numbers refer to the whole file):
+${this._fixIssueList(issues)}
+
+Return ONLY the corrected code of these lines, as a drop-in replacement for the lines shown; keep the indentation and everything that needs no change. Do not add code outside them. No explanations or markdown formatting.`;
+
+        const fixed = await this._requestFix(fixPrompt, filePath, options.signal);
+        // Models drop surrounding blank lines; keep the original ones
+        const leading = text.match(/^(?:[ \t]*\n)*/)[0];
+        const trailing = text.match(/\n\s*$/) ? text.match(/\n\s*$/)[0] : '';
+        return leading + fixed.replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '') + trailing;
+    }
+
+    _fixIssueList(issues) {
+        return issues.map(issue => {
+            let entry = `- ${formatIssue(issue)}`;
+            if (issue.explanation) entry += `\n  ${issue.explanation}`;
+            if (issue.replacement) entry += `\n  Suggested replacement:\n${issue.replacement}`;
+            return entry;
+        }).join('\n');
+    }
+
+    /**
+     * Rewrite only the chunks that contain findings and splice them back into the file
+     */
+    async _generateFixedCodeChunked(filePath, originalCode, review, options = {}) {
+        const fileExt = path.extname(filePath) || '';
+        const chunks = chunkCode(originalCode, { maxTokens: this.chunking.maxTokens, symbols: options.symbols });
+        const imports = extractImports(originalCode);
+        const issues = review.issues || [];
+        const redaction = options.redaction || this.redactor.scope();
+
+        const parts = [];
+        for (const chunk of chunks) {
+            const chunkIssues = issues.filter(issue => issue.startLine >= chunk.startLine && issue.startLine <= chunk.endLine);
+            if (chunkIssues.length === 0) {
+                parts.push(chunk.text);
+                continue;
+            }
+
+            this.outputChannel && this.outputChannel.appendLine(`✂️ Fixing lines ${chunk.startLine}-${chunk.endLine} (${chunkIssues.length} finding(s))...`);
+            const context = imports.filter(imp => imp.line < chunk.startLine || imp.line > chunk.endLine);
+            const fixPrompt = `Based on the code review, generate the corrected version of one part of a large file.
+
+File: ${path.basename(filePath)} (lines ${chunk.startLine}-${chunk.endLine} shown)
+${context.length > 0 ? `Imports of the file, for context only:\n\`\`\`${fileExt}\n${context.map(i => i.text).join('\n')}\n\`\`\`\n` : ''}
+Part to fix:
+\`\`\`${fileExt}
+${chunk.text}
+\`\`\`
+
+Issues to Fix (line numbers refer to the whole file):
+${this._fixIssueList(chunkIssues)}
+
+Return ONLY the corrected code of this part, as a drop-in replacement for the lines shown; keep the indentation and everything that needs no change. No explanations or markdown formatting.`;
+
+            // Models drop surrounding blank lines; keep the original ones so chunks join cleanly
+            const fixed = await this._requestFix(fixPrompt, filePath, options.signal, redaction);
+            const leading = chunk.text.match(/^(?:[ \t]*\n)*/)[0];
+            const trailing = chunk.text.match(/\n\s*$/) ? chunk.text.match(/\n\s*$/)[0] : '';
+            parts.push(leading + fixed.replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '') + trailing);
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Send a fix prompt, redacted in the `redaction` scope, and return the code with fences
+     * stripped and secrets restored
+     */
+    async _requestFix(fixPrompt, filePath, signal = null, redaction = this.redactor.scope()) {
         try {
-            // SDK specifics vary; using a best-effort generic call
-            const result = await this.model.generateContent(fixPrompt);
-            const response = result && (result.response || result);
-            const text = response && typeof response.text === 'function' ? response.text() : (response && response.content) || String(response || '');
+            const { text: safePrompt } = redaction.redact(fixPrompt, filePath);
+            const text = await this._request(() => this.provider.generateText(safePrompt, { generation: this._generationFor('fix', filePath), signal }), signal);
 
-            // Clean up markdown code fences if present
-            let fixedCode = text.replace(/```[a-z]*\n?/gi, '').replace(/```/g, '').trim();
+            // Clean up markdown code fences if present, then put the redacted values back
+            const fixedCode = redaction.restore(text.replace(/```[a-z]*\n?/gi, '').replace(/```/g, ''));
+            const leftover = Redactor.findPlaceholders(fixedCode);
+            if (leftover.length > 0) {
+                this.outputChannel && this.outputChannel.appendLine(`⚠️ The fix contains ${leftover.length} redaction placeholder(s) that could not be restored: ${[...new Set(leftover)].join(', ')}`);
+            }
             return fixedCode;
         } catch (error) {
+            if (isAbortError(error)) throw error;
             this.outputChannel && this.outputChannel.appendLine(`❌ Fix generation error: ${error.message}`);
             throw error;
         }
     }
+
+    /**
+     * Summarize several file reviews into a short project-level overview.
+     * results: [{ filePath, review }]; options: { signal } cancels the request (see reviewCode)
+     */
+    async summarizeReviews(results, options = {}) {
+        const signal = options.signal || null;
+        if (!this.provider) {
+            throw new Error('AI provider not configured');
+        }
+
+        const digest = results.map(({ filePath, review }) => {
+            const issues = (review.issues || []).map(issue => `  - ${formatIssue(issue)}`).join('\n');
+            return `File: ${filePath}\nSummary: ${review.summary}\n${issues || '  (no issues)'}`;
+        }).join('\n\n');
+
+        const prompt = `You reviewed the files below. Write a short overview (at most 8 bullet points) of the most important problems across the project, recurring patterns, and what to fix first. Plain text only.
+
+${digest}`;
+
+        try {
+            const redaction = this.redactor.scope();
+            const { text: safePrompt } = redaction.redact(prompt, 'summary');
+            return redaction.restore(await this._request(() => this.provider.generateText(safePrompt, { generation: this.generation.summary, signal }), signal));
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            this.outputChannel && this.outputChannel.appendLine(`❌ Summary error: ${error.message}`);
+            throw error;
+        }
+    }
 }
@@ -0,0 +1,152 @@
+import { execFile } from 'child_process';
+import path from 'path';
+
+/**
+ * Thin wrapper around the local `git` binary for reviewing changes only.
+ */
+export class GitDiff {
+    /**
+     * Lines of unchanged context sent around every hunk
+     */
+    static DEFAULT_CONTEXT_LINES = 10;
+
+    static run(args, cwd) {
+        return new Promise((resolve, reject) => {
+            execFile('git', args, { cwd, maxBuffer: 32 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(new Error((stderr || error.message).trim()));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    static async getRepoRoot(cwd) {
+        const out = await GitDiff.run(['rev-parse', '--show-toplevel'], cwd);
+        return path.resolve(out.trim());
+    }
+
+    /**
+     * Text of a file as of `revision` ('HEAD', or '' for the index); relPath is relative to repoRoot
+     */
+    static showFile(repoRoot, revision, relPath) {
+        return GitDiff.run(['show', `${revision}:${relPath.replace(/\\/g, '/')}`], repoRoot);
+    }
+
+    /**
+     * Local and remote branch names
+     */
+    static async listBranches(repoRoot) {
+        const out = await GitDiff.run(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes'], repoRoot);
+        return out.split('\n').map(b => b.trim()).filter(b => b && !b.endsWith('/HEAD'));
+    }
+
+    /**
+     * Raw unified diff for one of the supported modes:
+     * - 'staged': index vs HEAD
+     * - 'branch': working tree vs the merge-base with `base`
+     * - 'lastCommit': the changes introduced by HEAD
+     */
+    static async getDiff(repoRoot, mode, { base, contextLines = GitDiff.DEFAULT_CONTEXT_LINES } = {}) {
+        const common = [`-U${contextLines}`, '--no-color', '--no-ext-diff', '-M'];
+        switch (mode) {
+            case 'staged':
+                return GitDiff.run(['diff', '--cached', ...common], repoRoot);
+            case 'branch': {
+                if (!base) throw new Error('A base branch is required');
+                const mergeBase = (await GitDiff.run(['merge-base', base, 'HEAD'], repoRoot)).trim();
+                return GitDiff.run(['diff', ...common, mergeBase], repoRoot);
+            }
+            case 'lastCommit':
+                return GitDiff.run(['show', '--format=', ...common, 'HEAD'], repoRoot);
+            default:
+                throw new Error(`Unknown diff mode: ${mode}`);
+        }
+    }
+
+    /**
+     * Parse unified diff text into files and hunks.
+     * Every hunk line records its line number in the new file (null for removed lines).
+     */
+    static parse(diffText) {
+        const files = [];
+        let file = null;
+        let hunk = null;
+        let oldLine = 0;
+        let newLine = 0;
+
+        for (const line of String(diffText).split('\n')) {
+            if (line.startsWith('diff --git ')) {
+                const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+                file = {
+                    oldPath: match ? match[1] : null,
+                    newPath: match ? match[2] : null,
+                    isNew: false,
+                    isDeleted: false,
+                    isBinary: false,
+                    hunks: []
+                };
+                files.push(file);
+                hunk = null;
+                continue;
+            }
+            if (!file) continue;
+
+            if (!hunk) {
+                if (line.startsWith('new file mode')) file.isNew = true;
+                else if (line.startsWith('deleted file mode')) file.isDeleted = true;
+                else if (line.startsWith('Binary files')) file.isBinary = true;
+                else if (line.startsWith('--- ')) file.oldPath = line === '--- /dev/null' ? null : line.replace(/^--- (a\/)?/, '');
+                else if (line.startsWith('+++ ')) file.newPath = line === '+++ /dev/null' ? null : line.replace(/^\+\+\+ (b\/)?/, '');
+            }
+
+            const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+            if (header) {
+                oldLine = parseInt(header[1], 10);
+                newLine = parseInt(header[3], 10);
+                hunk = {
+                    oldStart: oldLine,
+                    oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+                    newStart: newLine,
+                    newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+                    lines: []
+                };
+                file.hunks.push(hunk);
+                continue;
+            }
+            if (!hunk) continue;
+
+            const marker = line[0];
+            const text = line.substring(1);
+            if (marker === '+') {
+                hunk.lines.push({ type: '+', text, newLine: newLine++ });
+            } else if (marker === '-') {
+                hunk.lines.push({ type: '-', text, oldLine: oldLine++, newLine: null });
+            } else if (marker === ' ') {
+                hunk.lines.push({ type: ' ', text, oldLine: oldLine++, newLine: newLine++ });
+            }
+            // "\ No newline at end of file" and blank separators are ignored
+        }
+
+        return files;
+    }
+
+    /**
+     * Render hunks with new-file line numbers so model findings map straight back.
+     *   "  42 + added line" / "  43   context line" / "     - removed line"
+     */
+    static formatHunks(file) {
+        const maxLine = Math.max(1, ...file.hunks.map(h => h.newStart + h.newLines));
+        const width = String(maxLine).length;
+
+        return file.hunks.map(h => {
+            const header = `@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`;
+            const body = h.lines.map(l => {
+                const num = l.newLine === null ? ' '.repeat(width) : String(l.newLine).padStart(width, ' ');
+                return `${num} ${l.type} ${l.text}`;
+            });
+            return [header, ...body].join('\n');
+        }).join('\n\n');
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * Glob matching shared by the file scanner and the project config.
+ * Supports `*` and `?` within a path segment and `**` across segments;
+ * matching is case-insensitive and always uses `/` as separator.
+ */
+
+/**
+ * Convert a glob pattern to an anchored RegExp.
+ * A leading or inner `**\/` also matches zero directories, so `**\/*.test.js` matches `a.test.js`.
+ */
+export function globToRegex(pattern) {
+    const segments = String(pattern).replace(/\\/g, '/').split('/');
+    let regex = '';
+    segments.forEach((segment, index) => {
+        const last = index === segments.length - 1;
+        if (segment === '**') {
+            regex += last ? '.*' : '(?:.*/)?';
+            return;
+        }
+        // Escape regex special chars, then replace glob tokens
+        const escaped = segment.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+        regex += escaped.replace(/\\\*/g, '[^/]*').replace(/\\\?/g, '[^/]') + (last ? '' : '/');
+    });
+    return new RegExp(`^${regex}$`, 'i');
+}
+
+/**
+ * Does the path match the glob? Backslashes in the path are treated as separators.
+ */
+export function matchGlob(filePath, pattern) {
+    if (!pattern) return false;
+    return globToRegex(pattern).test(String(filePath).replace(/\\/g, '/'));
+}
@@ -0,0 +1,108 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import ignore from 'ignore';
+
+/**
+ * Ignore files read in every directory, in this order; `.aireviewignore` comes last so
+ * its patterns can re-include (`!pattern`) what `.gitignore` excludes
+ */
+export const IGNORE_FILE_NAMES = ['.gitignore', '.aireviewignore'];
+
+/**
+ * Directories never walked, matched by exact name
+ */
+export const ALWAYS_SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * gitignore-style rules for one directory tree: ignore files in every directory, from
+ * the root down, with git's precedence (deeper files and later patterns win, `!` negates).
+ * Ignore files are read lazily and cached, so create one instance per scan.
+ *
+ * As in git, a file under an ignored directory cannot be re-included; walkers get
+ * this by not descending into directories for which ignores() is true.
+ */
+export class IgnoreRules {
+    constructor(rootDir, { fileNames = IGNORE_FILE_NAMES } = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.fileNames = fileNames;
+        // directory -> Promise<matcher or null>
+        this.matchers = new Map();
+    }
+
+    /**
+     * Rules for scanning startDir, rooted at the enclosing git repository so ignore files
+     * above startDir apply too; outside a repository startDir is the root
+     */
+    static async forDirectory(startDir, options = {}) {
+        return new IgnoreRules(await IgnoreRules.findRoot(startDir), options);
+    }
+
+    /**
+     * Nearest directory at or above startDir containing `.git`, else startDir
+     */
+    static async findRoot(startDir) {
+        const start = path.resolve(startDir);
+        let dir = start;
+        for (;;) {
+            try {
+                await fs.access(path.join(dir, '.git'));
+                return dir;
+            } catch (err) {
+                const parent = path.dirname(dir);
+                if (parent === dir) return start;
+                dir = parent;
+            }
+        }
+    }
+
+    _matcher(dir) {
+        if (!this.matchers.has(dir)) {
+            this.matchers.set(dir, this._load(dir));
+        }
+        return this.matchers.get(dir);
+    }
+
+    async _load(dir) {
+        const files = this.fileNames.map(name => path.join(dir, name));
+        if (dir === this.rootDir) {
+            // Repository-local excludes apply like a root .gitignore with lower precedence
+            files.unshift(path.join(dir, '.git', 'info', 'exclude'));
+        }
+
+        let matcher = null;
+        for (const file of files) {
+            let text;
+            try {
+                text = await fs.readFile(file, 'utf-8');
+            } catch (err) {
+                continue;
+            }
+            matcher = (matcher || ignore()).add(text);
+        }
+        return matcher;
+    }
+
+    /**
+     * Is the path ignored? Pass isDirectory so patterns ending in `/` apply.
+     * Paths outside the root are never ignored.
+     */
+    async ignores(fullPath, isDirectory = false) {
+        const relative = path.relative(this.rootDir, path.resolve(fullPath));
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return false;
+
+        const segments = relative.split(path.sep);
+        let ignored = false;
+        let dir = this.rootDir;
+        for (let i = 0; i < segments.length; i++) {
+            const matcher = await this._matcher(dir);
+            if (matcher) {
+                // Patterns are relative to the directory holding the ignore file
+                const result = matcher.test(segments.slice(i).join('/') + (isDirectory ? '/' : ''));
+                if (result.ignored) ignored = true;
+                else if (result.unignored) ignored = false;
+            }
+            dir = path.join(dir, segments[i]);
+        }
+        return ignored;
+    }
+}
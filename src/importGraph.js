@@ -0,0 +1,381 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { estimateTokens } from './chunker.js';
+import { ALWAYS_SKIPPED_DIRECTORIES, IgnoreRules } from './ignoreRules.js';
+
+/**
+ * Local import graph for JS/TS and Python: which workspace files a file imports
+ * (dependencies) and which import it (dependents), and the exported signatures of
+ * those files. Only relative JS/TS imports and Python modules inside the root are
+ * resolved; packages are left to the model.
+ */
+
+export const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+export const PYTHON_EXTENSIONS = ['.py'];
+
+const JS_IMPORT_PATTERNS = [
+    /\bimport\s+(?:type\s+)?(?:[\w*{}\s,$]+?\s+from\s+)?['"]([^'"]+)['"]/g,   // import x from 'm', import 'm'
+    /\bexport\s+(?:type\s+)?(?:\*|\{[^}]*\})(?:\s+as\s+\w+)?\s+from\s+['"]([^'"]+)['"]/g, // re-exports
+    /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+
+export function languageOf(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (JS_EXTENSIONS.includes(ext)) return 'js';
+    if (PYTHON_EXTENSIONS.includes(ext)) return 'python';
+    return null;
+}
+
+/**
+ * Module specifiers a file imports, in order of appearance, as [{ specifier, line, names }].
+ * `names` are the imported bindings when they can be read off the statement (for finding usages).
+ */
+export function parseImports(code, filePath) {
+    const language = languageOf(filePath);
+    const lines = String(code).split('\n');
+    const imports = [];
+
+    if (language === 'js') {
+        const text = String(code);
+        for (const pattern of JS_IMPORT_PATTERNS) {
+            for (const match of text.matchAll(pattern)) {
+                const line = text.slice(0, match.index).split('\n').length;
+                // require() binds its names before the call, on the same line
+                const names = importedNames(match[0]);
+                imports.push({ specifier: match[1], line, names: names.length > 0 ? names : importedNames(lines[line - 1]) });
+            }
+        }
+        imports.sort((a, b) => a.line - b.line);
+    } else if (language === 'python') {
+        lines.forEach((text, index) => {
+            let match = text.match(/^\s*from\s+(\.*[\w.]*)\s+import\s+(.+)$/);
+            if (match) {
+                const names = match[2].replace(/[()\\]/g, '').split(',').map(n => n.trim().split(/\s+as\s+/).pop()).filter(n => /^\w+$/.test(n));
+                imports.push({ specifier: match[1], line: index + 1, names });
+                return;
+            }
+            match = text.match(/^\s*import\s+(.+)$/);
+            if (match) {
+                for (const part of match[1].split(',')) {
+                    const [module, alias] = part.trim().split(/\s+as\s+/);
+                    if (/^[\w.]+$/.test(module)) {
+                        imports.push({ specifier: module, line: index + 1, names: [alias || module.split('.')[0]] });
+                    }
+                }
+            }
+        });
+    }
+    return imports;
+}
+
+function importedNames(statement) {
+    const names = [];
+    const braces = statement.match(/\{([^}]*)\}/);
+    if (braces) {
+        names.push(...braces[1].split(',').map(n => n.trim().split(/\s+as\s+/).pop()).filter(n => /^[\w$]+$/.test(n)));
+    }
+    const leading = statement.match(/\bimport\s+(?:type\s+)?([\w$]+)\s*(?:,|\s+from)/);
+    if (leading) names.push(leading[1]);
+    const namespace = statement.match(/\*\s+as\s+([\w$]+)/);
+    if (namespace) names.push(namespace[1]);
+    const required = statement.match(/(?:const|let|var)\s+([\w$]+)\s*=\s*require/);
+    if (required) names.push(required[1]);
+    return names;
+}
+
+async function isFile(filePath) {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Absolute path of the workspace file an import refers to, or null (packages, missing files).
+ * Python's absolute imports are tried from rootDir, rootDir/src and the importing file's directory.
+ */
+export async function resolveImport(specifier, fromFile, rootDir) {
+    const fromDir = path.dirname(fromFile);
+
+    if (languageOf(fromFile) === 'js') {
+        if (!specifier.startsWith('.') && !specifier.startsWith('/')) return null;
+        const base = path.resolve(fromDir, specifier);
+        // TypeScript ESM imports name the compiled .js file
+        const stem = base.replace(/\.(?:js|jsx|mjs|cjs)$/, '');
+        const candidates = [
+            base,
+            ...JS_EXTENSIONS.map(ext => stem + ext),
+            ...JS_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+        ];
+        for (const candidate of candidates) {
+            if (languageOf(candidate) && await isFile(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    if (languageOf(fromFile) === 'python') {
+        const dots = specifier.match(/^\.*/)[0].length;
+        const modulePath = specifier.slice(dots).split('.').filter(Boolean);
+        const bases = dots > 0
+            ? [path.resolve(fromDir, ...Array(dots - 1).fill('..'))]
+            : [rootDir, path.join(rootDir, 'src'), fromDir];
+        for (const base of bases) {
+            const target = path.join(base, ...modulePath);
+            for (const candidate of [`${target}.py`, path.join(target, '__init__.py')]) {
+                if (await isFile(candidate)) return candidate;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Cut a JS/TS declaration before its body: at the first `{` outside parentheses
+ */
+function cutBody(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '(') depth++;
+        else if (ch === ')') depth--;
+        else if (ch === '{' && depth === 0) return text.slice(0, i).trimEnd();
+    }
+    return text.trimEnd();
+}
+
+/**
+ * Collect a declaration that may span lines until its brackets balance, cut where
+ * bodyStart matches (if given)
+ */
+function signatureAt(lines, start, bodyStart = null) {
+    let text = '';
+    let depth = 0;
+    for (let i = start; i < lines.length && i < start + 15; i++) {
+        const line = lines[i];
+        text += (text ? '\n' : '') + line;
+        for (const ch of line) {
+            if (ch === '(' || ch === '[') depth++;
+            else if (ch === ')' || ch === ']') depth--;
+        }
+        if (depth <= 0) break;
+    }
+    const cut = bodyStart ? text.search(bodyStart) : -1;
+    return (cut >= 0 ? text.slice(0, cut) : text).trimEnd();
+}
+
+/**
+ * Exported API of a file without bodies, as [{ line, text }]: exported functions, classes
+ * (with their public method signatures), constants, types and `module.exports`; for Python,
+ * public top-level functions and classes with their public methods.
+ */
+export function extractSignatures(code, filePath) {
+    const language = languageOf(filePath);
+    const lines = String(code).split('\n');
+    const signatures = [];
+    const push = (index, text) => signatures.push({ line: index + 1, text });
+
+    if (language === 'js') {
+        let inExportedClass = false;
+        let memberIndent = null;
+        lines.forEach((line, index) => {
+            if (/^export\s/.test(line) || /^module\.exports\b|^exports\.[\w$]+\s*=/.test(line)) {
+                inExportedClass = /^export\s+(?:default\s+)?(?:abstract\s+)?class\b/.test(line);
+                memberIndent = null;
+                if (/^export\s+(?:default\s+)?(?:async\s+)?(?:function|abstract\s+class|class|interface|enum)\b/.test(line)) {
+                    // Declarations stop where their body starts
+                    push(index, cutBody(signatureAt(lines, index)));
+                } else if (/=\s*(?:async\s*)?(?:\([^)]*\)|[\w$]+)\s*(?::\s*[^=]+)?=>/.test(line)) {
+                    // Arrow functions keep their parameters
+                    push(index, `${signatureAt(lines, index, /\s*=>/)} => …`);
+                } else {
+                    // Short values and re-exports as written, long initializers cut off
+                    push(index, line.length <= 120 ? line.trimEnd() : line.slice(0, line.indexOf('=') > 0 ? line.indexOf('=') : 120).trimEnd());
+                }
+            } else if (/^\S/.test(line)) {
+                inExportedClass = false;
+            } else if (inExportedClass && line.trim()) {
+                // Members are at the indentation of the class's first member; skip private ones
+                memberIndent = memberIndent === null ? line.match(/^\s*/)[0] : memberIndent;
+                if (line.match(/^\s*/)[0] !== memberIndent) return;
+                const member = line.match(/^\s*(?:(?:public|static|async|get|set|readonly|abstract|override)\s+)*\*?\s*([\w$]+)\s*[(<]/);
+                if (member && !/^\s*(?:private|protected)\b/.test(line) && !/^[_#]/.test(member[1]) &&
+                    !['if', 'for', 'while', 'switch', 'return', 'catch'].includes(member[1])) {
+                    push(index, cutBody(signatureAt(lines, index)));
+                }
+            }
+        });
+    } else if (language === 'python') {
+        let inPublicClass = false;
+        lines.forEach((line, index) => {
+            const top = line.match(/^(?:async\s+)?(def|class)\s+(\w+)/);
+            if (top) {
+                inPublicClass = top[1] === 'class' && !top[2].startsWith('_');
+                if (!top[2].startsWith('_')) push(index, signatureAt(lines, index, /:\s*$/));
+            } else if (/^\S/.test(line)) {
+                inPublicClass = false;
+                const constant = line.match(/^([A-Z][A-Z0-9_]*)\s*(?::[^=]+)?=/);
+                if (constant) push(index, line.trimEnd());
+            } else if (inPublicClass) {
+                const method = line.match(/^\s+(?:async\s+)?def\s+(\w+)/);
+                if (method && (!method[1].startsWith('_') || method[1] === '__init__')) {
+                    push(index, signatureAt(lines, index, /:\s*$/));
+                }
+            }
+        });
+    }
+    return signatures;
+}
+
+/**
+ * Dependencies and dependents of files under one root. Parsed imports are cached by
+ * modification time and the file list for LIST_TTL_MS, so one instance can serve a batch.
+ */
+export class ImportGraph {
+    static LIST_TTL_MS = 30000;
+    static MAX_FILES = 5000;
+
+    constructor(rootDir, { maxFiles = ImportGraph.MAX_FILES } = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.maxFiles = maxFiles;
+        this._files = null;
+        this._listedAt = 0;
+        // filePath -> { mtimeMs, targets: [{ target, line, names }] }
+        this._parsed = new Map();
+    }
+
+    /**
+     * Direct dependencies of a file as [{ filePath, names }], in import order
+     */
+    async dependenciesOf(filePath, code) {
+        const seen = new Map();
+        for (const { specifier, names } of parseImports(code, filePath)) {
+            const target = await resolveImport(specifier, filePath, this.rootDir);
+            if (!target || target === filePath) continue;
+            if (seen.has(target)) seen.get(target).push(...names);
+            else seen.set(target, [...names]);
+        }
+        return [...seen].map(([target, names]) => ({ filePath: target, names }));
+    }
+
+    /**
+     * Files under the root that import filePath, as [{ filePath, lines: [{ line, text }] }]
+     * with the import statements and the lines using the imported names
+     */
+    async dependentsOf(filePath, { maxLinesPerFile = 6, isCancelled = () => false } = {}) {
+        const target = path.resolve(filePath);
+        const dependents = [];
+        for (const file of await this._listFiles(isCancelled)) {
+            if (isCancelled()) break;
+            if (file === target) continue;
+            const parsed = await this._parse(file);
+            if (!parsed) continue;
+            const uses = parsed.targets.filter(t => t.target === target);
+            if (uses.length === 0) continue;
+
+            const names = uses.flatMap(u => u.names);
+            const importLines = new Set(uses.map(u => u.line));
+            const usage = names.length > 0 ? new RegExp(`\\b(?:${names.map(n => n.replace(/\$/g, '\\$')).join('|')})\\b`) : null;
+            const lines = parsed.lines
+                .map((text, index) => ({ line: index + 1, text }))
+                .filter(({ line, text }) => importLines.has(line) || (usage && usage.test(text)))
+                .slice(0, maxLinesPerFile)
+                .map(({ line, text }) => ({ line, text: text.trim() }));
+            dependents.push({ filePath: file, lines });
+        }
+        return dependents;
+    }
+
+    async _parse(file) {
+        let stat;
+        try {
+            stat = await fs.stat(file);
+        } catch (err) {
+            this._parsed.delete(file);
+            return null;
+        }
+        const cached = this._parsed.get(file);
+        if (cached && cached.mtimeMs === stat.mtimeMs) return cached;
+
+        let code;
+        try {
+            code = await fs.readFile(file, 'utf-8');
+        } catch (err) {
+            return null;
+        }
+        const targets = [];
+        for (const { specifier, line, names } of parseImports(code, file)) {
+            const target = await resolveImport(specifier, file, this.rootDir);
+            if (target) targets.push({ target, line, names });
+        }
+        const entry = { mtimeMs: stat.mtimeMs, targets, lines: code.split('\n') };
+        this._parsed.set(file, entry);
+        return entry;
+    }
+
+    async _listFiles(isCancelled) {
+        if (this._files && Date.now() - this._listedAt < ImportGraph.LIST_TTL_MS) return this._files;
+
+        const ignoreRules = await IgnoreRules.forDirectory(this.rootDir);
+        const files = [];
+        const walk = async (dir) => {
+            if (files.length >= this.maxFiles || isCancelled()) return;
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (err) {
+                return;
+            }
+            for (const entry of entries) {
+                if (files.length >= this.maxFiles) return;
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (ALWAYS_SKIPPED_DIRECTORIES.has(entry.name) || await ignoreRules.ignores(full, true)) continue;
+                    await walk(full);
+                } else if (entry.isFile() && languageOf(full) && !(await ignoreRules.ignores(full, false))) {
+                    files.push(full);
+                }
+            }
+        };
+        await walk(this.rootDir);
+        this._files = files;
+        this._listedAt = Date.now();
+        return files;
+    }
+}
+
+/**
+ * Format related files for a review prompt within maxTokens: dependencies (exported
+ * signatures) first, then dependents (how they use the file). Files that don't fit are
+ * listed by name only. Returns { text, files } with the files whose content was included.
+ */
+export function formatRelatedContext({ dependencies, dependents }, { maxTokens, displayPath = p => p }) {
+    const blocks = [];
+    const omitted = [];
+    const included = [];
+    let used = 0;
+    const add = (filePath, block) => {
+        const cost = estimateTokens(block);
+        if (used + cost > maxTokens) {
+            omitted.push(displayPath(filePath));
+            return;
+        }
+        used += cost;
+        blocks.push(block);
+        included.push(filePath);
+    };
+
+    for (const { filePath, signatures } of dependencies) {
+        if (signatures.length === 0) continue;
+        add(filePath, `Imported file ${displayPath(filePath)} (exported signatures, bodies omitted):\n${signatures.map(s => `${s.line} | ${s.text}`).join('\n')}`);
+    }
+    for (const { filePath, lines } of dependents) {
+        if (lines.length === 0) continue;
+        add(filePath, `${displayPath(filePath)} imports this file and uses it like this:\n${lines.map(l => `${l.line} | ${l.text}`).join('\n')}`);
+    }
+    if (omitted.length > 0) {
+        blocks.push(`Also related, not shown (over the context budget): ${omitted.join(', ')}`);
+    }
+    return { text: blocks.join('\n\n'), files: included };
+}
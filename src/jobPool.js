@@ -0,0 +1,145 @@
+/**
+ * Sleep for `ms`, waking up early (and resolving false) once isCancelled() returns true
+ */
+export function sleep(ms, isCancelled = () => false) {
+    return new Promise(resolve => {
+        if (isCancelled()) {
+            resolve(false);
+            return;
+        }
+        const timer = setTimeout(() => {
+            clearInterval(poll);
+            resolve(true);
+        }, ms);
+        const poll = setInterval(() => {
+            if (isCancelled()) {
+                clearTimeout(timer);
+                clearInterval(poll);
+                resolve(false);
+            }
+        }, 200);
+    });
+}
+
+/**
+ * Sliding-window requests-per-minute limiter shared by everything that calls the API.
+ * pause(ms) blocks all callers, e.g. after the server answered 429 with Retry-After.
+ */
+export class RateLimiter {
+    constructor(requestsPerMinute = 0) {
+        this.requestsPerMinute = requestsPerMinute;
+        this.timestamps = [];
+        this.pausedUntil = 0;
+    }
+
+    /**
+     * Wait until another request may be sent. Resolves false if cancelled while waiting.
+     */
+    async acquire(isCancelled = () => false) {
+        for (;;) {
+            const now = Date.now();
+            if (this.pausedUntil > now) {
+                if (!(await sleep(this.pausedUntil - now, isCancelled))) return false;
+                continue;
+            }
+            if (!this.requestsPerMinute || this.requestsPerMinute <= 0) return true;
+
+            this.timestamps = this.timestamps.filter(t => now - t < 60000);
+            if (this.timestamps.length < this.requestsPerMinute) {
+                this.timestamps.push(now);
+                return true;
+            }
+            if (!(await sleep(60000 - (now - this.timestamps[0]) + 10, isCancelled))) return false;
+        }
+    }
+
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+}
+
+/**
+ * Whether an error is worth retrying: rate limits, server hiccups and network failures
+ */
+export function isRetryableError(error) {
+    if (!error) return false;
+    if (error.transient) return true;
+    return [408, 429, 500, 502, 503, 504].includes(error.status);
+}
+
+/**
+ * Runs jobs with bounded concurrency. Failed jobs are retried with exponential
+ * backoff (or after the server's Retry-After, which also pauses the shared
+ * rate limiter); jobs that still fail are reported, not thrown.
+ */
+export class JobPool {
+    constructor({
+        concurrency = 4,
+        rateLimiter = null,
+        maxRetries = 3,
+        baseDelayMs = 2000,
+        maxDelayMs = 60000,
+        onRetry = null
+    } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.rateLimiter = rateLimiter;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        // onRetry(item, error, attempt, delayMs)
+        this.onRetry = onRetry;
+    }
+
+    backoffDelay(attempt, error) {
+        if (error && error.retryAfterMs) {
+            return Math.min(error.retryAfterMs, this.maxDelayMs * 5);
+        }
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+        // Jitter so concurrent jobs don't retry in lockstep
+        return Math.round(exponential * (0.75 + Math.random() * 0.5));
+    }
+
+    /**
+     * Run worker(item, index) for every item.
+     * options: { isCancelled, onSettled(outcome) } where outcome is
+     * { item, index, value } or { item, index, error, attempts }.
+     * Resolves to { results, failed, cancelled } (results in completion order).
+     */
+    async run(items, worker, { isCancelled = () => false, onSettled = null } = {}) {
+        const results = [];
+        const failed = [];
+        let next = 0;
+
+        const runOne = async (item, index) => {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return { item, index, value: await worker(item, index) };
+                } catch (error) {
+                    if (isCancelled() || attempt > this.maxRetries || !isRetryableError(error)) {
+                        return { item, index, error, attempts: attempt };
+                    }
+                    const delay = this.backoffDelay(attempt, error);
+                    if (error.retryAfterMs && this.rateLimiter) {
+                        this.rateLimiter.pause(delay);
+                    }
+                    this.onRetry && this.onRetry(item, error, attempt, delay);
+                    if (!(await sleep(delay, isCancelled))) {
+                        return { item, index, error, attempts: attempt };
+                    }
+                }
+            }
+        };
+
+        const lane = async () => {
+            while (next < items.length && !isCancelled()) {
+                const index = next++;
+                const outcome = await runOne(items[index], index);
+                if (outcome.error) failed.push(outcome); else results.push(outcome);
+                if (onSettled) await onSettled(outcome);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, lane));
+        return { results, failed, cancelled: isCancelled() };
+    }
+}
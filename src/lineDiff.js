@@ -0,0 +1,158 @@
+/**
+ * Minimal line-based diff (Myers O(ND)) used to split proposed fixes into hunks.
+ */
+
+/**
+ * Split text into lines, keeping the final line even if empty
+ */
+export function splitLines(text) {
+    return String(text).split(/\r?\n/);
+}
+
+/**
+ * Compute the shortest edit script between two line arrays.
+ * Returns a list of operations: { type: 'equal' | 'delete' | 'insert', aIndex, bIndex }
+ */
+function diffOperations(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max;
+    let v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    outer:
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                trace.push(v.slice());
+                break outer;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the edit script
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 2; d >= 0; d--) {
+        const vd = trace[d];
+        const k = x - y;
+        let prevK;
+        if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+            prevK = k + 1;
+        } else {
+            prevK = k - 1;
+        }
+        const prevX = vd[offset + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: 'equal', aIndex: x, bIndex: y });
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                y--;
+                ops.push({ type: 'insert', aIndex: x, bIndex: y });
+            } else {
+                x--;
+                ops.push({ type: 'delete', aIndex: x, bIndex: y });
+            }
+        }
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Diff two texts into hunks of changed lines (0-based line indexes).
+ * Each hunk: { originalStart, originalLength, modifiedStart, modifiedLength, originalLines, modifiedLines }
+ */
+export function diffLines(originalText, modifiedText) {
+    const a = splitLines(originalText);
+    const b = splitLines(modifiedText);
+
+    // Trim the common prefix/suffix first; the diff then only runs on the changed middle
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+    const ops = diffOperations(midA, midB);
+
+    const hunks = [];
+    let current = null;
+    for (const op of ops) {
+        if (op.type === 'equal') {
+            current = null;
+            continue;
+        }
+        if (!current) {
+            current = {
+                originalStart: prefix + op.aIndex,
+                originalLength: 0,
+                modifiedStart: prefix + op.bIndex,
+                modifiedLength: 0,
+                originalLines: [],
+                modifiedLines: []
+            };
+            hunks.push(current);
+        }
+        if (op.type === 'delete') {
+            current.originalLength++;
+            current.originalLines.push(midA[op.aIndex]);
+        } else {
+            current.modifiedLength++;
+            current.modifiedLines.push(midB[op.bIndex]);
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * 1-based line of the modified text that line `line` of the original became, given
+ * diffLines(original, modified); null when the line was changed or removed
+ */
+export function mapLine(hunks, line) {
+    let shift = 0;
+    for (const hunk of hunks) {
+        if (line - 1 < hunk.originalStart) break;
+        if (line - 1 < hunk.originalStart + hunk.originalLength) return null;
+        shift += hunk.modifiedLength - hunk.originalLength;
+    }
+    return line + shift;
+}
+
+/**
+ * Apply a subset of hunks (computed against originalText) and return the new text
+ */
+export function applyHunks(originalText, hunks) {
+    const lines = splitLines(originalText);
+    const eol = String(originalText).includes('\r\n') ? '\r\n' : '\n';
+
+    // Apply bottom-up so earlier indexes stay valid
+    const ordered = [...hunks].sort((h1, h2) => h2.originalStart - h1.originalStart);
+    for (const hunk of ordered) {
+        lines.splice(hunk.originalStart, hunk.originalLength, ...hunk.modifiedLines);
+    }
+    return lines.join(eol);
+}
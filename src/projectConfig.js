@@ -0,0 +1,288 @@
+import { promises as fs, readFileSync } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { matchGlob } from './glob.js';
+import { SEVERITIES } from './reviewSchema.js';
+
+/**
+ * Config file names looked up at a workspace root, in order of preference
+ */
+export const PROJECT_CONFIG_FILES = ['.aireviewer.json', '.aireviewer.yml', '.aireviewer.yaml'];
+
+let cachedSchema = null;
+
+/**
+ * JSON schema of the config file (also contributed to VS Code for .aireviewer.json)
+ */
+export function projectConfigSchema() {
+    if (!cachedSchema) {
+        cachedSchema = JSON.parse(readFileSync(new URL('../schemas/aireviewer.schema.json', import.meta.url), 'utf-8'));
+    }
+    return cachedSchema;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by the config schema
+ * (type, enum, properties, required, additionalProperties, items, oneOf, $ref, minLength, pattern, minimum, maximum).
+ * Returns [{ path, message }]; path is like "overrides[0].minSeverity".
+ */
+export function validateAgainstSchema(value, schema, root = schema, at = '') {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], root);
+        return validateAgainstSchema(value, { ...target, ...schema, $ref: undefined }, root, at);
+    }
+    const where = at || '(root)';
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(option => validateAgainstSchema(value, option, root, at).length === 0);
+        if (matches.length !== 1) {
+            const types = schema.oneOf.map(option => option.items ? `${option.type} of ${option.items.type}s` : option.type);
+            return [{ path: where, message: `must be one of: ${types.join(', ')}` }];
+        }
+        return [];
+    }
+
+    const actual = typeOf(value);
+    if (schema.type && actual !== schema.type && !(schema.type === 'number' && actual === 'integer')) {
+        return [{ path: where, message: `must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeio]/.test(schema.type) ? 'n' : ''} ${schema.type}`} (got ${actual})` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path: where, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})` }];
+    }
+
+    const errors = [];
+    if (actual === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: where, message: 'must not be empty' });
+    }
+    if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: where, message: `must match ${schema.pattern} (got ${JSON.stringify(value)})` });
+    }
+    if ((actual === 'number' || actual === 'integer') && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: where, message: `must be at least ${schema.minimum}` });
+    }
+    if ((actual === 'number' || actual === 'integer') && schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: where, message: `must be at most ${schema.maximum}` });
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, root, `${at}[${index}]`));
+        });
+    }
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push({ path: where, message: `is missing "${key}"` });
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = at ? `${at}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(child, properties[key], root, childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not a known setting' });
+            }
+        }
+    }
+    return errors;
+}
+
+function toList(instructions) {
+    if (!instructions) return [];
+    return (Array.isArray(instructions) ? instructions : [instructions]).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Review settings committed to a repository (.aireviewer.json / .yml at a workspace root).
+ * Globs are relative to the folder holding the file. Free of the VS Code API: the
+ * extension and the CLI load configs and register them with ProjectConfig.use().
+ */
+export class ProjectConfig {
+    /**
+     * Configs in effect, one per workspace root
+     */
+    static active = [];
+
+    constructor(data = {}, { rootDir, file = null } = {}) {
+        this.data = data;
+        this.rootDir = path.resolve(rootDir);
+        this.file = file;
+    }
+
+    /**
+     * Parse and validate config text; YAML unless the file name ends in .json.
+     * Returns { data, errors } with errors as [{ path, message }].
+     */
+    static parse(text, fileName = '.aireviewer.json') {
+        let data;
+        try {
+            data = fileName.toLowerCase().endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+        } catch (err) {
+            return { data: null, errors: [{ path: '(file)', message: `cannot be parsed: ${err.message.split('\n')[0]}` }] };
+        }
+        // An empty YAML file is an empty config
+        if (data === undefined || data === null) data = {};
+
+        const errors = validateAgainstSchema(data, projectConfigSchema());
+        const seen = new Set();
+        (Array.isArray(data.rules) ? data.rules : []).forEach((rule, index) => {
+            if (rule && seen.has(rule.id)) {
+                errors.push({ path: `rules[${index}].id`, message: `duplicates the rule id "${rule.id}"` });
+            }
+            seen.add(rule && rule.id);
+        });
+        return { data: errors.length === 0 ? data : null, errors };
+    }
+
+    /**
+     * Load the config file at rootDir, if any.
+     * Returns { config, file, errors }; config is null when there is no file or it is invalid.
+     */
+    static async load(rootDir) {
+        for (const name of PROJECT_CONFIG_FILES) {
+            const file = path.join(rootDir, name);
+            let text;
+            try {
+                text = await fs.readFile(file, 'utf-8');
+            } catch (err) {
+                if (err.code === 'ENOENT') continue;
+                return { config: null, file, errors: [{ path: '(file)', message: `cannot be read: ${err.message}` }] };
+            }
+            const { data, errors } = ProjectConfig.parse(text, name);
+            return { config: data ? new ProjectConfig(data, { rootDir, file }) : null, file, errors };
+        }
+        return { config: null, file: null, errors: [] };
+    }
+
+    /**
+     * Make these configs the ones in effect (nulls are ignored)
+     */
+    static use(configs) {
+        ProjectConfig.active = configs.filter(Boolean);
+    }
+
+    /**
+     * The active config whose root contains filePath (the deepest one), or null
+     */
+    static find(filePath) {
+        let best = null;
+        for (const config of ProjectConfig.active) {
+            if (config.contains(filePath) && (!best || config.rootDir.length > best.rootDir.length)) {
+                best = config;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Effective settings for filePath (see forFile), or null when no config applies
+     */
+    static settingsFor(filePath) {
+        const config = filePath ? ProjectConfig.find(filePath) : null;
+        return config ? config.forFile(filePath) : null;
+    }
+
+    contains(filePath) {
+        const relative = path.relative(this.rootDir, path.resolve(filePath));
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    relativePath(filePath) {
+        return path.relative(this.rootDir, path.resolve(filePath)).split(path.sep).join('/');
+    }
+
+    /**
+     * Is the file excluded by the config's include / exclude globs?
+     */
+    excludes(filePath) {
+        const relative = this.relativePath(filePath);
+        const { include, exclude = [] } = this.data;
+        if (exclude.some(glob => matchGlob(relative, glob))) return true;
+        return Array.isArray(include) && !include.some(glob => matchGlob(relative, glob));
+    }
+
+    /**
+     * Is a directory excluded outright? Only exclude globs prune directories; include globs
+     * are checked per file.
+     */
+    excludesDirectory(dirPath) {
+        const relative = this.relativePath(dirPath);
+        return (this.data.exclude || []).some(glob => matchGlob(relative, glob) || matchGlob(`${relative}/`, glob));
+    }
+
+    /**
+     * Settings for one file with matching overrides applied in order:
+     * { fileTypes, minSeverity, categories, instructions: [...], model: { name, temperature, ... }, rules: [...] }.
+     * Later overrides replace earlier values; instructions accumulate. `rules` are the team
+     * rules whose `files` globs match (or that have none).
+     */
+    forFile(filePath) {
+        const { fileTypes = null, minSeverity = null, categories = null, instructions, model = {}, rules = [], overrides = [] } = this.data;
+        const relative = this.relativePath(filePath);
+        const settings = {
+            fileTypes,
+            minSeverity,
+            categories,
+            instructions: toList(instructions),
+            model: { ...model },
+            rules: rules.filter(rule => !rule.files || rule.files.some(glob => matchGlob(relative, glob)))
+        };
+
+        for (const override of overrides) {
+            if (!override.files.some(glob => matchGlob(relative, glob))) continue;
+            if (override.minSeverity) settings.minSeverity = override.minSeverity;
+            if (override.categories) settings.categories = override.categories;
+            settings.instructions.push(...toList(override.instructions));
+            settings.model = { ...settings.model, ...(override.model || {}) };
+        }
+        return settings;
+    }
+
+    get failOn() {
+        return this.data.failOn || null;
+    }
+
+    /**
+     * Every team rule, whatever its scope
+     */
+    get rules() {
+        return this.data.rules || [];
+    }
+}
+
+/**
+ * Apply the project settings to a file's findings: findings tagged with one of the file's
+ * team rules take the rule's severity, other rule ids are dropped; then findings below
+ * minSeverity or outside the enabled categories are filtered out (rule findings are
+ * kept whatever their category).
+ */
+export function applyProjectSettings(issues, settings) {
+    if (!settings) return issues;
+    const rules = new Map(settings.rules.map(rule => [rule.id, rule]));
+    const maxRank = settings.minSeverity ? SEVERITIES.indexOf(settings.minSeverity) : SEVERITIES.length - 1;
+
+    return issues
+        .map(issue => {
+            if (!issue.ruleId) return issue;
+            const rule = rules.get(issue.ruleId);
+            if (rule) return { ...issue, severity: rule.severity };
+            const { ruleId, ...rest } = issue;
+            return rest;
+        })
+        .filter(issue =>
+            SEVERITIES.indexOf(issue.severity) <= maxRank &&
+            (issue.ruleId || !settings.categories || settings.categories.includes(issue.category))
+        );
+}
+
+/**
+ * One-line description of a config problem for logs and messages
+ */
+export function formatConfigError(error) {
+    return `${error.path} ${error.message}`;
+}
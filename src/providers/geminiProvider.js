@@ -0,0 +1,101 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider, ProviderError } from './llmProvider.js';
+
+/**
+ * Google Gemini backend (via @google/generative-ai)
+ */
+export class GeminiProvider extends LLMProvider {
+    static ID = 'google';
+    static DEFAULT_MODEL = 'gemini-2.5-flash';
+
+    constructor({ apiKey, model } = {}) {
+        super({ model });
+        if (!apiKey) {
+            throw new ProviderError('Gemini API key not set. Please set your Gemini API key first.');
+        }
+        this.genAI = new GoogleGenerativeAI(apiKey);
+    }
+
+    _getModel(generation, extraConfig = {}) {
+        const { model, temperature, topK, topP, maxOutputTokens } = this.resolveGeneration(generation);
+        return this.genAI.getGenerativeModel({
+            model,
+            generationConfig: {
+                temperature,
+                topK,
+                topP,
+                maxOutputTokens,
+                ...extraConfig
+            }
+        });
+    }
+
+    startChat({ tools = [], generation } = {}) {
+        const chat = this._getModel(generation).startChat({
+            tools: tools.length > 0 ? [{ functionDeclarations: tools }] : undefined,
+            history: []
+        });
+
+        return {
+            send: async (message, { signal } = {}) => {
+                const request = typeof message === 'string'
+                    ? message
+                    : message.map(toolResult => ({
+                        functionResponse: {
+                            name: toolResult.name,
+                            response: toolResult.result && typeof toolResult.result === 'object'
+                                ? toolResult.result
+                                : { result: toolResult.result }
+                        }
+                    }));
+
+                const result = await this._call(() => chat.sendMessage(request, { signal }), signal);
+                const calls = result.response.functionCalls() || [];
+                return {
+                    text: GeminiProvider.responseText(result.response),
+                    toolCalls: calls.map((call, idx) => ({ id: `${call.name}-${idx}`, name: call.name, args: call.args || {} }))
+                };
+            }
+        };
+    }
+
+    async generateText(prompt, { json, generation, signal } = {}) {
+        const model = json
+            ? this._getModel(generation, { responseMimeType: 'application/json', responseSchema: json })
+            : this._getModel(generation);
+        const result = await this._call(() => model.generateContent(prompt, { signal }), signal);
+        return GeminiProvider.responseText(result.response);
+    }
+
+    /**
+     * Run an SDK call, normalizing its errors into ProviderError
+     */
+    async _call(fn, signal) {
+        ProviderError.throwIfAborted(signal);
+        try {
+            return await fn();
+        } catch (err) {
+            // The SDK wraps the fetch AbortError in its own error type
+            if (signal && signal.aborted) {
+                throw ProviderError.cancelled(err);
+            }
+            // 429 responses carry a google.rpc.RetryInfo detail with e.g. retryDelay: "31s"
+            const retryInfo = (err.errorDetails || []).find(d => String(d['@type'] || '').endsWith('RetryInfo'));
+            throw new ProviderError(err.message, {
+                status: err.status,
+                cause: err,
+                retryAfterMs: retryInfo ? ProviderError.parseRetryAfter(retryInfo.retryDelay) : undefined,
+                transient: !err.status && /fetch failed|ECONNRESET|ETIMEDOUT|ENOTFOUND|socket hang up/i.test(err.message)
+            });
+        }
+    }
+
+    static responseText(response) {
+        try {
+            return String(response.text() || '').trim();
+        } catch (_) {
+            // text() throws when the candidate only contains function calls or was blocked
+            return '';
+        }
+    }
+}
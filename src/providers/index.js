@@ -0,0 +1,52 @@
+import { GeminiProvider } from './geminiProvider.js';
+import { OpenAICompatibleProvider } from './openAICompatibleProvider.js';
+
+export { LLMProvider, ProviderError, isAbortError } from './llmProvider.js';
+export { GeminiProvider, OpenAICompatibleProvider };
+
+/**
+ * Providers selectable in settings / the sidebar dropdown
+ */
+export const PROVIDERS = {
+    google: {
+        label: 'Google Gemini',
+        secretKey: 'gemini-api-key',
+        requiresApiKey: true,
+        defaultModel: GeminiProvider.DEFAULT_MODEL
+    },
+    openai: {
+        label: 'OpenAI',
+        secretKey: 'openai-api-key',
+        requiresApiKey: true,
+        defaultModel: OpenAICompatibleProvider.DEFAULT_MODEL,
+        defaultBaseUrl: OpenAICompatibleProvider.DEFAULT_BASE_URL
+    },
+    custom: {
+        label: 'OpenAI-compatible (Ollama, LM Studio, llama.cpp)',
+        secretKey: 'custom-api-key',
+        requiresApiKey: false,
+        defaultModel: 'llama3.1',
+        defaultBaseUrl: 'http://localhost:11434/v1'
+    }
+};
+
+/**
+ * Create a provider from plain options: { provider, apiKey, baseUrl, model }
+ */
+export function createProvider({ provider = 'google', apiKey, baseUrl, model } = {}) {
+    const info = PROVIDERS[provider];
+    if (!info) {
+        throw new Error(`Unknown AI provider: ${provider}`);
+    }
+
+    if (provider === 'google') {
+        return new GeminiProvider({ apiKey, model: model || info.defaultModel });
+    }
+
+    return new OpenAICompatibleProvider({
+        id: provider,
+        apiKey,
+        baseUrl: baseUrl || info.defaultBaseUrl,
+        model: model || info.defaultModel
+    });
+}
@@ -0,0 +1,99 @@
+/**
+ * Common interface for LLM backends used by the reviewer.
+ *
+ * A provider exposes:
+ * - startChat({ tools, generation }) -> ChatSession, where session.send(message, { signal }) accepts
+ *   either a prompt string or an array of tool results ({ id, name, result }) and resolves to
+ *   { text, toolCalls: [{ id, name, args }] }
+ * - generateText(prompt, { json, generation, signal }) -> Promise<string>; `json` is an optional
+ *   response schema asking the backend for a JSON answer
+ *
+ * `signal` is an optional AbortSignal; aborting it cancels the HTTP request in flight and
+ * rejects with a ProviderError whose `aborted` flag is set.
+
+ * `generation` holds optional per-request overrides: { model, temperature, topP, topK, maxOutputTokens }.
+ * Tool definitions are plain JSON-schema function declarations ({ name, description, parameters }).
+ */
+export class LLMProvider {
+    static GENERATION_DEFAULTS = { temperature: 0.2, topP: 0.95, topK: 40, maxOutputTokens: 8192 };
+
+    constructor({ model } = {}) {
+        this.model = model || this.constructor.DEFAULT_MODEL;
+    }
+
+    /**
+     * Human-readable identifier used in logs, e.g. "google:gemini-2.5-flash"
+     */
+    get label() {
+        return `${this.constructor.ID}:${this.model}`;
+    }
+
+    /**
+     * Merge per-request generation overrides over the defaults
+     */
+    resolveGeneration(generation = {}) {
+        const resolved = { ...LLMProvider.GENERATION_DEFAULTS, model: this.model };
+        for (const [key, value] of Object.entries(generation || {})) {
+            if (value !== undefined && value !== null && value !== '') resolved[key] = value;
+        }
+        return resolved;
+    }
+
+    startChat() {
+        throw new Error(`${this.constructor.name} does not implement startChat`);
+    }
+
+    async generateText() {
+        throw new Error(`${this.constructor.name} does not implement generateText`);
+    }
+}
+
+/**
+ * Error raised by providers; carries the HTTP status when the backend returned one,
+ * how long the server asked us to wait (retryAfterMs), whether it was a
+ * network-level failure worth retrying (transient) and whether the request was
+ * cancelled through its AbortSignal (aborted)
+ */
+export class ProviderError extends Error {
+    constructor(message, { status, cause, retryAfterMs, transient = false, aborted = false } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.transient = transient;
+        this.aborted = aborted;
+        if (cause) this.cause = cause;
+    }
+
+    static cancelled(cause) {
+        return new ProviderError('Request cancelled', { cause, aborted: true });
+    }
+
+    /**
+     * Throw a cancellation error if `signal` has been aborted
+     */
+    static throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw ProviderError.cancelled(signal.reason);
+        }
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date) or a "30s" style duration into ms
+     */
+    static parseRetryAfter(value) {
+        if (value === undefined || value === null || value === '') return undefined;
+        const text = String(value).trim();
+        const seconds = text.match(/^(\d+(?:\.\d+)?)s?$/);
+        if (seconds) return Math.round(parseFloat(seconds[1]) * 1000);
+        const date = Date.parse(text);
+        return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+    }
+}
+
+/**
+ * Whether an error means the work was cancelled rather than failed
+ */
+export function isAbortError(error) {
+    return !!error && (error.aborted === true || error.name === 'AbortError');
+}
@@ -0,0 +1,136 @@
+import { LLMProvider, ProviderError } from './llmProvider.js';
+
+/**
+ * Any server speaking the OpenAI Chat Completions API: OpenAI itself or a
+ * self-hosted model (Ollama, llama.cpp server, LM Studio, vLLM, ...).
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+    static ID = 'openai';
+    static DEFAULT_MODEL = 'gpt-4o-mini';
+    static DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+    constructor({ apiKey, baseUrl, model, id } = {}) {
+        super({ model });
+        this.apiKey = apiKey || '';
+        this.baseUrl = String(baseUrl || OpenAICompatibleProvider.DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.id = id || OpenAICompatibleProvider.ID;
+        // Some local servers reject response_format; remember once we learn that
+        this.supportsJsonMode = true;
+    }
+
+    get label() {
+        return `${this.id}:${this.model}`;
+    }
+
+    startChat({ tools = [], generation } = {}) {
+        const messages = [];
+        const toolSpecs = tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }));
+
+        return {
+            send: async (message, { signal } = {}) => {
+                if (typeof message === 'string') {
+                    messages.push({ role: 'user', content: message });
+                } else {
+                    for (const toolResult of message) {
+                        messages.push({
+                            role: 'tool',
+                            tool_call_id: toolResult.id,
+                            content: typeof toolResult.result === 'string' ? toolResult.result : JSON.stringify(toolResult.result)
+                        });
+                    }
+                }
+
+                const choice = await this._complete({ messages, tools: toolSpecs.length > 0 ? toolSpecs : undefined }, generation, signal);
+                const reply = choice.message || {};
+                messages.push(reply);
+
+                return {
+                    text: String(reply.content || '').trim(),
+                    toolCalls: (reply.tool_calls || []).map(call => ({
+                        id: call.id,
+                        name: call.function.name,
+                        args: OpenAICompatibleProvider.parseArgs(call.function.arguments)
+                    }))
+                };
+            }
+        };
+    }
+
+    async generateText(prompt, { json, generation, signal } = {}) {
+        const messages = [{ role: 'user', content: prompt }];
+        if (json && this.supportsJsonMode) {
+            try {
+                const choice = await this._complete({ messages, response_format: { type: 'json_object' } }, generation, signal);
+                return String(choice.message?.content || '').trim();
+            } catch (err) {
+                if (err.status !== 400) throw err;
+                this.supportsJsonMode = false;
+            }
+        }
+
+        const choice = await this._complete({ messages }, generation, signal);
+        return String(choice.message?.content || '').trim();
+    }
+
+    async _complete(body, generation, signal) {
+        ProviderError.throwIfAborted(signal);
+        const { model, temperature, topP, topK, maxOutputTokens } = this.resolveGeneration(generation);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+        let res;
+        try {
+            res = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    temperature,
+                    top_p: topP,
+                    // top_k is not part of the OpenAI API but local servers accept it
+                    ...(this.id === 'openai' ? {} : { top_k: topK }),
+                    max_tokens: maxOutputTokens,
+                    ...body
+                }),
+                signal
+            });
+        } catch (err) {
+            if (signal && signal.aborted) throw ProviderError.cancelled(err);
+            throw new ProviderError(`Cannot reach ${this.baseUrl}: ${err.message}`, { cause: err, transient: true });
+        }
+
+        if (!res.ok) {
+            const detail = await res.text().catch(() => '');
+            ProviderError.throwIfAborted(signal);
+            throw new ProviderError(`${this.id} request failed (${res.status}): ${detail.substring(0, 300)}`, {
+                status: res.status,
+                retryAfterMs: ProviderError.parseRetryAfter(res.headers.get('retry-after'))
+            });
+        }
+
+        let data;
+        try {
+            data = await res.json();
+        } catch (err) {
+            if (signal && signal.aborted) throw ProviderError.cancelled(err);
+            throw err;
+        }
+        const choice = data.choices && data.choices[0];
+        if (!choice) {
+            throw new ProviderError(`${this.id} returned no choices`);
+        }
+        return choice;
+    }
+
+    static parseArgs(raw) {
+        if (raw && typeof raw === 'object') return raw;
+        try {
+            return JSON.parse(raw || '{}');
+        } catch (_) {
+            return {};
+        }
+    }
+}
@@ -0,0 +1,133 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export function hashContent(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+/**
+ * On-disk cache of reviews, one JSON file per key. The key is a hash of everything
+ * that influences the answer (content, model, prompt version, settings), so a hit
+ * means the same request was already answered.
+ * Entries older than maxAgeDays are ignored; the oldest entries are evicted once
+ * the cache exceeds maxEntries or maxBytes.
+ */
+export class ReviewCache {
+    static DIR_NAME = 'review-cache';
+    static EVICT_EVERY = 20;
+
+    constructor(storageDir, { maxEntries = 500, maxBytes = 50 * 1024 * 1024, maxAgeDays = 30 } = {}) {
+        this.dir = path.join(storageDir, ReviewCache.DIR_NAME);
+        this.configure({ maxEntries, maxBytes, maxAgeDays });
+        this._writesSinceEviction = 0;
+    }
+
+    configure({ maxEntries, maxBytes, maxAgeDays } = {}) {
+        if (maxEntries !== undefined) this.maxEntries = maxEntries;
+        if (maxBytes !== undefined) this.maxBytes = maxBytes;
+        if (maxAgeDays !== undefined) this.maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Cache key for a review request; `parts` is any JSON-serializable description of it
+     */
+    static key(parts) {
+        return hashContent(JSON.stringify(parts));
+    }
+
+    _entryPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * Stored value for a key, or null when missing or expired
+     */
+    async get(key) {
+        try {
+            const entry = JSON.parse(await fs.readFile(this._entryPath(key), 'utf-8'));
+            if (Date.now() - entry.storedAt > this.maxAgeMs) {
+                await fs.rm(this._entryPath(key), { force: true });
+                return null;
+            }
+            return entry.value;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    async set(key, value) {
+        try {
+            await fs.mkdir(this.dir, { recursive: true });
+            await fs.writeFile(this._entryPath(key), JSON.stringify({ storedAt: Date.now(), value }), 'utf-8');
+            // Scanning the directory on every write would slow down large batches
+            if (++this._writesSinceEviction >= ReviewCache.EVICT_EVERY) {
+                this._writesSinceEviction = 0;
+                await this.evict();
+            }
+        } catch (err) {
+            console.warn('Cannot write review cache entry:', err);
+        }
+    }
+
+    /**
+     * Drop expired entries, then the oldest ones until the count and size limits hold
+     */
+    async evict() {
+        let names;
+        try {
+            names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+        } catch (err) {
+            return 0;
+        }
+
+        const entries = [];
+        for (const name of names) {
+            try {
+                const stats = await fs.stat(path.join(this.dir, name));
+                entries.push({ name, size: stats.size, mtime: stats.mtimeMs });
+            } catch (err) {
+                // Removed concurrently
+            }
+        }
+        entries.sort((a, b) => b.mtime - a.mtime);
+
+        const now = Date.now();
+        let count = 0;
+        let bytes = 0;
+        let removed = 0;
+        for (const entry of entries) {
+            const keep = now - entry.mtime <= this.maxAgeMs
+                && count + 1 <= this.maxEntries
+                && bytes + entry.size <= this.maxBytes;
+            if (keep) {
+                count++;
+                bytes += entry.size;
+            } else {
+                await fs.rm(path.join(this.dir, entry.name), { force: true });
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async clear() {
+        await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    /**
+     * { entries, bytes } currently on disk
+     */
+    async stats() {
+        try {
+            const names = (await fs.readdir(this.dir)).filter(name => name.endsWith('.json'));
+            let bytes = 0;
+            for (const name of names) {
+                bytes += (await fs.stat(path.join(this.dir, name))).size;
+            }
+            return { entries: names.length, bytes };
+        } catch (err) {
+            return { entries: 0, bytes: 0 };
+        }
+    }
+}
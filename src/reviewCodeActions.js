@@ -0,0 +1,109 @@
+// src/reviewCodeActions.js
+import * as vscode from 'vscode';
+import { ReviewDiagnostics, DIAGNOSTIC_SOURCE } from './reviewDiagnostics.js';
+import { SEVERITIES } from './reviewSchema.js';
+
+// A plain source action, not source.fixAll: codeActionsOnSave would apply fixAll kinds
+// silently on every save, without the user looking at the model's changes
+export const FIX_ALL_KIND = vscode.CodeActionKind.Source.append('aiCodeReviewer.fixAll');
+
+/**
+ * Compute the targeted edit for one issue, or null if it has no replacement or the
+ * code under it changed since the review (so we never overwrite the user's edits).
+ */
+export function computeIssueEdit(document, issue, snapshot) {
+    if (typeof issue.replacement !== 'string') return null;
+
+    const range = ReviewDiagnostics.rangeForIssue(document, issue);
+    if (snapshot !== undefined && document.getText(range) !== snapshot) {
+        return null;
+    }
+
+    const newText = issue.replacement.replace(/\r?\n$/, '');
+    return { issue, range, newText };
+}
+
+/**
+ * Compute edits for many issues; overlapping ranges are resolved in favour of the
+ * more severe (then earlier) issue so the merged edit is always applicable.
+ */
+export function computeMergedEdits(document, issues, getSnapshot = () => undefined) {
+    const candidates = (issues || [])
+        .map(issue => computeIssueEdit(document, issue, getSnapshot(issue.id)))
+        .filter(Boolean)
+        .sort((a, b) =>
+            SEVERITIES.indexOf(a.issue.severity) - SEVERITIES.indexOf(b.issue.severity) ||
+            a.range.start.line - b.range.start.line
+        );
+
+    const accepted = [];
+    const skipped = [];
+    for (const edit of candidates) {
+        if (accepted.some(other => other.range.intersection(edit.range))) {
+            skipped.push(edit.issue);
+        } else {
+            accepted.push(edit);
+        }
+    }
+
+    accepted.sort((a, b) => a.range.start.compareTo(b.range.start));
+    return { edits: accepted, skipped };
+}
+
+/**
+ * Offers one Quick Fix per AI finding plus a "fix all" source action for the file
+ */
+export class ReviewCodeActionProvider {
+    static providedCodeActionKinds = [vscode.CodeActionKind.QuickFix, FIX_ALL_KIND];
+
+    constructor(reviewDiagnostics) {
+        this.reviewDiagnostics = reviewDiagnostics;
+    }
+
+    provideCodeActions(document, range, context) {
+        const actions = [];
+        const only = context.only;
+
+        if (!only || only.contains(vscode.CodeActionKind.QuickFix) || vscode.CodeActionKind.QuickFix.contains(only)) {
+            for (const diagnostic of context.diagnostics) {
+                if (diagnostic.source !== DIAGNOSTIC_SOURCE) continue;
+
+                const issue = this.reviewDiagnostics.getIssueForDiagnostic(document.uri, diagnostic);
+                if (!issue) continue;
+
+                const fix = computeIssueEdit(document, issue, this.reviewDiagnostics.getSnapshot(document.uri, issue.id));
+                if (!fix) continue;
+
+                const action = new vscode.CodeAction(`AI fix: ${issue.title}`, vscode.CodeActionKind.QuickFix);
+                action.diagnostics = [diagnostic];
+                action.isPreferred = true;
+                action.edit = new vscode.WorkspaceEdit();
+                action.edit.replace(document.uri, fix.range, fix.newText);
+                actions.push(action);
+            }
+        }
+
+        if (!only || only.contains(FIX_ALL_KIND) || FIX_ALL_KIND.contains(only)) {
+            const fixAll = this.createFixAllAction(document);
+            if (fixAll) actions.push(fixAll);
+        }
+
+        return actions;
+    }
+
+    /**
+     * Source action that applies every fixable finding in the document at once
+     */
+    createFixAllAction(document) {
+        const issues = this.reviewDiagnostics.getIssues(document.uri);
+        const { edits } = computeMergedEdits(document, issues, id => this.reviewDiagnostics.getSnapshot(document.uri, id));
+        if (edits.length === 0) return null;
+
+        const action = new vscode.CodeAction(`Fix all AI findings in file (${edits.length})`, FIX_ALL_KIND);
+        action.edit = new vscode.WorkspaceEdit();
+        for (const { range, newText } of edits) {
+            action.edit.replace(document.uri, range, newText);
+        }
+        return action;
+    }
+}
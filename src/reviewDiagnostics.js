@@ -0,0 +1,211 @@
+// src/reviewDiagnostics.js
+import * as vscode from 'vscode';
+
+export const DIAGNOSTIC_SOURCE = 'AI Code Reviewer';
+
+/**
+ * Map review severities onto VS Code diagnostic severities
+ */
+const SEVERITY_MAP = {
+    Critical: vscode.DiagnosticSeverity.Error,
+    High: vscode.DiagnosticSeverity.Error,
+    Medium: vscode.DiagnosticSeverity.Warning,
+    Low: vscode.DiagnosticSeverity.Information
+};
+
+/**
+ * Publishes review findings into a dedicated DiagnosticCollection (Problems panel + squiggles).
+ * Findings are dropped again once a file has been edited heavily, since their ranges go stale.
+ */
+export class ReviewDiagnostics {
+    constructor() {
+        this.collection = vscode.languages.createDiagnosticCollection('aiCodeReviewer');
+        // uri string -> { issues, snapshots, touchedLines, lineCount }
+        this.entries = new Map();
+
+        this.disposables = [
+            this.collection,
+            vscode.workspace.onDidChangeTextDocument(e => this.onDocumentChanged(e))
+        ];
+    }
+
+    /**
+     * Replace the findings shown for a document.
+     * Issues are copied so their line numbers can follow later edits.
+     */
+    publish(document, issues) {
+        const uri = document.uri;
+        const tracked = (issues || []).map(issue => ({ ...issue }));
+        const snapshots = new Map();
+        for (const issue of tracked) {
+            snapshots.set(issue.id, document.getText(ReviewDiagnostics.rangeForIssue(document, issue)));
+        }
+
+        const diagnostics = tracked.map(issue => this.toDiagnostic(document, issue));
+        this.collection.set(uri, diagnostics);
+        this.entries.set(uri.toString(), {
+            issues: tracked,
+            snapshots,
+            touchedLines: new Set(),
+            lineCount: document.lineCount
+        });
+        return diagnostics;
+    }
+
+    /**
+     * Build one diagnostic for an issue, clamping the range to the document
+     */
+    toDiagnostic(document, issue) {
+        const range = ReviewDiagnostics.rangeForIssue(document, issue);
+        const message = issue.explanation && issue.explanation !== issue.title
+            ? `${issue.title}\n${issue.explanation}`
+            : issue.title;
+
+        const diagnostic = new vscode.Diagnostic(range, message, SEVERITY_MAP[issue.severity] ?? vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = issue.id;
+        return diagnostic;
+    }
+
+    /**
+     * Full-line range covered by an issue (1-based startLine/endLine in the issue)
+     */
+    static rangeForIssue(document, issue) {
+        const last = Math.max(document.lineCount - 1, 0);
+        const start = Math.min(Math.max(issue.startLine - 1, 0), last);
+        const end = Math.min(Math.max(issue.endLine - 1, start), last);
+        return new vscode.Range(start, 0, end, document.lineAt(end).range.end.character);
+    }
+
+    /**
+     * Issues currently published for a uri
+     */
+    getIssues(uri) {
+        const entry = this.entries.get(uri.toString());
+        return entry ? entry.issues : [];
+    }
+
+    /**
+     * Text an issue's lines had when it was reported (used to detect stale fixes)
+     */
+    getSnapshot(uri, issueId) {
+        const entry = this.entries.get(uri.toString());
+        return entry ? entry.snapshots.get(issueId) : undefined;
+    }
+
+    /**
+     * Issue behind a diagnostic we published
+     */
+    getIssueForDiagnostic(uri, diagnostic) {
+        if (diagnostic.source !== DIAGNOSTIC_SOURCE) return undefined;
+        return this.getIssues(uri).find(issue => issue.id === diagnostic.code);
+    }
+
+    /**
+     * Stop showing one issue (e.g. after it was dismissed)
+     */
+    removeIssue(document, issueId) {
+        const entry = this.entries.get(document.uri.toString());
+        if (!entry) return;
+        entry.issues = entry.issues.filter(issue => issue.id !== issueId);
+        this.collection.set(document.uri, entry.issues.map(issue => this.toDiagnostic(document, issue)));
+    }
+
+    /**
+     * Show an issue again (e.g. after it was reopened), unless it is already shown
+     */
+    restoreIssue(document, issue) {
+        const key = document.uri.toString();
+        let entry = this.entries.get(key);
+        if (!entry) {
+            this.publish(document, [issue]);
+            return;
+        }
+        if (entry.issues.some(existing => existing.id === issue.id)) return;
+
+        const tracked = { ...issue };
+        entry.issues.push(tracked);
+        entry.snapshots.set(tracked.id, document.getText(ReviewDiagnostics.rangeForIssue(document, tracked)));
+        this.collection.set(document.uri, entry.issues.map(i => this.toDiagnostic(document, i)));
+    }
+
+    clear(uri) {
+        if (uri) {
+            this.collection.delete(uri);
+            this.entries.delete(uri.toString());
+        } else {
+            this.collection.clear();
+            this.entries.clear();
+        }
+    }
+
+    /**
+     * Keep findings aligned with edits: shift issues below a change, drop issues whose
+     * lines were replaced wholesale (e.g. by a Quick Fix), and clear everything once
+     * the file has been edited heavily since the review.
+     */
+    onDocumentChanged(event) {
+        const key = event.document.uri.toString();
+        const entry = this.entries.get(key);
+        if (!entry || event.contentChanges.length === 0) return;
+
+        for (const change of event.contentChanges) {
+            const startLine = change.range.start.line;
+            const endLine = change.range.end.line;
+            const addedLines = change.text.split('\n').length - 1;
+            const delta = addedLines - (endLine - startLine);
+
+            entry.issues = entry.issues.filter(issue => {
+                const issueStart = issue.startLine - 1;
+                const issueEnd = issue.endLine - 1;
+
+                if (issueEnd < startLine) return true;
+                // A change ending at column 0 of the issue's first line leaves its text untouched
+                if (issueStart > endLine || (issueStart === endLine && change.range.end.character === 0)) {
+                    issue.startLine += delta;
+                    issue.endLine += delta;
+                    return true;
+                }
+
+                if (this.coversIssue(change, issue, entry.snapshots.get(issue.id))) {
+                    return false;
+                }
+
+                issue.endLine = Math.max(issue.startLine, issue.endLine + delta);
+                return true;
+            });
+
+            // Repeated typing on one line counts once; line shifts are ignored (approximation)
+            for (let i = 0; i <= Math.max(endLine - startLine, addedLines); i++) {
+                entry.touchedLines.add(startLine + i);
+            }
+        }
+
+        const threshold = Math.max(20, Math.ceil(entry.lineCount * 0.25));
+        if (entry.touchedLines.size >= threshold) {
+            this.clear(event.document.uri);
+            return;
+        }
+
+        this.collection.set(event.document.uri, entry.issues.map(issue => this.toDiagnostic(event.document, issue)));
+    }
+
+    /**
+     * Whether a change spans an issue's full lines (start of first line to end of last line)
+     */
+    coversIssue(change, issue, snapshot) {
+        const issueStart = issue.startLine - 1;
+        const issueEnd = issue.endLine - 1;
+        const { start, end } = change.range;
+
+        const coversStart = start.line < issueStart || (start.line === issueStart && start.character === 0);
+        const lastLineLength = (snapshot || '').split('\n').pop().length;
+        const coversEnd = end.line > issueEnd || (end.line === issueEnd && end.character >= lastLineLength);
+        return coversStart && coversEnd;
+    }
+
+    dispose() {
+        this.disposables.forEach(d => d.dispose());
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,222 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const FINDING_STATUSES = ['open', 'resolved', 'dismissed'];
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function normalizeTitle(title) {
+    return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Persistent per-workspace record of reviews: for every file the last few runs
+ * with timestamp, content hash, model and findings.
+ *
+ * Findings are matched against the previous run of the same file, so each one is
+ * tagged `new` or `persisting` and disappeared findings are kept as `fixed`.
+ * Dismissed findings stay dismissed when they are reported again.
+ */
+export class ReviewHistory {
+    static FILE_NAME = 'review-history.json';
+    static MAX_RUNS_PER_FILE = 10;
+    static MAX_SESSIONS = 20;
+
+    constructor(storageDir) {
+        this.storagePath = path.join(storageDir, ReviewHistory.FILE_NAME);
+        // filePath -> [run, ...] (oldest first)
+        this.files = new Map();
+        // Review commands that ran, oldest first (see recordSession)
+        this.sessions = [];
+        this._saving = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.storagePath, 'utf-8'));
+            this.files = new Map(Object.entries(data.files || {}));
+            this.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+        } catch (err) {
+            // Missing or unreadable history starts empty
+            this.files = new Map();
+            this.sessions = [];
+        }
+        return this;
+    }
+
+    /**
+     * Write the history to disk; writes are serialized and go through a temp file
+     */
+    save() {
+        const data = JSON.stringify({ version: 1, files: Object.fromEntries(this.files), sessions: this.sessions });
+        this._saving = this._saving.then(async () => {
+            await fs.mkdir(path.dirname(this.storagePath), { recursive: true });
+            const tmp = `${this.storagePath}.tmp`;
+            await fs.writeFile(tmp, data, 'utf-8');
+            await fs.rename(tmp, this.storagePath);
+        }).catch(err => {
+            console.warn('Cannot save review history:', err);
+        });
+        return this._saving;
+    }
+
+    /**
+     * Store a review of `filePath`.
+     * run: { content, model, review, scope, session, durationMs } — scope 'file' (default), 'diff', or
+     * 'partial' for a file review that did not cover every line; only full-file runs can
+     * tell which earlier findings were fixed. `session` identifies the review command
+     * (one file, a batch) the run belongs to; session ids sort by start time (ISO timestamps).
+     * `carried` are findings of the previous run in lines this review did not cover; they
+     * are kept as they are, status included.
+     * Returns the stored run.
+     */
+    async record(filePath, { content, model, review, scope = 'file', session = null, durationMs = null, carried = [] }) {
+        const lines = String(content).split(/\r?\n/);
+        const previous = this.getLatest(filePath);
+        const carriedIds = new Set(carried.map(f => f.id));
+        const previousFindings = previous ? previous.findings.filter(f => !carriedIds.has(f.id)) : [];
+        const unmatched = new Set(previousFindings);
+
+        const findings = (review.issues || []).map(issue => {
+            const snippet = lines.slice(Math.max(issue.startLine - 1, 0), Math.max(issue.endLine, issue.startLine)).map(l => l.trim()).join('\n');
+            const finding = {
+                ...issue,
+                snippetHash: sha256(snippet).substring(0, 16),
+                status: 'open',
+                change: 'new'
+            };
+
+            const match = ReviewHistory.findMatch(finding, unmatched);
+            if (match) {
+                unmatched.delete(match);
+                finding.change = 'persisting';
+                // Reported again, so it was not really resolved; dismissals stick
+                finding.status = match.status === 'dismissed' ? 'dismissed' : 'open';
+                finding.firstSeen = match.firstSeen;
+            }
+            finding.firstSeen = finding.firstSeen || new Date().toISOString();
+            return finding;
+        });
+
+        const fixed = scope === 'file'
+            ? [...unmatched].filter(f => f.status !== 'dismissed').map(f => ({ ...f, change: 'fixed' }))
+            : [];
+
+        const run = {
+            id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+            timestamp: new Date().toISOString(),
+            hash: sha256(content),
+            model: model || '',
+            scope,
+            session,
+            durationMs,
+            summary: review.summary || '',
+            findings: [...carried.map(f => ({ ...f, change: 'persisting' })), ...findings],
+            fixed
+        };
+
+        const runs = this.files.get(filePath) || [];
+        runs.push(run);
+        this.files.set(filePath, runs.slice(-ReviewHistory.MAX_RUNS_PER_FILE));
+        await this.save();
+        return run;
+    }
+
+    /**
+     * Same finding in two runs: same category and either the same code or the same title
+     */
+    static findMatch(finding, candidates) {
+        const title = normalizeTitle(finding.title);
+        let fallback = null;
+        for (const candidate of candidates) {
+            if (candidate.category !== finding.category) continue;
+            if (candidate.snippetHash === finding.snippetHash && normalizeTitle(candidate.title) === title) return candidate;
+            if (!fallback && (candidate.snippetHash === finding.snippetHash || normalizeTitle(candidate.title) === title)) {
+                fallback = candidate;
+            }
+        }
+        return fallback;
+    }
+
+    getLatest(filePath) {
+        const runs = this.files.get(filePath);
+        return runs && runs.length > 0 ? runs[runs.length - 1] : null;
+    }
+
+    getRuns(filePath) {
+        return this.files.get(filePath) || [];
+    }
+
+    /**
+     * Files with at least one stored review, most recently reviewed first
+     */
+    getFiles() {
+        return [...this.files.keys()]
+            .filter(filePath => this.getLatest(filePath))
+            .sort((a, b) => this.getLatest(b).timestamp.localeCompare(this.getLatest(a).timestamp));
+    }
+
+    /**
+     * Count the latest run of a file as part of `session` too (e.g. when a review reused it)
+     */
+    async setSession(filePath, session) {
+        const latest = this.getLatest(filePath);
+        if (!latest || latest.session === session) return;
+        latest.session = session;
+        await this.save();
+    }
+
+    /**
+     * Store what a review command did, for reports:
+     * { id, title, startedAt, finishedAt, model, reviewed: [filePath], failed: [{ filePath, error }],
+     *   skipped: [{ filePath, reason }], cancelled }
+     */
+    async recordSession(session) {
+        this.sessions = [...this.sessions.filter(s => s.id !== session.id), session].slice(-ReviewHistory.MAX_SESSIONS);
+        await this.save();
+    }
+
+    getSession(id) {
+        return this.sessions.find(s => s.id === id) || null;
+    }
+
+    /**
+     * Files reviewed by the most recent review session
+     */
+    getLastSessionFiles() {
+        const sessions = this.getFiles().map(filePath => this.getLatest(filePath).session).filter(Boolean).sort();
+        const last = sessions[sessions.length - 1];
+        return last ? this.getFiles().filter(filePath => this.getLatest(filePath).session === last) : [];
+    }
+
+    /**
+     * Change the status of a finding in the latest run of a file
+     */
+    async setStatus(filePath, findingId, status) {
+        if (!FINDING_STATUSES.includes(status)) {
+            throw new Error(`Unknown finding status: ${status}`);
+        }
+        const latest = this.getLatest(filePath);
+        const finding = latest && latest.findings.find(f => f.id === findingId);
+        if (!finding) return null;
+
+        finding.status = status;
+        finding.statusChanged = new Date().toISOString();
+        await this.save();
+        return finding;
+    }
+
+    async removeFile(filePath) {
+        this.files.delete(filePath);
+        await this.save();
+    }
+
+    async clear() {
+        this.files.clear();
+        this.sessions = [];
+        await this.save();
+    }
+}
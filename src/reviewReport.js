@@ -0,0 +1,261 @@
+import { SEVERITIES, sortIssues } from './reviewSchema.js';
+import { hashContent } from './reviewCache.js';
+
+const EXCERPT_CONTEXT_LINES = 1;
+const EXCERPT_MAX_LINES = 12;
+
+/**
+ * Lines of `content` around a finding: { startLine, lines }
+ */
+export function excerptFor(content, finding) {
+    const lines = String(content).split(/\r?\n/);
+    const first = Math.max(1, finding.startLine - EXCERPT_CONTEXT_LINES);
+    const last = Math.min(lines.length, Math.max(finding.endLine, finding.startLine) + EXCERPT_CONTEXT_LINES, first + EXCERPT_MAX_LINES - 1);
+    return { startLine: first, lines: lines.slice(first - 1, last) };
+}
+
+function countSeverities(findings) {
+    const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+    for (const finding of findings) counts[finding.severity]++;
+    return counts;
+}
+
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '';
+    if (ms < 1000) return `${ms} ms`;
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Collect everything a report shows.
+ *
+ * files: [{ displayPath, run, content }] — the latest ReviewHistory run of each file and its
+ * current content (null if unreadable), used for code excerpts.
+ * options: { title, scope, session } where session is a stored ReviewHistory session
+ * (timing, failed and skipped files) or null.
+ */
+export function createReport(files, { title = 'AI Code Review Report', scope = '', session = null } = {}) {
+    const entries = files.map(({ displayPath, run, content }) => {
+        const findings = sortIssues(run.findings);
+        return {
+            path: displayPath,
+            run,
+            findings,
+            counts: countSeverities(findings),
+            // Excerpts come from the file as it is now; flag it if it changed since the review
+            stale: content !== null && content !== undefined && hashContent(content) !== run.hash,
+            excerpts: new Map(content === null || content === undefined ? [] : findings.map(f => [f.id, excerptFor(content, f)]))
+        };
+    });
+
+    const allFindings = entries.flatMap(entry => entry.findings);
+    const ruleCounts = {};
+    allFindings.filter(f => f.ruleId).forEach(f => {
+        ruleCounts[f.ruleId] = (ruleCounts[f.ruleId] || 0) + 1;
+    });
+    const models = [...new Set(entries.map(entry => entry.run.model).filter(Boolean))];
+    const durations = entries.map(entry => entry.run.durationMs).filter(ms => typeof ms === 'number');
+
+    return {
+        title,
+        scope,
+        generatedAt: new Date().toISOString(),
+        session,
+        models,
+        files: entries,
+        counts: countSeverities(allFindings),
+        ruleCounts,
+        total: allFindings.length,
+        reviewTimeMs: durations.length > 0 ? durations.reduce((a, b) => a + b, 0) : null,
+        failed: session ? session.failed || [] : [],
+        skipped: session ? session.skipped || [] : []
+    };
+}
+
+function sessionTiming(report) {
+    const { session } = report;
+    if (!session) return null;
+    const elapsed = session.finishedAt ? Date.parse(session.finishedAt) - Date.parse(session.startedAt) : null;
+    return `${new Date(session.startedAt).toLocaleString()}${elapsed !== null ? ` (took ${formatDuration(elapsed)})` : ''}${session.cancelled ? ', cancelled' : ''}`;
+}
+
+function mdText(text) {
+    return String(text || '').replace(/</g, '&lt;');
+}
+
+function mdCell(text) {
+    return mdText(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function lineRange(finding) {
+    return finding.endLine > finding.startLine ? `${finding.startLine}-${finding.endLine}` : String(finding.startLine);
+}
+
+function fenceFor(lines) {
+    // A fence longer than any backtick run in the code
+    const longest = Math.max(2, ...lines.map(line => Math.max(0, ...(line.match(/`+/g) || []).map(run => run.length))));
+    return '`'.repeat(longest + 1);
+}
+
+/**
+ * Render a report (from createReport) as Markdown
+ */
+export function renderMarkdown(report) {
+    const out = [`# ${report.title}`, ''];
+    const meta = [`**Generated:** ${new Date(report.generatedAt).toLocaleString()}`];
+    if (report.scope) meta.push(`**Scope:** ${report.scope}`);
+    if (report.models.length > 0) meta.push(`**Model:** ${report.models.join(', ')}`);
+    const timing = sessionTiming(report);
+    if (timing) meta.push(`**Review started:** ${timing}`);
+    if (report.reviewTimeMs !== null) meta.push(`**Review time:** ${formatDuration(report.reviewTimeMs)} (sum over files)`);
+    out.push(meta.join('  \n'), '');
+
+    out.push('## Overview', '');
+    out.push(`${report.total} finding(s) in ${report.files.length} file(s)${report.failed.length > 0 ? `, ${report.failed.length} failed` : ''}${report.skipped.length > 0 ? `, ${report.skipped.length} skipped` : ''}.`, '');
+    out.push('| Severity | Findings |', '| --- | ---: |');
+    SEVERITIES.forEach(s => out.push(`| ${s} | ${report.counts[s]} |`));
+    out.push('');
+    const rules = Object.entries(report.ruleCounts).sort((a, b) => b[1] - a[1]);
+    if (rules.length > 0) {
+        out.push('| Team rule | Findings |', '| --- | ---: |');
+        rules.forEach(([ruleId, count]) => out.push(`| ${mdCell(ruleId)} | ${count} |`));
+        out.push('');
+    }
+
+    out.push('## Files', '');
+    out.push(`| File | ${SEVERITIES.join(' | ')} | Reviewed | Summary |`, `| --- | ${SEVERITIES.map(() => '---:').join(' | ')} | --- | --- |`);
+    for (const entry of report.files) {
+        const reviewed = `${new Date(entry.run.timestamp).toLocaleString()}${entry.run.durationMs ? ` (${formatDuration(entry.run.durationMs)})` : ''}`;
+        out.push(`| ${mdCell(entry.path)} | ${SEVERITIES.map(s => entry.counts[s]).join(' | ')} | ${mdCell(reviewed)} | ${mdCell(entry.run.summary)} |`);
+    }
+    out.push('');
+
+    out.push('## Findings', '');
+    for (const entry of report.files.filter(e => e.findings.length > 0)) {
+        out.push(`### ${mdText(entry.path)}`, '');
+        if (entry.run.scope === 'diff') out.push('_Only the changed lines were reviewed._', '');
+        if (entry.run.scope === 'partial') out.push('_Parts of this file were not reviewed._', '');
+        if (entry.stale) out.push('_The file changed since it was reviewed; excerpts show the current version._', '');
+        out.push('| ID | Severity | Category | Lines | Finding | Status |', '| --- | --- | --- | --- | --- | --- |');
+        for (const f of entry.findings) {
+            out.push(`| ${f.id} | ${f.severity} | ${f.ruleId ? `${f.category} · ${mdCell(f.ruleId)}` : f.category} | ${lineRange(f)} | ${mdCell(f.title)} | ${f.status}${f.change === 'new' ? ', new' : ''} |`);
+        }
+        out.push('');
+        for (const f of entry.findings) {
+            out.push(`**${f.id} · ${mdCell(f.title)}** (line ${lineRange(f)})`, '');
+            if (f.explanation && f.explanation !== f.title) out.push(mdText(f.explanation), '');
+            const excerpt = entry.excerpts.get(f.id);
+            if (excerpt && excerpt.lines.length > 0) {
+                const fence = fenceFor(excerpt.lines);
+                const width = String(excerpt.startLine + excerpt.lines.length - 1).length;
+                out.push(fence, ...excerpt.lines.map((line, i) => `${String(excerpt.startLine + i).padStart(width)} | ${line}`), fence, '');
+            }
+        }
+    }
+
+    if (report.failed.length > 0) {
+        out.push('## Failed', '', '| File | Error |', '| --- | --- |');
+        report.failed.forEach(f => out.push(`| ${mdCell(f.displayPath || f.filePath)} | ${mdCell(f.error)} |`));
+        out.push('');
+    }
+    if (report.skipped.length > 0) {
+        out.push('## Skipped', '', '| File | Reason |', '| --- | --- |');
+        report.skipped.forEach(f => out.push(`| ${mdCell(f.displayPath || f.filePath)} | ${mdCell(f.reason)} |`));
+        out.push('');
+    }
+
+    return out.join('\n');
+}
+
+function esc(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1f2328; }
+h1, h2, h3 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+table { border-collapse: collapse; width: 100%; margin: .5rem 0 1rem; font-size: 14px; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+td.num { text-align: right; }
+pre { background: #f6f8fa; padding: 8px; overflow-x: auto; font-size: 13px; margin: 4px 0 0; }
+.meta { color: #59636e; }
+.note { color: #9a6700; font-style: italic; }
+.sev { font-weight: 600; white-space: nowrap; }
+.sev-Critical { color: #a40e26; } .sev-High { color: #cf222e; } .sev-Medium { color: #9a6700; } .sev-Low { color: #0969da; }
+details { margin: .2rem 0; }
+`;
+
+/**
+ * Render a report (from createReport) as a self-contained HTML page
+ */
+export function renderHtml(report) {
+    const out = [];
+    out.push('<!DOCTYPE html>', '<html lang="en">', '<head>', '<meta charset="utf-8">', `<title>${esc(report.title)}</title>`, `<style>${HTML_STYLE}</style>`, '</head>', '<body>');
+    out.push(`<h1>${esc(report.title)}</h1>`);
+
+    const meta = [`Generated ${esc(new Date(report.generatedAt).toLocaleString())}`];
+    if (report.scope) meta.push(`Scope: ${esc(report.scope)}`);
+    if (report.models.length > 0) meta.push(`Model: ${esc(report.models.join(', '))}`);
+    const timing = sessionTiming(report);
+    if (timing) meta.push(`Review started ${esc(timing)}`);
+    if (report.reviewTimeMs !== null) meta.push(`Review time: ${esc(formatDuration(report.reviewTimeMs))} (sum over files)`);
+    out.push(`<p class="meta">${meta.join('<br>')}</p>`);
+
+    out.push('<h2>Overview</h2>');
+    out.push(`<p>${report.total} finding(s) in ${report.files.length} file(s)${report.failed.length > 0 ? `, ${report.failed.length} failed` : ''}${report.skipped.length > 0 ? `, ${report.skipped.length} skipped` : ''}.</p>`);
+    out.push('<table><tr><th>Severity</th><th>Findings</th></tr>');
+    SEVERITIES.forEach(s => out.push(`<tr><td class="sev sev-${s}">${s}</td><td class="num">${report.counts[s]}</td></tr>`));
+    out.push('</table>');
+    const rules = Object.entries(report.ruleCounts).sort((a, b) => b[1] - a[1]);
+    if (rules.length > 0) {
+        out.push('<table><tr><th>Team rule</th><th>Findings</th></tr>');
+        rules.forEach(([ruleId, count]) => out.push(`<tr><td>${esc(ruleId)}</td><td class="num">${count}</td></tr>`));
+        out.push('</table>');
+    }
+
+    out.push('<h2>Files</h2>');
+    out.push(`<table><tr><th>File</th>${SEVERITIES.map(s => `<th>${s}</th>`).join('')}<th>Reviewed</th><th>Summary</th></tr>`);
+    for (const entry of report.files) {
+        const reviewed = `${new Date(entry.run.timestamp).toLocaleString()}${entry.run.durationMs ? ` (${formatDuration(entry.run.durationMs)})` : ''}`;
+        out.push(`<tr><td>${esc(entry.path)}</td>${SEVERITIES.map(s => `<td class="num">${entry.counts[s]}</td>`).join('')}<td>${esc(reviewed)}</td><td>${esc(entry.run.summary)}</td></tr>`);
+    }
+    out.push('</table>');
+
+    out.push('<h2>Findings</h2>');
+    for (const entry of report.files.filter(e => e.findings.length > 0)) {
+        out.push(`<h3>${esc(entry.path)}</h3>`);
+        if (entry.run.scope === 'diff') out.push('<p class="note">Only the changed lines were reviewed.</p>');
+        if (entry.run.scope === 'partial') out.push('<p class="note">Parts of this file were not reviewed.</p>');
+        if (entry.stale) out.push('<p class="note">The file changed since it was reviewed; excerpts show the current version.</p>');
+        out.push('<table><tr><th>ID</th><th>Severity</th><th>Category</th><th>Lines</th><th>Finding</th><th>Status</th></tr>');
+        for (const f of entry.findings) {
+            const excerpt = entry.excerpts.get(f.id);
+            const code = excerpt && excerpt.lines.length > 0
+                ? `<pre><code>${esc(excerpt.lines.map((line, i) => `${String(excerpt.startLine + i).padStart(String(excerpt.startLine + excerpt.lines.length - 1).length)} | ${line}`).join('\n'))}</code></pre>`
+                : '';
+            const details = f.explanation && f.explanation !== f.title ? `<details><summary>${esc(f.title)}</summary>${esc(f.explanation)}</details>` : esc(f.title);
+            out.push(`<tr><td>${esc(f.id)}</td><td class="sev sev-${esc(f.severity)}">${esc(f.severity)}</td><td>${esc(f.category)}${f.ruleId ? ` · ${esc(f.ruleId)}` : ''}</td><td>${lineRange(f)}</td><td>${details}${code}</td><td>${esc(f.status)}${f.change === 'new' ? ', new' : ''}</td></tr>`);
+        }
+        out.push('</table>');
+    }
+
+    if (report.failed.length > 0) {
+        out.push('<h2>Failed</h2><table><tr><th>File</th><th>Error</th></tr>');
+        report.failed.forEach(f => out.push(`<tr><td>${esc(f.displayPath || f.filePath)}</td><td>${esc(f.error)}</td></tr>`));
+        out.push('</table>');
+    }
+    if (report.skipped.length > 0) {
+        out.push('<h2>Skipped</h2><table><tr><th>File</th><th>Reason</th></tr>');
+        report.skipped.forEach(f => out.push(`<tr><td>${esc(f.displayPath || f.filePath)}</td><td>${esc(f.reason)}</td></tr>`));
+        out.push('</table>');
+    }
+
+    out.push('</body>', '</html>');
+    return out.join('\n');
+}
@@ -0,0 +1,201 @@
+import path from 'path';
+
+/**
+ * Severity levels, ordered from most to least severe
+ */
+export const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+/**
+ * Issue categories the model may assign
+ */
+export const CATEGORIES = [
+    'bug',
+    'security',
+    'performance',
+    'maintainability',
+    'style',
+    'best-practice',
+    'other'
+];
+
+/**
+ * Response schema handed to the model (OpenAPI subset understood by Gemini)
+ */
+export const REVIEW_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        summary: {
+            type: 'string',
+            description: 'Brief overall assessment of the code quality (1-2 sentences)'
+        },
+        canAutoFix: {
+            type: 'boolean',
+            description: 'True if the issues can be fixed automatically'
+        },
+        issues: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Short stable identifier, e.g. "AI001"' },
+                    title: { type: 'string', description: 'One-line description of the problem' },
+                    severity: { type: 'string', enum: SEVERITIES },
+                    category: { type: 'string', enum: CATEGORIES },
+                    file: { type: 'string', description: 'File name the issue was found in' },
+                    startLine: { type: 'integer', description: '1-based first line of the problem' },
+                    endLine: { type: 'integer', description: '1-based last line of the problem (inclusive)' },
+                    explanation: { type: 'string', description: 'Why this is a problem and how to fix it' },
+                    replacement: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Optional code that replaces lines startLine..endLine verbatim'
+                    },
+                    ruleId: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Id of the team rule the issue breaks, if any'
+                    }
+                },
+                required: ['title', 'severity', 'category', 'startLine', 'endLine', 'explanation']
+            }
+        },
+        suggestions: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'General improvements that are not tied to a specific line'
+        }
+    },
+    required: ['summary', 'issues', 'suggestions', 'canAutoFix']
+};
+
+/**
+ * Normalize a severity string to one of SEVERITIES (defaults to Medium)
+ */
+export function normalizeSeverity(value) {
+    const lower = String(value || '').toLowerCase();
+    const match = SEVERITIES.find(s => lower.includes(s.toLowerCase()));
+    return match || 'Medium';
+}
+
+/**
+ * Normalize a category string to one of CATEGORIES (defaults to other)
+ */
+export function normalizeCategory(value) {
+    const lower = String(value || '').toLowerCase().replace(/[\s_]+/g, '-');
+    return CATEGORIES.includes(lower) ? lower : 'other';
+}
+
+/**
+ * Coerce a raw issue object from the model into the typed issue shape.
+ * With `lineCount`, issues starting past the end of the file are made up: null is
+ * returned for them, and end lines are clamped to the last line.
+ */
+export function normalizeIssue(raw, index, filePath, lineCount = null) {
+    const item = raw && typeof raw === 'object' ? raw : { title: String(raw || '') };
+
+    let startLine = parseInt(item.startLine ?? item.line, 10);
+    if (!Number.isFinite(startLine) || startLine < 1) startLine = 1;
+    if (lineCount && startLine > lineCount) return null;
+    let endLine = parseInt(item.endLine ?? startLine, 10);
+    if (!Number.isFinite(endLine) || endLine < startLine) endLine = startLine;
+    if (lineCount) endLine = Math.min(endLine, lineCount);
+
+    const replacement = typeof item.replacement === 'string' ? item.replacement : undefined;
+    const ruleId = typeof item.ruleId === 'string' && item.ruleId.trim() ? item.ruleId.trim() : undefined;
+
+    const issue = {
+        id: String(item.id || `AI${String(index + 1).padStart(3, '0')}`),
+        title: String(item.title || item.explanation || 'Untitled issue').trim(),
+        severity: normalizeSeverity(item.severity),
+        category: normalizeCategory(item.category),
+        file: filePath ? path.basename(filePath) : String(item.file || ''),
+        startLine,
+        endLine,
+        explanation: String(item.explanation || '').trim(),
+        replacement
+    };
+    if (ruleId) issue.ruleId = ruleId;
+    return issue;
+}
+
+/**
+ * Coerce a parsed JSON review into the review shape used by the extension.
+ * options: { lineCount } of the reviewed file, to drop issues on lines it does not have.
+ */
+export function normalizeReview(raw, filePath, rawText = '', { lineCount = null } = {}) {
+    const data = raw && typeof raw === 'object' ? raw : {};
+    const issues = Array.isArray(data.issues) ? data.issues : [];
+    const suggestions = Array.isArray(data.suggestions) ? data.suggestions : [];
+
+    const review = {
+        summary: String(data.summary || '').trim(),
+        issues: issues.map((issue, idx) => normalizeIssue(issue, idx, filePath, lineCount)).filter(Boolean),
+        suggestions: suggestions.map(s => String(s).trim()).filter(Boolean),
+        canAutoFix: Boolean(data.canAutoFix),
+        rawText,
+        structured: true
+    };
+
+    // Ids must be unique so downstream consumers can key on them
+    const seen = new Set();
+    review.issues.forEach((issue, idx) => {
+        if (seen.has(issue.id)) issue.id = `${issue.id}-${idx + 1}`;
+        seen.add(issue.id);
+    });
+
+    return review;
+}
+
+/**
+ * Extract a JSON object from model output (tolerates surrounding prose and code fences).
+ * Returns null if no valid JSON object can be found.
+ */
+export function extractJson(text) {
+    if (!text) return null;
+    const candidates = [];
+    const trimmed = String(text).trim();
+    candidates.push(trimmed);
+
+    const fenced = trimmed.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+    if (fenced) candidates.push(fenced[1].trim());
+
+    const first = trimmed.indexOf('{');
+    const last = trimmed.lastIndexOf('}');
+    if (first !== -1 && last > first) candidates.push(trimmed.substring(first, last + 1));
+
+    for (const candidate of candidates) {
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        } catch (_) { /* try next candidate */ }
+    }
+    return null;
+}
+
+/**
+ * Sort issues by severity (most severe first), then by line.
+ */
+export function sortIssues(issues) {
+    return [...(issues || [])].sort((a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.startLine - b.startLine
+    );
+}
+
+/**
+ * Human-readable one-line rendering of an issue
+ */
+export function formatIssue(issue) {
+    const lines = issue.startLine === issue.endLine
+        ? `line ${issue.startLine}`
+        : `lines ${issue.startLine}-${issue.endLine}`;
+    return `[${issue.severity}] ${issue.title} (${issue.ruleId ? `${issue.ruleId}, ` : ''}${issue.category}, ${lines})`;
+}
+
+/**
+ * Prefix each line with its line number so the model can report accurate ranges.
+ */
+export function numberLines(code, firstLine = 1) {
+    const lines = String(code).split('\n');
+    const width = String(firstLine + lines.length - 1).length;
+    return lines.map((line, idx) => `${String(firstLine + idx).padStart(width, ' ')} | ${line}`).join('\n');
+}
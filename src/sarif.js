@@ -0,0 +1,197 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { sortIssues } from './reviewSchema.js';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const TOOL_NAME = 'AI Code Reviewer';
+const INFORMATION_URI = 'https://github.com/Maayank18/ai-code-reviewer';
+
+const CATEGORY_DESCRIPTIONS = {
+    bug: 'Code that behaves incorrectly or can fail at runtime',
+    security: 'Vulnerabilities and unsafe handling of data or credentials',
+    performance: 'Unnecessary work, slow algorithms or resource waste',
+    maintainability: 'Code that is hard to read, change or test',
+    style: 'Formatting and naming inconsistencies',
+    'best-practice': 'Deviations from established practices for the language',
+    other: 'Other findings'
+};
+
+// SARIF levels per severity; Critical and High fail code-scanning checks by default
+const SEVERITY_LEVELS = { Critical: 'error', High: 'error', Medium: 'warning', Low: 'note' };
+
+// GitHub code scanning ranks security results by this 0-10 score, read from their rule
+const SECURITY_SEVERITY = { Critical: '9.5', High: '7.5', Medium: '5.0', Low: '2.0' };
+
+/**
+ * Rule id a finding is reported under: its team rule if it has one, else its category
+ */
+export function sarifRuleId(finding) {
+    return finding.ruleId || `ai-review/${finding.category || 'other'}`;
+}
+
+/**
+ * URI of a file relative to baseDir (uriBaseId SRCROOT), or an absolute file URI outside it
+ */
+function artifactLocation(filePath, baseDir) {
+    const relative = baseDir ? path.relative(baseDir, filePath) : '';
+    if (baseDir && relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+        return { uri: relative.split(path.sep).map(encodeURIComponent).join('/'), uriBaseId: 'SRCROOT' };
+    }
+    return { uri: pathToFileURL(filePath).href };
+}
+
+function buildRule(id, finding, teamRule) {
+    if (teamRule) {
+        return {
+            id,
+            name: id,
+            shortDescription: { text: teamRule.description },
+            defaultConfiguration: { level: SEVERITY_LEVELS[teamRule.severity] || 'warning' },
+            properties: { tags: ['team-rule'], severity: teamRule.severity }
+        };
+    }
+    const category = finding.category || 'other';
+    const tags = [category];
+    if (category === 'security') tags.push('security');
+    return {
+        id,
+        name: id.replace(/^ai-review\//, '').replace(/(^|[-_/])(\w)/g, (_, __, c) => c.toUpperCase()),
+        shortDescription: { text: CATEGORY_DESCRIPTIONS[category] || CATEGORY_DESCRIPTIONS.other },
+        defaultConfiguration: { level: 'warning' },
+        properties: { tags: [...new Set(tags)] }
+    };
+}
+
+/**
+ * Score a rule by the most severe security finding reported under it
+ */
+function raiseSecuritySeverity(rule, severity) {
+    const score = SECURITY_SEVERITY[severity];
+    const current = rule.properties['security-severity'];
+    if (!score || (current && parseFloat(current) >= parseFloat(score))) return;
+    rule.properties['security-severity'] = score;
+    if (!rule.properties.tags.includes('security')) rule.properties.tags.push('security');
+}
+
+function buildResult(finding, file, ruleIndex, baseDir) {
+    const location = artifactLocation(file.filePath, baseDir);
+    const region = {
+        startLine: Math.max(1, finding.startLine || 1),
+        endLine: Math.max(finding.startLine || 1, finding.endLine || finding.startLine || 1)
+    };
+
+    const result = {
+        ruleId: sarifRuleId(finding),
+        ruleIndex,
+        level: SEVERITY_LEVELS[finding.severity] || 'warning',
+        message: {
+            text: finding.explanation && finding.explanation !== finding.title
+                ? `${finding.title}\n\n${finding.explanation}`
+                : finding.title
+        },
+        locations: [{ physicalLocation: { artifactLocation: location, region } }],
+        properties: {
+            severity: finding.severity,
+            category: finding.category,
+            findingId: finding.id
+        }
+    };
+
+    if (finding.snippetHash) {
+        result.partialFingerprints = { 'aiReviewSnippet/v1': finding.snippetHash };
+    }
+    if (finding.change) {
+        result.baselineState = finding.change === 'new' ? 'new' : 'unchanged';
+    }
+    if (finding.firstSeen) {
+        result.properties.firstSeen = finding.firstSeen;
+    }
+    if (finding.status && finding.status !== 'open') {
+        result.suppressions = [{
+            kind: 'external',
+            status: 'accepted',
+            justification: finding.status === 'dismissed' ? 'Dismissed in AI Code Reviewer' : 'Marked resolved in AI Code Reviewer'
+        }];
+    }
+    if (finding.replacement !== undefined && finding.replacement !== null && finding.replacement !== '') {
+        result.fixes = [{
+            description: { text: `Suggested fix for: ${finding.title}` },
+            artifactChanges: [{
+                artifactLocation: location,
+                replacements: [{
+                    deletedRegion: region,
+                    insertedContent: { text: finding.replacement }
+                }]
+            }]
+        }];
+    }
+    return result;
+}
+
+/**
+ * Build a SARIF 2.1.0 log from reviewed files.
+ *
+ * files: [{ filePath, findings, timestamp?, model? }] where findings are review issues
+ * or ReviewHistory findings (their status, change and snippet hash are carried over).
+ * options: { baseDir } makes locations relative to it; { toolVersion, model } describe the run;
+ * { failures: [{ filePath, message }] } lists files that could not be reviewed;
+ * { teamRules } are the project config's rules, describing findings tagged with their ids.
+ */
+export function buildSarif(files, { baseDir = null, toolVersion = undefined, model = undefined, failures = [], teamRules = [] } = {}) {
+    const teamRulesById = new Map(teamRules.map(rule => [rule.id, rule]));
+    const rules = [];
+    const ruleIndexes = new Map();
+    const results = [];
+
+    for (const file of files) {
+        for (const finding of sortIssues(file.findings || [])) {
+            const ruleId = sarifRuleId(finding);
+            if (!ruleIndexes.has(ruleId)) {
+                ruleIndexes.set(ruleId, rules.length);
+                rules.push(buildRule(ruleId, finding, finding.ruleId && teamRulesById.get(finding.ruleId)));
+            }
+            if (finding.category === 'security') {
+                raiseSecuritySeverity(rules[ruleIndexes.get(ruleId)], finding.severity);
+            }
+            results.push(buildResult(finding, file, ruleIndexes.get(ruleId), baseDir));
+        }
+    }
+
+    const models = [...new Set([model, ...files.map(f => f.model)].filter(Boolean))];
+    const timestamps = files.map(f => f.timestamp).filter(Boolean).sort();
+
+    const run = {
+        tool: {
+            driver: {
+                name: TOOL_NAME,
+                informationUri: INFORMATION_URI,
+                ...(toolVersion ? { version: toolVersion, semanticVersion: toolVersion } : {}),
+                rules
+            }
+        },
+        artifacts: files.map(file => ({ location: artifactLocation(file.filePath, baseDir) })),
+        results,
+        properties: { models }
+    };
+
+    if (baseDir) {
+        run.originalUriBaseIds = { SRCROOT: { uri: `${pathToFileURL(baseDir).href.replace(/\/?$/, '/')}` } };
+    }
+    const invocation = { executionSuccessful: failures.length === 0 };
+    if (timestamps.length > 0) {
+        invocation.startTimeUtc = timestamps[0];
+        invocation.endTimeUtc = timestamps[timestamps.length - 1];
+    }
+    if (failures.length > 0) {
+        invocation.toolExecutionNotifications = failures.map(({ filePath, message }) => ({
+            level: 'error',
+            message: { text: `Review failed: ${message}` },
+            locations: [{ physicalLocation: { artifactLocation: artifactLocation(filePath, baseDir) } }]
+        }));
+    }
+    run.invocations = [invocation];
+
+    return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs: [run] };
+}
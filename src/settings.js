@@ -0,0 +1,144 @@
+// src/settings.js
+import * as vscode from 'vscode';
+import { PROVIDERS } from './providers/index.js';
+import { FileScanner } from './fileScanner.js';
+import { ToolSandbox } from './toolSandbox.js';
+
+/**
+ * Request types that can be tuned separately
+ */
+export const GENERATION_MODES = ['review', 'fix', 'summary'];
+
+/**
+ * Defaults per mode: reviews and fixes should be close to deterministic
+ */
+export const GENERATION_DEFAULTS = {
+    review: { temperature: 0.2, topP: 0.95, topK: 40, maxOutputTokens: 8192 },
+    fix: { temperature: 0, topP: 0.95, topK: 40, maxOutputTokens: 8192 },
+    summary: { temperature: 0.3, topP: 0.95, topK: 40, maxOutputTokens: 2048 }
+};
+
+/**
+ * Selected provider and its connection options
+ */
+export function getProviderSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    const configured = config.get('provider', 'google');
+    const id = PROVIDERS[configured] ? configured : 'google';
+    return {
+        id,
+        info: PROVIDERS[id],
+        baseUrl: config.get('baseUrl', '') || undefined,
+        model: config.get('model', '') || undefined
+    };
+}
+
+/**
+ * Generation parameters for every mode: { review: {...}, fix: {...}, summary: {...} }.
+ * An empty per-mode model falls back to aiCodeReviewer.model, then to the provider default.
+ */
+export function getGenerationSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    const defaultModel = config.get('model', '') || undefined;
+
+    const settings = {};
+    for (const mode of GENERATION_MODES) {
+        const defaults = GENERATION_DEFAULTS[mode];
+        settings[mode] = {
+            model: config.get(`${mode}.model`, '') || defaultModel,
+            temperature: config.get(`${mode}.temperature`, defaults.temperature),
+            topP: config.get(`${mode}.topP`, defaults.topP),
+            topK: config.get(`${mode}.topK`, defaults.topK),
+            maxOutputTokens: config.get(`${mode}.maxOutputTokens`, defaults.maxOutputTokens)
+        };
+    }
+    return settings;
+}
+
+/**
+ * Sandbox options for the model's tool calls (see ToolSandbox)
+ */
+export function getToolSandboxSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    return {
+        roots: (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath),
+        rootNames: (vscode.workspace.workspaceFolders || []).map(folder => folder.name),
+        excludePatterns: config.get('excludePatterns', FileScanner.DEFAULT_EXCLUDE_PATTERNS),
+        maxReadBytes: config.get('tools.maxReadBytes', ToolSandbox.DEFAULT_MAX_READ_BYTES),
+        maxReviewBytes: config.get('tools.maxBytesPerReview', ToolSandbox.DEFAULT_MAX_REVIEW_BYTES),
+        outsideWorkspace: config.get('tools.outsideWorkspace', 'ask')
+    };
+}
+
+/**
+ * Secret / PII redaction options (see Redactor.configure)
+ */
+export function getRedactionSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    return {
+        enabled: config.get('redaction.enabled', true),
+        redactEmails: config.get('redaction.redactEmails', true),
+        customPatterns: config.get('redaction.customPatterns', [])
+    };
+}
+
+/**
+ * Review cache options (see ReviewCache)
+ */
+export function getCacheSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    return {
+        enabled: config.get('cache.enabled', true),
+        maxEntries: config.get('cache.maxEntries', 500),
+        maxBytes: config.get('cache.maxSizeMB', 50) * 1024 * 1024,
+        maxAgeDays: config.get('cache.maxAgeDays', 30)
+    };
+}
+
+/**
+ * Batch review throughput: parallel files, API requests per minute, retries per file
+ */
+export function getConcurrencySettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    return {
+        concurrency: config.get('concurrency', 4),
+        requestsPerMinute: config.get('requestsPerMinute', 30),
+        maxRetries: config.get('maxRetries', 4)
+    };
+}
+
+/**
+ * Chunked review of large files (see chunker.js)
+ */
+export function getChunkingSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    return {
+        enabled: config.get('chunking.enabled', true),
+        maxTokens: config.get('chunking.maxTokens', 6000)
+    };
+}
+
+/**
+ * Background review of saved files (see AutoReviewScheduler)
+ */
+export function getAutoReviewSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    return {
+        enabled: config.get('autoReview.enabled', false),
+        debounceMs: config.get('autoReview.debounceMs', 2000),
+        maxPerHour: config.get('autoReview.maxReviewsPerHour', 20),
+        include: config.get('autoReview.include', []),
+        languages: config.get('autoReview.languages', [])
+    };
+}
+
+/**
+ * Signatures of imported / importing files sent with reviews (see ImportGraph)
+ */
+export function getRelatedContextSettings() {
+    const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+    return {
+        enabled: config.get('relatedFiles.enabled', true),
+        maxTokens: config.get('relatedFiles.maxTokens', 1500)
+    };
+}
@@ -1,5 +1,8 @@
 // src/sidebarProvider.js
 import * as vscode from 'vscode';
+import { PROVIDERS } from './providers/index.js';
+import { GENERATION_MODES, getGenerationSettings, getProviderSettings } from './settings.js';
+import { activeRoot } from './workspaceRoots.js';
 
 /**
  * Enhanced SidebarProvider: Complete control center for AI Code Reviewer
@@ -27,30 +30,51 @@ export class SidebarProvider {
       try {
         switch (msg.command) {
           case 'getApiKey': {
-            const key = await this.context.secrets.get('gemini-api-key');
-            webviewView.webview.postMessage({ 
-              command: 'apiKeyLoaded', 
-              value: key || '',
-              hasKey: !!key 
-            });
+            await this.postProviderState();
             break;
           }
 
           case 'setApiKey': {
+            const { info } = getProviderSettings();
             if (msg.value) {
-              await this.context.secrets.store('gemini-api-key', msg.value);
+              await this.context.secrets.store(info.secretKey, msg.value);
               vscode.window.showInformationMessage('✅ API key saved securely.');
-              webviewView.webview.postMessage({ 
-                command: 'apiKeySaved', 
-                hasKey: true 
-              });
             } else {
-              await this.context.secrets.delete('gemini-api-key');
+              await this.context.secrets.delete(info.secretKey);
               vscode.window.showInformationMessage('✅ API key cleared.');
-              webviewView.webview.postMessage({ 
-                command: 'apiKeySaved', 
-                hasKey: false 
-              });
+            }
+            const hasKey = !!msg.value;
+            webviewView.webview.postMessage({ 
+              command: 'apiKeySaved', 
+              hasKey,
+              ready: hasKey || !info.requiresApiKey
+            });
+            break;
+          }
+
+          case 'setProvider': {
+            if (PROVIDERS[msg.value]) {
+              const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+              await config.update('provider', msg.value, vscode.ConfigurationTarget.Global);
+              await this.postProviderState();
+            }
+            break;
+          }
+
+          case 'setProviderOptions': {
+            const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+            await config.update('baseUrl', msg.baseUrl || undefined, vscode.ConfigurationTarget.Global);
+            await config.update('model', msg.model || undefined, vscode.ConfigurationTarget.Global);
+            break;
+          }
+
+          case 'setGeneration': {
+            if (GENERATION_MODES.includes(msg.mode)) {
+              const config = vscode.workspace.getConfiguration('aiCodeReviewer');
+              for (const key of ['model', 'temperature', 'maxOutputTokens']) {
+                const value = msg.values[key];
+                await config.update(`${msg.mode}.${key}`, value === '' || value === null ? undefined : value, vscode.ConfigurationTarget.Global);
+              }
             }
             break;
           }
@@ -123,10 +147,29 @@ export class SidebarProvider {
     });
   }
 
+  async postProviderState() {
+    if (!this.view) return;
+    const { id, info, baseUrl, model } = getProviderSettings();
+    const key = await this.context.secrets.get(info.secretKey);
+    this.view.webview.postMessage({ 
+      command: 'apiKeyLoaded', 
+      value: key || '',
+      hasKey: !!key,
+      ready: !!key || !info.requiresApiKey,
+      provider: id,
+      requiresApiKey: info.requiresApiKey,
+      baseUrl: baseUrl || '',
+      defaultBaseUrl: info.defaultBaseUrl || '',
+      model: model || '',
+      defaultModel: info.defaultModel,
+      generation: getGenerationSettings()
+    });
+  }
+
   async pickPath() {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    const defaultUri = workspaceFolders?.[0]?.uri;
-    
+    // Start in the folder of the active file, so the right root is open in multi-root workspaces
+    const defaultUri = activeRoot()?.uri;
+
     const uris = await vscode.window.showOpenDialog({
       canSelectFiles: true,
       canSelectFolders: true,
@@ -548,11 +591,21 @@ export class SidebarProvider {
         <label for="provider">AI Provider</label>
         <select id="provider">
           <option value="google">Google Gemini</option>
-          <option value="openai">OpenAI (Coming Soon)</option>
-          <option value="custom">Custom (Coming Soon)</option>
+          <option value="openai">OpenAI</option>
+          <option value="custom">OpenAI-compatible (Ollama, LM Studio, llama.cpp)</option>
         </select>
       </div>
 
+      <div class="input-group hidden" id="baseUrlGroup">
+        <label for="baseUrl">Base URL</label>
+        <input id="baseUrl" type="text" placeholder="http://localhost:11434/v1" />
+      </div>
+
+      <div class="input-group">
+        <label for="model">Model</label>
+        <input id="model" type="text" placeholder="Provider default" />
+      </div>
+
       <div class="input-group">
         <label for="apiKey">API Key</label>
         <div class="input-with-icon">
@@ -575,6 +628,38 @@ export class SidebarProvider {
       </div>
     </div>
 
+    <!-- Model Settings Section -->
+    <div class="section" id="generationSection">
+      <div class="section-title">
+        <span class="icon">🎛️</span>
+        <span>Model Settings</span>
+      </div>
+
+      <div class="input-group">
+        <label for="genMode">Mode</label>
+        <select id="genMode">
+          <option value="review">Review</option>
+          <option value="fix">Fix Generation</option>
+          <option value="summary">Summary</option>
+        </select>
+      </div>
+
+      <div class="input-group">
+        <label for="genModel">Model Override</label>
+        <input id="genModel" type="text" placeholder="Same as provider model" />
+      </div>
+
+      <div class="input-group">
+        <label for="genTemperature">Temperature: <span id="genTemperatureValue"></span></label>
+        <input id="genTemperature" type="range" min="0" max="2" step="0.1" style="width: 100%;" />
+      </div>
+
+      <div class="input-group">
+        <label for="genMaxTokens">Max Output Tokens</label>
+        <input id="genMaxTokens" type="text" inputmode="numeric" />
+      </div>
+    </div>
+
     <!-- Review Actions Section -->
     <div class="section" id="actionsSection">
       <div class="section-title">
@@ -665,6 +750,14 @@ export class SidebarProvider {
   // Elements
   const elements = {
     provider: document.getElementById('provider'),
+    baseUrlGroup: document.getElementById('baseUrlGroup'),
+    baseUrl: document.getElementById('baseUrl'),
+    model: document.getElementById('model'),
+    genMode: document.getElementById('genMode'),
+    genModel: document.getElementById('genModel'),
+    genTemperature: document.getElementById('genTemperature'),
+    genTemperatureValue: document.getElementById('genTemperatureValue'),
+    genMaxTokens: document.getElementById('genMaxTokens'),
     apiKey: document.getElementById('apiKey'),
     toggleKey: document.getElementById('toggleKey'),
     eyeIcon: document.getElementById('eyeIcon'),
@@ -684,11 +777,56 @@ export class SidebarProvider {
   };
 
   let hasApiKey = false;
+  let providerReady = false;
+  let generation = {};
   let reviewInProgress = false;
 
   // Initialize
   vscode.postMessage({ command: 'getApiKey' });
 
+  // Provider selection
+  elements.provider.addEventListener('change', () => {
+    vscode.postMessage({ command: 'setProvider', value: elements.provider.value });
+  });
+
+  function saveProviderOptions() {
+    vscode.postMessage({
+      command: 'setProviderOptions',
+      baseUrl: elements.baseUrl.value.trim(),
+      model: elements.model.value.trim()
+    });
+  }
+  elements.baseUrl.addEventListener('change', saveProviderOptions);
+  elements.model.addEventListener('change', saveProviderOptions);
+
+  // Per-mode generation settings
+  function showGeneration() {
+    const values = generation[elements.genMode.value] || {};
+    elements.genModel.value = values.model || '';
+    elements.genTemperature.value = values.temperature ?? 0;
+    elements.genTemperatureValue.textContent = values.temperature ?? 0;
+    elements.genMaxTokens.value = values.maxOutputTokens ?? '';
+  }
+
+  function saveGeneration() {
+    const maxTokens = parseInt(elements.genMaxTokens.value, 10);
+    const values = {
+      model: elements.genModel.value.trim(),
+      temperature: parseFloat(elements.genTemperature.value),
+      maxOutputTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : ''
+    };
+    generation[elements.genMode.value] = { ...generation[elements.genMode.value], ...values };
+    vscode.postMessage({ command: 'setGeneration', mode: elements.genMode.value, values });
+  }
+
+  elements.genMode.addEventListener('change', showGeneration);
+  elements.genModel.addEventListener('change', saveGeneration);
+  elements.genMaxTokens.addEventListener('change', saveGeneration);
+  elements.genTemperature.addEventListener('input', () => {
+    elements.genTemperatureValue.textContent = elements.genTemperature.value;
+  });
+  elements.genTemperature.addEventListener('change', saveGeneration);
+
   // Toggle password visibility
   elements.toggleKey.addEventListener('click', () => {
     const isPassword = elements.apiKey.type === 'password';
@@ -755,7 +893,7 @@ export class SidebarProvider {
     ];
 
     actionButtons.forEach(btn => {
-      btn.disabled = !hasApiKey || reviewInProgress;
+      btn.disabled = !providerReady || reviewInProgress;
     });
 
     if (hasApiKey) {
@@ -763,6 +901,11 @@ export class SidebarProvider {
       elements.apiStatusBadge.textContent = '✓ Key Saved';
       elements.apiStatusBadge.classList.remove('hidden');
       elements.headerStatus.textContent = 'Ready to review your code';
+    } else if (providerReady) {
+      elements.apiStatusBadge.className = 'status-badge success';
+      elements.apiStatusBadge.textContent = '✓ No Key Needed';
+      elements.apiStatusBadge.classList.remove('hidden');
+      elements.headerStatus.textContent = 'Ready to review your code';
     } else {
       elements.apiStatusBadge.className = 'status-badge warning';
       elements.apiStatusBadge.textContent = 'No Key';
@@ -786,11 +929,21 @@ export class SidebarProvider {
       case 'apiKeyLoaded':
         elements.apiKey.value = msg.value || '';
         hasApiKey = msg.hasKey;
+        providerReady = msg.ready;
+        elements.provider.value = msg.provider;
+        elements.baseUrlGroup.classList.toggle('hidden', msg.provider === 'google');
+        elements.baseUrl.value = msg.baseUrl || '';
+        elements.baseUrl.placeholder = msg.defaultBaseUrl || '';
+        elements.model.value = msg.model || '';
+        elements.model.placeholder = msg.defaultModel ? 'Default: ' + msg.defaultModel : 'Provider default';
+        generation = msg.generation || {};
+        showGeneration();
         updateUIState();
         break;
 
       case 'apiKeySaved':
         hasApiKey = msg.hasKey;
+        providerReady = msg.ready;
         updateUIState();
         break;
 
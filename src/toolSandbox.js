@@ -0,0 +1,255 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { FileScanner } from './fileScanner.js';
+
+/**
+ * Raised when a tool call is refused by the sandbox
+ */
+export class SandboxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SandboxError';
+    }
+}
+
+/**
+ * Confines the model's tool calls (read_file, list_directory, find_file) to the
+ * workspace for one review: paths are resolved against the workspace roots,
+ * symlink escapes are caught with realpath, excluded and `.env*` files are
+ * hidden, and the bytes handed back to the model are capped.
+ * Every call is recorded in an audit log.
+ */
+export class ToolSandbox {
+    static DEFAULT_MAX_READ_BYTES = 64 * 1024;
+    static DEFAULT_MAX_REVIEW_BYTES = 256 * 1024;
+
+    /**
+     * Never handed to the model, whatever excludePatterns says
+     */
+    static ALWAYS_EXCLUDED = ['**/.env*'];
+
+    /**
+     * options:
+     * - roots: workspace folder paths; relative tool paths resolve against the folder of
+     *   reviewedFile (the first one without it), "<folder name>/rest" against another folder
+     * - rootNames: display names of the roots (default: their base names)
+     * - reviewedFile: the file under review
+     * - excludePatterns: glob patterns (same syntax as aiCodeReviewer.excludePatterns)
+     * - maxReadBytes / maxReviewBytes: per-read and per-review caps
+     * - confirmOutsideAccess(absPath): async; true lets this review read outside the roots
+     * - auditLogPath: JSON-lines file every tool call is appended to
+     * - outputChannel: optional, for a human-readable trace
+     */
+    constructor(options = {}) {
+        this.roots = (options.roots || []).map(root => path.resolve(root));
+        this.rootNames = this.roots.map((root, i) => (options.rootNames && options.rootNames[i]) || path.basename(root));
+        // Innermost root holding the reviewed file
+        this.homeRoot = options.reviewedFile
+            ? this.roots.filter(root => ToolSandbox.isInside(root, path.resolve(options.reviewedFile))).sort((a, b) => b.length - a.length)[0] || null
+            : null;
+        this.excludePatterns = [...(options.excludePatterns || FileScanner.DEFAULT_EXCLUDE_PATTERNS), ...ToolSandbox.ALWAYS_EXCLUDED];
+        this.maxReadBytes = options.maxReadBytes || ToolSandbox.DEFAULT_MAX_READ_BYTES;
+        this.maxReviewBytes = options.maxReviewBytes || ToolSandbox.DEFAULT_MAX_REVIEW_BYTES;
+        this.confirmOutsideAccess = options.confirmOutsideAccess || null;
+        this.auditLogPath = options.auditLogPath || null;
+        this.outputChannel = options.outputChannel || null;
+        this.reviewId = options.reviewId || new Date().toISOString();
+
+        this.bytesReturned = 0;
+        // null = not asked yet during this review
+        this.outsideAllowed = null;
+        this._realRoots = null;
+    }
+
+    /**
+     * Directory relative tool paths are resolved against
+     */
+    get baseDir() {
+        return this.homeRoot || this.roots[0] || process.cwd();
+    }
+
+    /**
+     * Name of the folder baseDir is (null when the reviewed file is outside the roots)
+     */
+    get homeName() {
+        return this.homeRoot ? this.rootNames[this.roots.indexOf(this.homeRoot)] : null;
+    }
+
+    /**
+     * Roots other than baseDir, as [{ root, name }]; their files are shown as "<name>/rest"
+     */
+    get otherRoots() {
+        return this.roots
+            .map((root, i) => ({ root, name: this.rootNames[i] }))
+            .filter(({ root }) => root !== this.baseDir);
+    }
+
+    async _getRealRoots() {
+        if (!this._realRoots) {
+            this._realRoots = await Promise.all(this.roots.map(root => fs.realpath(root).catch(() => root)));
+        }
+        return this._realRoots;
+    }
+
+    static isInside(root, target) {
+        const rel = path.relative(root, target);
+        return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+    }
+
+    /**
+     * realpath of the target, or of its nearest existing ancestor for paths that don't exist yet
+     */
+    static async realpathLenient(target) {
+        let current = target;
+        const rest = [];
+        for (;;) {
+            try {
+                const real = await fs.realpath(current);
+                return path.join(real, ...rest);
+            } catch (err) {
+                const parent = path.dirname(current);
+                if (parent === current) return target;
+                rest.unshift(path.basename(current));
+                current = parent;
+            }
+        }
+    }
+
+    /**
+     * Path shown to the model: relative to baseDir inside it, "<folder name>/rest" inside
+     * another root, absolute elsewhere; resolve() accepts all three
+     */
+    displayPath(absPath) {
+        if (ToolSandbox.isInside(this.baseDir, absPath)) {
+            return path.relative(this.baseDir, absPath) || '.';
+        }
+        const other = this.otherRoots.find(({ root }) => ToolSandbox.isInside(root, absPath));
+        if (other) {
+            return path.join(other.name, path.relative(other.root, absPath));
+        }
+        return absPath;
+    }
+
+    /**
+     * Absolute path for a requested one: "<folder name>/rest" names another root unless
+     * the path exists under baseDir
+     */
+    async _lexicalPath(requestedPath) {
+        const own = path.resolve(this.baseDir, requestedPath);
+        if (path.isAbsolute(requestedPath)) return own;
+
+        const [first, ...rest] = requestedPath.split(/[\\/]/);
+        const named = this.otherRoots.find(({ name }) => name === first);
+        if (!named) return own;
+        try {
+            await fs.access(own);
+            return own;
+        } catch (err) {
+            return path.resolve(named.root, ...rest);
+        }
+    }
+
+    /**
+     * True when the path matches an exclude pattern, as a file or as a directory (so the
+     * node_modules folder itself is hidden, not just its contents). Workspace paths are
+     * matched relative to their root, so a workspace living under e.g. `build/` still works.
+     */
+    isExcluded(absPath) {
+        const root = this.roots.find(r => ToolSandbox.isInside(r, absPath));
+        if (root === absPath) return false;
+        const candidate = root ? '/' + path.relative(root, absPath).replace(/\\/g, '/') : absPath;
+        return this.excludePatterns.some(pattern =>
+            FileScanner.matchPattern(candidate, pattern) || FileScanner.matchPattern(`${candidate}/`, pattern)
+        );
+    }
+
+    /**
+     * Resolve a path requested by the model to an absolute path it may access.
+     * Throws SandboxError when the path escapes the workspace (without opt-in) or is excluded.
+     */
+    async resolve(requestedPath) {
+        if (typeof requestedPath !== 'string' || requestedPath.trim() === '') {
+            throw new SandboxError('A path is required');
+        }
+
+        const lexical = await this._lexicalPath(requestedPath.trim());
+        const real = await ToolSandbox.realpathLenient(lexical);
+        const realRoots = await this._getRealRoots();
+
+        const inside = realRoots.some(root => ToolSandbox.isInside(root, real));
+        if (!inside && !(await this._allowOutside(real))) {
+            throw new SandboxError(`Access denied: ${requestedPath} is outside the workspace`);
+        }
+
+        if (this.isExcluded(lexical) || this.isExcluded(real)) {
+            throw new SandboxError(`Access denied: ${requestedPath} is excluded from review`);
+        }
+
+        return real;
+    }
+
+    async _allowOutside(absPath) {
+        if (this.roots.length === 0) return true;
+        if (this.outsideAllowed === null && this.confirmOutsideAccess) {
+            this.outsideAllowed = !!(await this.confirmOutsideAccess(absPath));
+        }
+        return this.outsideAllowed === true;
+    }
+
+    get remainingBytes() {
+        return Math.max(0, this.maxReviewBytes - this.bytesReturned);
+    }
+
+    /**
+     * Read at most maxReadBytes (and what is left of the review budget) from a file
+     */
+    async readText(absPath) {
+        const budget = Math.min(this.maxReadBytes, this.remainingBytes);
+        if (budget <= 0) {
+            throw new SandboxError(`Tool output budget for this review (${this.maxReviewBytes} bytes) is used up`);
+        }
+
+        const handle = await fs.open(absPath, 'r');
+        try {
+            const { size } = await handle.stat();
+            const length = Math.min(size, budget);
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(buffer, 0, length, 0);
+            this.bytesReturned += bytesRead;
+            return {
+                content: buffer.subarray(0, bytesRead).toString('utf-8'),
+                size,
+                truncated: bytesRead < size
+            };
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Record a tool call. `outcome` is 'ok', 'denied', 'error' or 'cancelled'.
+     */
+    async audit(tool, args, outcome, details = {}) {
+        const entry = {
+            time: new Date().toISOString(),
+            review: this.reviewId,
+            tool,
+            args,
+            outcome,
+            ...details
+        };
+
+        const icon = outcome === 'ok' ? '✓' : outcome === 'denied' ? '⛔' : '⚠️';
+        this.outputChannel && this.outputChannel.appendLine(`     ${icon} ${tool}: ${outcome}${details.reason ? ` (${details.reason})` : ''}`);
+
+        if (this.auditLogPath) {
+            try {
+                await fs.mkdir(path.dirname(this.auditLogPath), { recursive: true });
+                await fs.appendFile(this.auditLogPath, JSON.stringify(entry) + '\n', 'utf-8');
+            } catch (err) {
+                this.outputChannel && this.outputChannel.appendLine(`⚠️ Cannot write tool audit log: ${err.message}`);
+            }
+        }
+        return entry;
+    }
+}
@@ -0,0 +1,120 @@
+// src/workspaceRoots.js
+import * as vscode from 'vscode';
+import path from 'path';
+import { promises as fsp } from 'fs';
+
+/**
+ * Helpers for multi-root workspaces: which folder owns a path, resolving typed paths
+ * against the right folder, and asking which folders a command should cover.
+ */
+
+export function getWorkspaceRoots() {
+    return vscode.workspace.workspaceFolders ? [...vscode.workspace.workspaceFolders] : [];
+}
+
+/**
+ * Workspace folder containing fsPath (the innermost for nested folders), or undefined
+ */
+export function folderOf(fsPath) {
+    return vscode.workspace.getWorkspaceFolder(vscode.Uri.file(fsPath));
+}
+
+/**
+ * Folder of the active editor's file, else the first folder
+ */
+export function activeRoot() {
+    const editor = vscode.window.activeTextEditor;
+    const folder = editor && editor.document.uri.scheme === 'file' ? folderOf(editor.document.uri.fsPath) : undefined;
+    return folder || getWorkspaceRoots()[0];
+}
+
+/**
+ * Ask which folders to use; every folder is preselected. Resolves to the chosen folders
+ * (all of them without asking when there is only one), or undefined when cancelled.
+ */
+export async function pickWorkspaceRoots(placeHolder) {
+    const roots = getWorkspaceRoots();
+    if (roots.length <= 1) return roots;
+
+    const picked = await vscode.window.showQuickPick(
+        roots.map(folder => ({ label: folder.name, description: folder.uri.fsPath, folder, picked: true })),
+        { canPickMany: true, placeHolder }
+    );
+    return picked && picked.length > 0 ? picked.map(item => item.folder) : undefined;
+}
+
+/**
+ * Ask for one folder (the active editor's folder is offered first). Resolves to the only
+ * folder without asking, or undefined when cancelled or no folder is open.
+ */
+export async function pickWorkspaceRoot(placeHolder) {
+    const roots = getWorkspaceRoots();
+    if (roots.length <= 1) return roots[0];
+
+    const active = activeRoot();
+    const ordered = [active, ...roots.filter(folder => folder.index !== active.index)];
+    const picked = await vscode.window.showQuickPick(
+        ordered.map(folder => ({ label: folder.name, description: folder.uri.fsPath, folder })),
+        { placeHolder }
+    );
+    return picked && picked.folder;
+}
+
+async function exists(fsPath) {
+    try {
+        await fsp.access(fsPath);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Resolve a typed path to an absolute one. Absolute paths are kept; "<folder name>/rest"
+ * resolves inside that folder (the form asRelativePath uses in multi-root workspaces);
+ * other relative paths resolve against the folder where they exist, asking when several
+ * folders have them, and against the active folder when none does.
+ * Resolves to undefined when the user cancels the choice.
+ */
+export async function resolveInWorkspace(inputPath) {
+    if (path.isAbsolute(inputPath)) return path.resolve(inputPath);
+
+    const roots = getWorkspaceRoots();
+    if (roots.length === 0) return path.resolve(inputPath);
+    if (roots.length === 1) return path.resolve(roots[0].uri.fsPath, inputPath);
+
+    const [first, ...rest] = inputPath.split(/[\\/]/);
+    const named = roots.find(folder => folder.name === first);
+    if (named) return path.resolve(named.uri.fsPath, ...rest);
+
+    const candidates = [];
+    for (const folder of roots) {
+        const candidate = path.resolve(folder.uri.fsPath, inputPath);
+        if (await exists(candidate)) candidates.push({ folder, candidate });
+    }
+    if (candidates.length === 1) return candidates[0].candidate;
+    if (candidates.length === 0) return path.resolve(activeRoot().uri.fsPath, inputPath);
+
+    const picked = await vscode.window.showQuickPick(
+        candidates.map(({ folder, candidate }) => ({ label: folder.name, description: candidate, candidate })),
+        { placeHolder: `"${inputPath}" exists in several workspace folders. Which one?` }
+    );
+    return picked && picked.candidate;
+}
+
+/**
+ * Group paths by owning workspace folder: [{ folder, paths }] in workspace order;
+ * paths outside every folder come last with folder undefined
+ */
+export function groupByRoot(paths) {
+    const groups = getWorkspaceRoots().map(folder => ({ folder, paths: [] }));
+    const outside = [];
+    for (const fsPath of paths) {
+        const folder = folderOf(fsPath);
+        if (folder && groups[folder.index]) groups[folder.index].paths.push(fsPath);
+        else outside.push(fsPath);
+    }
+    const result = groups.filter(group => group.paths.length > 0);
+    if (outside.length > 0) result.push({ folder: undefined, paths: outside });
+    return result;
+}
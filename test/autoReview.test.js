@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutoReviewScheduler } from '../src/autoReview.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const documentFor = (fsPath, text, languageId = 'javascript') => ({
+    uri: { fsPath },
+    languageId,
+    isClosed: false,
+    getText: () => text
+});
+
+// A scheduler whose reviews record the files and resolve to `result`
+const scheduler = (settings = {}, result = { issues: [] }) => {
+    const reviewed = [];
+    const lines = [];
+    const auto = new AutoReviewScheduler(async document => {
+        reviewed.push(document.uri.fsPath);
+        return typeof result === 'function' ? result(document) : result;
+    }, { appendLine: line => lines.push(line) });
+    auto.configure({ enabled: true, debounceMs: 5, ...settings });
+    return { auto, reviewed, lines };
+};
+
+test('saves are debounced per file', async () => {
+    const { auto, reviewed } = scheduler();
+    auto.schedule(documentFor('/p/a.js', 'v1'), 'a.js');
+    auto.schedule(documentFor('/p/a.js', 'v2'), 'a.js');
+    auto.schedule(documentFor('/p/b.js', 'b'), 'b.js');
+    await sleep(50);
+    assert.deepEqual(reviewed.sort(), ['/p/a.js', '/p/b.js']);
+});
+
+test('unchanged content is not reviewed again', async () => {
+    const { auto, reviewed } = scheduler();
+    auto.schedule(documentFor('/p/a.js', 'same'), 'a.js');
+    await sleep(50);
+    auto.schedule(documentFor('/p/a.js', 'same'), 'a.js');
+    await sleep(50);
+    assert.equal(reviewed.length, 1);
+});
+
+test('only files matching the include globs and languages are scheduled', async () => {
+    const { auto, reviewed } = scheduler({ include: ['src/**'], languages: ['javascript'] });
+    auto.schedule(documentFor('/p/src/a.js', 'a'), 'src/a.js');
+    auto.schedule(documentFor('/p/test/b.js', 'b'), 'test/b.js');
+    auto.schedule(documentFor('/p/src/c.py', 'c', 'python'), 'src/c.py');
+    await sleep(50);
+    assert.deepEqual(reviewed, ['/p/src/a.js']);
+});
+
+test('the hourly budget stops reviews and says so once', async () => {
+    const { auto, reviewed, lines } = scheduler({ maxPerHour: 2 });
+    for (const name of ['a', 'b', 'c', 'd']) {
+        auto.schedule(documentFor(`/p/${name}.js`, name), `${name}.js`);
+        await sleep(50);
+    }
+    assert.equal(reviewed.length, 2);
+    assert.equal(auto.remainingBudget(), 0);
+    assert.equal(lines.filter(line => line.includes('budget of 2 reviews per hour used up')).length, 1);
+});
+
+test('skipped files and cache hits do not use up the budget', async () => {
+    const { auto, reviewed } = scheduler({ maxPerHour: 1 }, document => (document.uri.fsPath === '/p/a.js' ? null : { issues: [], cached: true }));
+    auto.schedule(documentFor('/p/a.js', 'a'), 'a.js');
+    await sleep(50);
+    auto.schedule(documentFor('/p/b.js', 'b'), 'b.js');
+    await sleep(50);
+    assert.equal(reviewed.length, 2);
+    assert.equal(auto.remainingBudget(), 1);
+});
+
+test('disabling drops pending saves', async () => {
+    const { auto, reviewed } = scheduler({ debounceMs: 20 });
+    auto.schedule(documentFor('/p/a.js', 'a'), 'a.js');
+    auto.configure({ enabled: false });
+    await sleep(80);
+    assert.deepEqual(reviewed, []);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, extractImports, findDeclarationStarts, chunkCode } from '../src/chunker.js';
+
+const body = name => [`function ${name}() {`, ...Array.from({ length: 8 }, (_, i) => `    doSomething(${i});`), '}', ''];
+
+test('estimateTokens counts about four characters per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('12345678'), 2);
+    assert.equal(estimateTokens('123456789'), 3);
+});
+
+test('extractImports finds imports of several languages with 1-based lines', () => {
+    const code = "import fs from 'fs';\nconst x = require('x');\nfrom os import path\n#include <stdio.h>\nlet y = 1;";
+    assert.deepEqual(extractImports(code).map(i => i.line), [1, 2, 3, 4]);
+});
+
+test('findDeclarationStarts attaches leading comments to their declaration', () => {
+    const code = ['const a = 1;', '', '/**', ' * Doc', ' */', 'export function f() {', '    return a;', '}'].join('\n');
+    assert.deepEqual(findDeclarationStarts(code), [1, 3]);
+});
+
+test('chunkCode covers every line exactly once and respects the token limit', () => {
+    const code = ['f', 'g', 'h', 'i'].flatMap(body).join('\n');
+    const chunks = chunkCode(code, { maxTokens: 100 });
+    assert.ok(chunks.length > 1);
+
+    const total = code.split('\n').length;
+    let expected = 1;
+    for (const chunk of chunks) {
+        assert.equal(chunk.startLine, expected);
+        assert.ok(estimateTokens(chunk.text) <= 100);
+        assert.equal(chunk.text, code.split('\n').slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+        expected = chunk.endLine + 1;
+    }
+    assert.equal(expected, total + 1);
+    // Chunks end between functions, not inside one
+    for (const chunk of chunks.slice(1)) {
+        assert.match(code.split('\n')[chunk.startLine - 1], /^function /);
+    }
+});
+
+test('chunkCode uses symbol ranges when given', () => {
+    const code = ['a', 'b', 'c', 'd', 'e', 'f'].join('\n');
+    const chunks = chunkCode(code, { maxTokens: 1, symbols: [{ startLine: 1, endLine: 3 }, { startLine: 4, endLine: 6 }] });
+    assert.deepEqual(chunks.map(c => [c.startLine, c.endLine]), [[1, 1], [2, 2], [3, 3], [4, 4], [5, 5], [6, 6]]);
+    const packed = chunkCode(code, { maxTokens: 3, symbols: [{ startLine: 1, endLine: 3 }, { startLine: 4, endLine: 6 }] });
+    assert.deepEqual(packed.map(c => [c.startLine, c.endLine]), [[1, 3], [4, 6]]);
+});
+
+test('chunkCode returns a single chunk for small files', () => {
+    assert.deepEqual(chunkCode('const a = 1;\nconst b = 2;'), [{ startLine: 1, endLine: 2, text: 'const a = 1;\nconst b = 2;' }]);
+});
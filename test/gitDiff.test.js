@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitDiff } from '../src/gitDiff.js';
+
+const diff = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,4 +1,5 @@ function main() {',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '+-- not a file header',
+    ' const c = 4;',
+    ' return a;',
+    '@@ -20 +21 @@',
+    '-old();',
+    '+newer();',
+    '\\ No newline at end of file',
+    'diff --git a/old/name.js b/new/name.js',
+    'similarity index 90%',
+    'rename from old/name.js',
+    'rename to new/name.js',
+    '--- a/old/name.js',
+    '+++ b/new/name.js',
+    '@@ -3,2 +3,2 @@',
+    ' keep();',
+    '-drop();',
+    '+add();',
+    'diff --git a/gone.js b/gone.js',
+    'deleted file mode 100644',
+    'index 3333333..0000000',
+    '--- a/gone.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-bye();',
+    'diff --git a/added.js b/added.js',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/added.js',
+    '@@ -0,0 +1 @@',
+    '+hello();',
+    'diff --git a/logo.png b/logo.png',
+    'index 4444444..5555555 100644',
+    'Binary files a/logo.png and b/logo.png differ',
+    ''
+].join('\n');
+
+test('parse numbers hunk lines in the new file', () => {
+    const [file] = GitDiff.parse(diff);
+    assert.equal(file.oldPath, 'src/app.js');
+    assert.equal(file.newPath, 'src/app.js');
+    assert.equal(file.hunks.length, 2);
+
+    const [first] = file.hunks;
+    assert.deepEqual([first.oldStart, first.oldLines, first.newStart, first.newLines], [1, 4, 1, 5]);
+    assert.deepEqual(first.lines.map(l => [l.type, l.newLine]), [
+        [' ', 1], ['-', null], ['+', 2], ['+', 3], [' ', 4], [' ', 5]
+    ]);
+    assert.equal(first.lines[3].text, '-- not a file header');
+    assert.equal(first.lines[1].oldLine, 2);
+});
+
+test('parse defaults omitted hunk counts to 1 and ignores "\\ No newline"', () => {
+    const [, second] = GitDiff.parse(diff)[0].hunks;
+    assert.deepEqual([second.oldStart, second.oldLines, second.newStart, second.newLines], [20, 1, 21, 1]);
+    assert.deepEqual(second.lines.map(l => l.text), ['old();', 'newer();']);
+});
+
+test('parse keeps both paths of renames', () => {
+    const renamed = GitDiff.parse(diff)[1];
+    assert.equal(renamed.oldPath, 'old/name.js');
+    assert.equal(renamed.newPath, 'new/name.js');
+    assert.deepEqual(renamed.hunks[0].lines.map(l => l.newLine), [3, null, 4]);
+});
+
+test('parse flags deleted, new and binary files', () => {
+    const [, , deleted, added, binary] = GitDiff.parse(diff);
+    assert.equal(deleted.isDeleted, true);
+    assert.equal(deleted.newPath, null);
+    assert.deepEqual(deleted.hunks[0].lines, [{ type: '-', text: 'bye();', oldLine: 1, newLine: null }]);
+
+    assert.equal(added.isNew, true);
+    assert.equal(added.oldPath, null);
+    assert.deepEqual(added.hunks[0].lines, [{ type: '+', text: 'hello();', newLine: 1 }]);
+
+    assert.equal(binary.isBinary, true);
+    assert.deepEqual(binary.hunks, []);
+    assert.deepEqual(GitDiff.parse(''), []);
+});
+
+test('formatHunks aligns new line numbers and leaves removed lines unnumbered', () => {
+    const file = GitDiff.parse(diff)[0];
+    assert.equal(GitDiff.formatHunks(file), [
+        '@@ -1,4 +1,5 @@',
+        ' 1   const a = 1;',
+        '   - const b = 2;',
+        ' 2 + const b = 3;',
+        ' 3 + -- not a file header',
+        ' 4   const c = 4;',
+        ' 5   return a;',
+        '',
+        '@@ -20,1 +21,1 @@',
+        '   - old();',
+        '21 + newer();'
+    ].join('\n'));
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { IgnoreRules } from '../src/ignoreRules.js';
+
+let root;
+
+before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'ignore-rules-'));
+    const write = async (file, text) => {
+        await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+        await fs.writeFile(path.join(root, file), text);
+    };
+    await fs.mkdir(path.join(root, '.git', 'info'), { recursive: true });
+    await write('.git/info/exclude', 'local.txt\n');
+    await write('.gitignore', '*.log\nbuild/\ngenerated.js\n');
+    await write('.aireviewignore', '!keep.log\n');
+    await write('src/.gitignore', 'secret.js\n!generated.js\n');
+});
+
+after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('findRoot walks up to the directory holding .git', async () => {
+    await fs.mkdir(path.join(root, 'src', 'deep'), { recursive: true });
+    assert.equal(await IgnoreRules.findRoot(path.join(root, 'src', 'deep')), root);
+});
+
+test('patterns of the root ignore files apply to the whole tree', async () => {
+    const rules = new IgnoreRules(root);
+    assert.equal(await rules.ignores(path.join(root, 'debug.log')), true);
+    assert.equal(await rules.ignores(path.join(root, 'src', 'nested', 'debug.log')), true);
+    assert.equal(await rules.ignores(path.join(root, 'index.js')), false);
+    assert.equal(await rules.ignores(path.join(root, 'local.txt')), true);
+});
+
+test('directory patterns only match directories', async () => {
+    const rules = new IgnoreRules(root);
+    assert.equal(await rules.ignores(path.join(root, 'build'), true), true);
+    assert.equal(await rules.ignores(path.join(root, 'build'), false), false);
+});
+
+test('.aireviewignore and deeper ignore files take precedence', async () => {
+    const rules = new IgnoreRules(root);
+    assert.equal(await rules.ignores(path.join(root, 'keep.log')), false);
+    assert.equal(await rules.ignores(path.join(root, 'src', 'secret.js')), true);
+    assert.equal(await rules.ignores(path.join(root, 'secret.js')), false);
+    assert.equal(await rules.ignores(path.join(root, 'generated.js')), true);
+    assert.equal(await rules.ignores(path.join(root, 'src', 'generated.js')), false);
+});
+
+test('paths outside the root are never ignored', async () => {
+    const rules = new IgnoreRules(path.join(root, 'src'));
+    assert.equal(await rules.ignores(path.join(root, 'debug.log')), false);
+});
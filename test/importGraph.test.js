@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseImports, resolveImport, extractSignatures, languageOf } from '../src/importGraph.js';
+
+let root;
+
+before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'import-graph-'));
+    const files = {
+        'web/app.ts': '',
+        'web/util.ts': '',
+        'web/lib/index.js': '',
+        'web/styles.css': '',
+        'src/pkg/__init__.py': '',
+        'src/pkg/models.py': '',
+        'src/pkg/sub/helpers.py': '',
+        'tools.py': ''
+    };
+    for (const [name, text] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+        await fs.writeFile(path.join(root, name), text);
+    }
+});
+
+after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+});
+
+test('languageOf knows JS/TS and Python files', () => {
+    assert.equal(languageOf('a.mts'), 'js');
+    assert.equal(languageOf('a.PY'), 'python');
+    assert.equal(languageOf('a.css'), null);
+});
+
+test('parseImports reads JS/TS imports with their bindings, in order', () => {
+    const code = [
+        "import fs from 'fs';",
+        "import { a, b as c } from './util';",
+        "import type { T } from './types';",
+        "import * as lib from './lib';",
+        "import './side-effect.css';",
+        "export { x } from './reexport';",
+        "const legacy = require('./legacy');",
+        "const later = await import('./lazy');"
+    ].join('\n');
+    assert.deepEqual(parseImports(code, 'app.ts').map(i => [i.specifier, i.line, i.names]), [
+        ['fs', 1, ['fs']],
+        ['./util', 2, ['a', 'c']],
+        ['./types', 3, ['T']],
+        ['./lib', 4, ['lib']],
+        ['./side-effect.css', 5, []],
+        ['./reexport', 6, ['x']],
+        ['./legacy', 7, ['legacy']],
+        ['./lazy', 8, []]
+    ]);
+});
+
+test('parseImports reads Python imports with their bindings', () => {
+    const code = [
+        'import os, sys as system',
+        'from .models import User, Group as G',
+        'from ..sub import (helpers)',
+        'import pkg.models'
+    ].join('\n');
+    assert.deepEqual(parseImports(code, 'pkg/views.py').map(i => [i.specifier, i.line, i.names]), [
+        ['os', 1, ['os']],
+        ['sys', 1, ['system']],
+        ['.models', 2, ['User', 'G']],
+        ['..sub', 3, ['helpers']],
+        ['pkg.models', 4, ['pkg']]
+    ]);
+    assert.deepEqual(parseImports('import x', 'notes.txt'), []);
+});
+
+test('resolveImport finds relative JS/TS files, index files and .js names of TS files', async () => {
+    const from = path.join(root, 'web', 'app.ts');
+    assert.equal(await resolveImport('./util', from, root), path.join(root, 'web', 'util.ts'));
+    assert.equal(await resolveImport('./util.js', from, root), path.join(root, 'web', 'util.ts'));
+    assert.equal(await resolveImport('./lib', from, root), path.join(root, 'web', 'lib', 'index.js'));
+    assert.equal(await resolveImport('./styles.css', from, root), null);
+    assert.equal(await resolveImport('./missing', from, root), null);
+    assert.equal(await resolveImport('react', from, root), null);
+});
+
+test('resolveImport finds Python modules and packages from the root, src and relative', async () => {
+    const from = path.join(root, 'src', 'pkg', 'sub', 'helpers.py');
+    assert.equal(await resolveImport('pkg.models', from, root), path.join(root, 'src', 'pkg', 'models.py'));
+    assert.equal(await resolveImport('pkg', from, root), path.join(root, 'src', 'pkg', '__init__.py'));
+    assert.equal(await resolveImport('tools', from, root), path.join(root, 'tools.py'));
+    assert.equal(await resolveImport('..models', from, root), path.join(root, 'src', 'pkg', 'models.py'));
+    assert.equal(await resolveImport('.helpers', from, root), path.join(root, 'src', 'pkg', 'sub', 'helpers.py'));
+    assert.equal(await resolveImport('requests', from, root), null);
+});
+
+test('extractSignatures keeps exported JS/TS declarations without their bodies', () => {
+    const code = [
+        "import x from './x';",
+        'export async function load(path: string,',
+        '    options = {}): Promise<void> {',
+        '    return read(path);',
+        '}',
+        'export const add = (a, b) => a + b;',
+        "export const NAME = 'app';",
+        'function hidden() {}',
+        'export class Store {',
+        '    constructor(dir) { this.dir = dir; }',
+        '    async get(key) {',
+        '        if (key) {',
+        '        }',
+        '    }',
+        '    _cache() {}',
+        '    private secret() {}',
+        '}',
+        'module.exports = { load };'
+    ].join('\n');
+    assert.deepEqual(extractSignatures(code, 'store.ts'), [
+        { line: 2, text: 'export async function load(path: string,\n    options = {}): Promise<void>' },
+        { line: 6, text: 'export const add = (a, b) => …' },
+        { line: 7, text: "export const NAME = 'app';" },
+        { line: 9, text: 'export class Store' },
+        { line: 10, text: '    constructor(dir)' },
+        { line: 11, text: '    async get(key)' },
+        { line: 18, text: 'module.exports = { load };' }
+    ]);
+});
+
+test('extractSignatures keeps public Python functions, classes, methods and constants', () => {
+    const code = [
+        'MAX_SIZE = 10',
+        'def load(path,',
+        '         mode="r"):',
+        '    return open(path)',
+        'def _private():',
+        '    pass',
+        'class Store(Base):',
+        '    def __init__(self, root):',
+        '        self.root = root',
+        '    async def get(self, key):',
+        '        pass',
+        '    def _helper(self):',
+        '        pass',
+        'class _Hidden:',
+        '    def visible(self):',
+        '        pass'
+    ].join('\n');
+    assert.deepEqual(extractSignatures(code, 'store.py').map(s => [s.line, s.text]), [
+        [1, 'MAX_SIZE = 10'],
+        [2, 'def load(path,\n         mode="r")'],
+        [7, 'class Store(Base)'],
+        [8, '    def __init__(self, root)'],
+        [10, '    async def get(self, key)']
+    ]);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sleep, RateLimiter, isRetryableError, JobPool } from '../src/jobPool.js';
+
+const retryable = message => Object.assign(new Error(message), { status: 503 });
+
+test('sleep resolves true after the delay and false when cancelled', async () => {
+    assert.equal(await sleep(5), true);
+    assert.equal(await sleep(10000, () => true), false);
+});
+
+test('isRetryableError accepts rate limits, server errors and transient failures', () => {
+    assert.equal(isRetryableError({ status: 429 }), true);
+    assert.equal(isRetryableError({ status: 503 }), true);
+    assert.equal(isRetryableError({ transient: true }), true);
+    assert.equal(isRetryableError({ status: 400 }), false);
+    assert.equal(isRetryableError(null), false);
+});
+
+test('RateLimiter allows requestsPerMinute requests and then makes callers wait', async () => {
+    const limiter = new RateLimiter(2);
+    assert.equal(await limiter.acquire(), true);
+    assert.equal(await limiter.acquire(), true);
+    let cancelled = false;
+    const waiting = limiter.acquire(() => cancelled);
+    cancelled = true;
+    assert.equal(await waiting, false);
+
+    assert.equal(await new RateLimiter(0).acquire(), true);
+});
+
+test('RateLimiter.pause blocks callers until it ends', async () => {
+    const limiter = new RateLimiter(0);
+    limiter.pause(30);
+    const started = Date.now();
+    assert.equal(await limiter.acquire(), true);
+    assert.ok(Date.now() - started >= 25);
+});
+
+test('backoffDelay grows exponentially with jitter and honours Retry-After', () => {
+    const pool = new JobPool({ baseDelayMs: 100, maxDelayMs: 1000 });
+    const first = pool.backoffDelay(1);
+    assert.ok(first >= 75 && first <= 125);
+    const capped = pool.backoffDelay(10);
+    assert.ok(capped >= 750 && capped <= 1250);
+    assert.equal(pool.backoffDelay(1, { retryAfterMs: 3000 }), 3000);
+    assert.equal(pool.backoffDelay(1, { retryAfterMs: 60000 }), 5000);
+});
+
+test('run respects the concurrency limit and reports every job', async () => {
+    const pool = new JobPool({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    const settled = [];
+    const { results, failed, cancelled } = await pool.run([1, 2, 3, 4, 5], async item => {
+        running++;
+        peak = Math.max(peak, running);
+        await sleep(5);
+        running--;
+        return item * 10;
+    }, { onSettled: outcome => settled.push(outcome.index) });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(r => r.value).sort((a, b) => a - b), [10, 20, 30, 40, 50]);
+    assert.deepEqual(failed, []);
+    assert.equal(cancelled, false);
+    assert.equal(settled.length, 5);
+});
+
+test('run retries retryable errors and reports the ones that keep failing', async () => {
+    const retries = [];
+    const pool = new JobPool({ maxRetries: 2, baseDelayMs: 1, maxDelayMs: 2, onRetry: (item, error, attempt) => retries.push([item, attempt]) });
+    const attempts = new Map();
+    const { results, failed } = await pool.run(['flaky', 'broken', 'invalid'], async item => {
+        attempts.set(item, (attempts.get(item) || 0) + 1);
+        if (item === 'flaky' && attempts.get(item) < 2) throw retryable('try again');
+        if (item === 'broken') throw retryable('down');
+        if (item === 'invalid') throw Object.assign(new Error('bad request'), { status: 400 });
+        return 'ok';
+    });
+
+    assert.deepEqual(results.map(r => [r.item, r.value]), [['flaky', 'ok']]);
+    assert.deepEqual(failed.map(f => [f.item, f.attempts]).sort(), [['broken', 3], ['invalid', 1]]);
+    assert.deepEqual(retries.filter(([item]) => item === 'broken').map(([, attempt]) => attempt), [1, 2]);
+});
+
+test('run stops starting jobs once cancelled', async () => {
+    const pool = new JobPool({ concurrency: 1 });
+    let cancelled = false;
+    const started = [];
+    const outcome = await pool.run([1, 2, 3], async item => {
+        started.push(item);
+        cancelled = true;
+    }, { isCancelled: () => cancelled });
+
+    assert.deepEqual(started, [1]);
+    assert.equal(outcome.cancelled, true);
+});
+
+test('a Retry-After error pauses the shared rate limiter', async () => {
+    const limiter = new RateLimiter(0);
+    const pool = new JobPool({ rateLimiter: limiter, maxRetries: 1 });
+    let calls = 0;
+    await pool.run(['x'], async () => {
+        if (++calls === 1) throw Object.assign(retryable('slow down'), { retryAfterMs: 20 });
+    });
+    assert.equal(calls, 2);
+    assert.ok(limiter.pausedUntil > 0);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitLines, diffLines, applyHunks, mapLine } from '../src/lineDiff.js';
+
+test('splitLines keeps a trailing empty line and handles CRLF', () => {
+    assert.deepEqual(splitLines('a\r\nb\n'), ['a', 'b', '']);
+});
+
+test('diffLines returns no hunks for identical texts', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nb\nc'), []);
+});
+
+test('diffLines separates changes into hunks with 0-based indexes', () => {
+    const hunks = diffLines('a\nb\nc\nd\ne', 'a\nB\nc\nd\ne\nf');
+    assert.equal(hunks.length, 2);
+    assert.deepEqual(hunks[0], {
+        originalStart: 1,
+        originalLength: 1,
+        modifiedStart: 1,
+        modifiedLength: 1,
+        originalLines: ['b'],
+        modifiedLines: ['B']
+    });
+    assert.equal(hunks[1].originalStart, 5);
+    assert.equal(hunks[1].originalLength, 0);
+    assert.deepEqual(hunks[1].modifiedLines, ['f']);
+});
+
+test('applyHunks applies all hunks or only a subset', () => {
+    const original = 'a\nb\nc\nd\ne';
+    const modified = 'x\nb\nc\nd\ny';
+    const hunks = diffLines(original, modified);
+    assert.equal(applyHunks(original, hunks), modified);
+    assert.equal(applyHunks(original, [hunks[1]]), 'a\nb\nc\nd\ny');
+});
+
+test('applyHunks keeps CRLF line endings', () => {
+    const original = 'a\r\nb\r\nc';
+    const hunks = diffLines(original, 'a\nB\nc');
+    assert.equal(applyHunks(original, hunks), 'a\r\nB\r\nc');
+});
+
+test('mapLine follows lines across edits and drops changed ones', () => {
+    const hunks = diffLines('a\nb\nc\nd\ne', 'new\na\nB\nc\ne');
+    assert.deepEqual([1, 2, 3, 4, 5].map(line => mapLine(hunks, line)), [2, null, 4, null, 5]);
+    assert.equal(mapLine([], 7), 7);
+});
@@ -0,0 +1,126 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProjectConfig, applyProjectSettings, formatConfigError } from '../src/projectConfig.js';
+
+const root = path.resolve('/repo');
+const config = data => new ProjectConfig(data, { rootDir: root });
+
+after(() => {
+    ProjectConfig.use([]);
+});
+
+test('parse accepts valid JSON and YAML configs', () => {
+    assert.deepEqual(ProjectConfig.parse('{"minSeverity": "High"}').data, { minSeverity: 'High' });
+    assert.deepEqual(ProjectConfig.parse('exclude:\n  - "**/*.test.js"\n', '.aireviewer.yml').data, { exclude: ['**/*.test.js'] });
+    assert.deepEqual(ProjectConfig.parse('', '.aireviewer.yml'), { data: {}, errors: [] });
+});
+
+test('parse reports schema errors with their paths', () => {
+    const { data, errors } = ProjectConfig.parse(JSON.stringify({
+        minSeverity: 'Huge',
+        colour: 'red',
+        rules: [
+            { id: 'a', description: 'A', severity: 'Low' },
+            { id: 'a', description: 'again', severity: 'Low' }
+        ]
+    }));
+    assert.equal(data, null);
+    assert.deepEqual(errors.map(error => error.path), ['minSeverity', 'colour', 'rules[1].id']);
+    assert.match(formatConfigError(errors[1]), /^colour is not a known setting$/);
+});
+
+test('parse reports unparsable text', () => {
+    const { errors } = ProjectConfig.parse('{ nope');
+    assert.equal(errors[0].path, '(file)');
+    assert.match(errors[0].message, /^cannot be parsed/);
+});
+
+test('include and exclude globs are relative to the config root', () => {
+    const cfg = config({ include: ['src/**'], exclude: ['src/vendor/**'] });
+    assert.equal(cfg.excludes(path.join(root, 'src', 'app.js')), false);
+    assert.equal(cfg.excludes(path.join(root, 'src', 'vendor', 'lib.js')), true);
+    assert.equal(cfg.excludes(path.join(root, 'scripts', 'build.js')), true);
+    assert.equal(cfg.excludesDirectory(path.join(root, 'src', 'vendor')), true);
+    assert.equal(cfg.excludesDirectory(path.join(root, 'scripts')), false);
+});
+
+test('forFile applies matching overrides in order and scopes rules', () => {
+    const cfg = config({
+        minSeverity: 'Low',
+        instructions: 'Be brief.',
+        model: { temperature: 0.2 },
+        rules: [
+            { id: 'everywhere', description: 'E', severity: 'Low' },
+            { id: 'tests-only', description: 'T', severity: 'High', files: ['test/**'] }
+        ],
+        overrides: [
+            { files: ['test/**'], minSeverity: 'High', instructions: ['Tests may use any.'], model: { temperature: 0.5 } },
+            { files: ['src/**'], categories: ['security'] }
+        ]
+    });
+
+    const testSettings = cfg.forFile(path.join(root, 'test', 'a.test.js'));
+    assert.equal(testSettings.minSeverity, 'High');
+    assert.deepEqual(testSettings.instructions, ['Be brief.', 'Tests may use any.']);
+    assert.deepEqual(testSettings.model, { temperature: 0.5 });
+    assert.deepEqual(testSettings.rules.map(rule => rule.id), ['everywhere', 'tests-only']);
+
+    const srcSettings = cfg.forFile(path.join(root, 'src', 'a.js'));
+    assert.equal(srcSettings.minSeverity, 'Low');
+    assert.deepEqual(srcSettings.categories, ['security']);
+    assert.deepEqual(srcSettings.rules.map(rule => rule.id), ['everywhere']);
+});
+
+test('settingsFor uses the deepest active config containing the file', () => {
+    const outer = config({ minSeverity: 'Low' });
+    const inner = new ProjectConfig({ minSeverity: 'High' }, { rootDir: path.join(root, 'packages', 'api') });
+    ProjectConfig.use([outer, null, inner]);
+
+    assert.equal(ProjectConfig.settingsFor(path.join(root, 'packages', 'api', 'index.js')).minSeverity, 'High');
+    assert.equal(ProjectConfig.settingsFor(path.join(root, 'index.js')).minSeverity, 'Low');
+    assert.equal(ProjectConfig.settingsFor(path.resolve('/elsewhere/index.js')), null);
+});
+
+test('applyProjectSettings filters by severity and category and applies team rules', () => {
+    const issues = [
+        { id: 'AI001', severity: 'Low', category: 'security' },
+        { id: 'AI002', severity: 'High', category: 'style' },
+        { id: 'AI003', severity: 'Critical', category: 'security' },
+        { id: 'AI004', severity: 'Low', category: 'style', ruleId: 'team-rule' },
+        { id: 'AI005', severity: 'High', category: 'security', ruleId: 'unknown-rule' }
+    ];
+    const settings = {
+        minSeverity: 'High',
+        categories: ['security'],
+        rules: [{ id: 'team-rule', severity: 'Critical' }]
+    };
+    const kept = applyProjectSettings(issues, settings);
+    assert.deepEqual(kept.map(issue => [issue.id, issue.severity, issue.ruleId]), [
+        ['AI003', 'Critical', undefined],
+        ['AI004', 'Critical', 'team-rule'],
+        ['AI005', 'High', undefined]
+    ]);
+    assert.equal(applyProjectSettings(issues, null), issues);
+});
+
+test('load reads the first config file present and reports invalid ones', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'project-config-'));
+    try {
+        assert.deepEqual(await ProjectConfig.load(dir), { config: null, file: null, errors: [] });
+
+        await fs.writeFile(path.join(dir, '.aireviewer.yml'), 'minSeverity: Medium\n');
+        let result = await ProjectConfig.load(dir);
+        assert.equal(result.file, path.join(dir, '.aireviewer.yml'));
+        assert.equal(result.config.data.minSeverity, 'Medium');
+
+        await fs.writeFile(path.join(dir, '.aireviewer.json'), '{"minSeverity": 3}');
+        result = await ProjectConfig.load(dir);
+        assert.equal(result.config, null);
+        assert.equal(result.errors[0].path, 'minSeverity');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReviewCache } from '../src/reviewCache.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+let tmp;
+
+before(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'review-cache-'));
+});
+
+after(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const freshCache = async (name, options) => {
+    const cache = new ReviewCache(path.join(tmp, name), options);
+    await cache.clear();
+    return cache;
+};
+
+// Entry files aged `days` ago, by their mtime (what eviction looks at)
+const age = (cache, key, days) => {
+    const time = new Date(Date.now() - days * DAY);
+    return fs.utimes(path.join(cache.dir, `${key}.json`), time, time);
+};
+
+test('key depends on every part of the request', () => {
+    assert.equal(ReviewCache.key({ content: 'a', model: 'm' }), ReviewCache.key({ content: 'a', model: 'm' }));
+    assert.notEqual(ReviewCache.key({ content: 'a', model: 'm' }), ReviewCache.key({ content: 'a', model: 'n' }));
+});
+
+test('get returns stored values and null for missing ones', async () => {
+    const cache = await freshCache('get');
+    await cache.set('k', { summary: 'ok', issues: [] });
+    assert.deepEqual(await cache.get('k'), { summary: 'ok', issues: [] });
+    assert.equal(await cache.get('missing'), null);
+});
+
+test('entries older than maxAgeDays expire and are removed', async () => {
+    const cache = await freshCache('expiry', { maxAgeDays: 1 });
+    await fs.mkdir(cache.dir, { recursive: true });
+    await fs.writeFile(path.join(cache.dir, 'old.json'), JSON.stringify({ storedAt: Date.now() - 2 * DAY, value: 1 }));
+
+    assert.equal(await cache.get('old'), null);
+    assert.deepEqual(await cache.stats(), { entries: 0, bytes: 0 });
+
+    cache.configure({ maxAgeDays: 3 });
+    await cache.set('recent', 2);
+    assert.equal(await cache.get('recent'), 2);
+});
+
+test('evict drops expired entries, then the oldest past maxEntries', async () => {
+    const cache = await freshCache('entries', { maxEntries: 2, maxAgeDays: 10 });
+    for (const key of ['a', 'b', 'c', 'd']) await cache.set(key, key);
+    await age(cache, 'a', 20);
+    await age(cache, 'b', 3);
+    await age(cache, 'c', 2);
+    await age(cache, 'd', 1);
+
+    assert.equal(await cache.evict(), 2);
+    assert.equal(await cache.get('a'), null);
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('c'), 'c');
+    assert.equal(await cache.get('d'), 'd');
+});
+
+test('evict keeps the newest entries within maxBytes', async () => {
+    const cache = await freshCache('bytes');
+    await cache.set('old', 'x'.repeat(100));
+    await cache.set('new', 'y'.repeat(100));
+    await age(cache, 'old', 2);
+    await age(cache, 'new', 1);
+    const { bytes } = await cache.stats();
+
+    cache.configure({ maxBytes: bytes - 1 });
+    assert.equal(await cache.evict(), 1);
+    assert.equal(await cache.get('old'), null);
+    assert.equal(await cache.get('new'), 'y'.repeat(100));
+});
+
+test('set evicts every EVICT_EVERY writes', async () => {
+    const cache = await freshCache('periodic', { maxEntries: 1 });
+    for (let i = 1; i < ReviewCache.EVICT_EVERY; i++) await cache.set(`k${i}`, i);
+    assert.equal((await cache.stats()).entries, ReviewCache.EVICT_EVERY - 1);
+
+    await cache.set('last', 'last');
+    assert.equal((await cache.stats()).entries, 1);
+});
@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReviewHistory } from '../src/reviewHistory.js';
+
+let tmp;
+
+before(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'review-history-'));
+});
+
+after(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const issue = (id, title, startLine, category = 'Bug') => ({ id, title, category, severity: 'High', startLine, endLine: startLine });
+const content = 'const a = 1;\nrun(a);\neval(input);\n';
+
+test('findMatch prefers the same code and title, then either one, within the category', () => {
+    const candidates = [
+        { id: 'a', category: 'Bug', title: 'Other', snippetHash: 'h1' },
+        { id: 'b', category: 'Bug', title: 'Use of eval!', snippetHash: 'h2' },
+        { id: 'c', category: 'Bug', title: 'Use of eval', snippetHash: 'h1' },
+        { id: 'd', category: 'Security', title: 'Use of eval', snippetHash: 'h1' }
+    ];
+    assert.equal(ReviewHistory.findMatch({ category: 'Bug', title: 'use of EVAL', snippetHash: 'h1' }, candidates).id, 'c');
+    assert.equal(ReviewHistory.findMatch({ category: 'Bug', title: 'Renamed', snippetHash: 'h1' }, candidates).id, 'a');
+    assert.equal(ReviewHistory.findMatch({ category: 'Bug', title: 'use of eval', snippetHash: 'h9' }, candidates).id, 'b');
+    assert.equal(ReviewHistory.findMatch({ category: 'Style', title: 'Use of eval', snippetHash: 'h1' }, candidates), null);
+});
+
+test('record tags findings new, persisting and fixed', async () => {
+    const history = new ReviewHistory(tmp);
+    const first = await history.record('/p/a.js', {
+        content,
+        review: { summary: 'one', issues: [issue('1', 'Use of eval', 3), issue('2', 'Unused value', 1)] }
+    });
+    assert.deepEqual(first.findings.map(f => f.change), ['new', 'new']);
+    assert.deepEqual(first.fixed, []);
+
+    // The eval moved down a line, the unused value is gone, a new finding showed up
+    const second = await history.record('/p/a.js', {
+        content: `// header\n${content}`,
+        review: { summary: 'two', issues: [issue('3', 'Use of eval', 4), issue('4', 'Missing await', 3)] }
+    });
+    assert.deepEqual(second.findings.map(f => [f.id, f.change]), [['3', 'persisting'], ['4', 'new']]);
+    assert.equal(second.findings[0].firstSeen, first.findings[0].firstSeen);
+    assert.deepEqual(second.fixed.map(f => [f.id, f.change]), [['2', 'fixed']]);
+    assert.equal(history.getRuns('/p/a.js').length, 2);
+});
+
+test('dismissed findings stay dismissed and are never reported fixed', async () => {
+    const history = new ReviewHistory(tmp);
+    await history.record('/p/b.js', { content, review: { issues: [issue('1', 'Use of eval', 3), issue('2', 'Unused value', 1)] } });
+    await history.setStatus('/p/b.js', '1', 'dismissed');
+    await history.setStatus('/p/b.js', '2', 'dismissed');
+
+    const again = await history.record('/p/b.js', { content, review: { issues: [issue('5', 'Use of eval', 3)] } });
+    assert.equal(again.findings[0].status, 'dismissed');
+    assert.deepEqual(again.fixed, []);
+    await assert.rejects(history.setStatus('/p/b.js', '5', 'gone'), /Unknown finding status/);
+});
+
+test('partial runs keep carried findings and report nothing fixed', async () => {
+    const history = new ReviewHistory(tmp);
+    const first = await history.record('/p/c.js', { content, review: { issues: [issue('1', 'Use of eval', 3), issue('2', 'Unused value', 1)] } });
+    await history.setStatus('/p/c.js', '2', 'resolved');
+
+    const carried = history.getLatest('/p/c.js').findings.filter(f => f.id === '2');
+    const partial = await history.record('/p/c.js', {
+        content,
+        scope: 'diff',
+        carried,
+        review: { issues: [issue('6', 'Use of eval', 3)] }
+    });
+    assert.deepEqual(partial.findings.map(f => [f.id, f.change, f.status]), [['2', 'persisting', 'resolved'], ['6', 'persisting', 'open']]);
+    assert.equal(partial.findings[1].firstSeen, first.findings[0].firstSeen);
+    assert.deepEqual(partial.fixed, []);
+});
+
+test('the history is saved and loaded again', async () => {
+    const history = new ReviewHistory(tmp);
+    await history.record('/p/d.js', { content, model: 'm', review: { summary: 'ok', issues: [] } });
+    await history.recordSession({ id: 's1', title: 'Review' });
+
+    const loaded = await new ReviewHistory(tmp).load();
+    assert.equal(loaded.getLatest('/p/d.js').model, 'm');
+    assert.equal(loaded.getSession('s1').title, 'Review');
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReport, renderMarkdown, renderHtml, excerptFor, formatDuration } from '../src/reviewReport.js';
+import { hashContent } from '../src/reviewCache.js';
+
+const content = 'const a = 1;\nconst s = "<b>|</b>";\nconst t = `x`; // ```\nend();\n';
+
+const finding = {
+    id: 'F1',
+    severity: 'High',
+    category: 'Security',
+    ruleId: 'no-<raw>|html',
+    startLine: 2,
+    endLine: 3,
+    title: 'Unescaped <script> | output',
+    explanation: 'Writes "<img onerror=x>" & more\ninto the page.',
+    status: 'open',
+    change: 'new'
+};
+
+const report = (overrides = {}) => createReport([{
+    displayPath: 'src/<weird>|name.js',
+    content,
+    run: {
+        timestamp: '2026-01-02T03:04:05.000Z',
+        hash: hashContent(content),
+        model: 'model-<x>',
+        scope: 'file',
+        durationMs: 1500,
+        summary: 'Mostly fine | but <b>bold</b>',
+        findings: [finding],
+        ...overrides
+    }
+}], {
+    title: 'Report <for> "team"',
+    session: { failed: [{ filePath: 'bad|<file>.js', error: 'Error <500>' }], skipped: [] }
+});
+
+test('excerptFor shows the finding with a line of context, capped', () => {
+    assert.deepEqual(excerptFor(content, finding), { startLine: 1, lines: content.split('\n').slice(0, 4) });
+    const long = Array.from({ length: 40 }, (_, i) => `line ${i + 1}`).join('\n');
+    assert.equal(excerptFor(long, { startLine: 5, endLine: 30 }).lines.length, 12);
+});
+
+test('formatDuration picks a readable unit', () => {
+    assert.equal(formatDuration(null), '');
+    assert.equal(formatDuration(250), '250 ms');
+    assert.equal(formatDuration(1500), '2s');
+    assert.equal(formatDuration(125000), '2m 5s');
+});
+
+test('renderMarkdown escapes table cells and text taken from reviews', () => {
+    const md = renderMarkdown(report());
+    assert.ok(md.includes('| Unescaped &lt;script> \\| output |'));
+    assert.ok(md.includes('| Mostly fine \\| but &lt;b>bold&lt;/b> |'));
+    assert.ok(md.includes('| Security · no-&lt;raw>\\|html |'));
+    assert.ok(md.includes('| bad\\|&lt;file>.js | Error &lt;500> |'));
+    assert.ok(md.includes('### src/&lt;weird>|name.js'));
+    assert.ok(md.includes('Writes "&lt;img onerror=x>" & more\ninto the page.'));
+    // Table cells stay on one line
+    assert.ok(!md.includes('| Writes'));
+});
+
+test('renderMarkdown fences excerpts longer than any backtick run in them', () => {
+    const md = renderMarkdown(report());
+    assert.ok(md.includes('````\n1 | const a = 1;\n2 | const s = "<b>|</b>";\n3 | const t = `x`; // ```\n4 | end();\n````'));
+});
+
+test('renderHtml escapes everything taken from reviews', () => {
+    const html = renderHtml(report());
+    assert.ok(html.includes('<title>Report &lt;for&gt; &quot;team&quot;</title>'));
+    assert.ok(html.includes('<h3>src/&lt;weird&gt;|name.js</h3>'));
+    assert.ok(html.includes('<summary>Unescaped &lt;script&gt; | output</summary>Writes &quot;&lt;img onerror=x&gt;&quot; &amp; more'));
+    assert.ok(html.includes('const s = &quot;&lt;b&gt;|&lt;/b&gt;&quot;;'));
+    assert.ok(html.includes('<td>Error &lt;500&gt;</td>'));
+    assert.ok(html.includes('Model: model-&lt;x&gt;'));
+    assert.ok(!/<(script|img|b|weird|raw|x)\b/.test(html));
+});
+
+test('reports flag files that changed since their review', () => {
+    assert.equal(report().files[0].stale, false);
+    const stale = report({ hash: hashContent('older') });
+    assert.equal(stale.files[0].stale, true);
+    assert.ok(renderMarkdown(stale).includes('_The file changed since it was reviewed'));
+});
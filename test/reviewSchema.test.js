@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeSeverity,
+    normalizeCategory,
+    normalizeIssue,
+    normalizeReview,
+    extractJson,
+    sortIssues,
+    formatIssue,
+    numberLines
+} from '../src/reviewSchema.js';
+
+test('normalizeSeverity and normalizeCategory map loose values and fall back', () => {
+    assert.equal(normalizeSeverity('HIGH severity'), 'High');
+    assert.equal(normalizeSeverity(undefined), 'Medium');
+    assert.equal(normalizeCategory('Best Practice'), 'best-practice');
+    assert.equal(normalizeCategory('typo'), 'other');
+});
+
+test('normalizeIssue fills in defaults and fixes invalid line numbers', () => {
+    const issue = normalizeIssue({ title: ' Leak ', line: '7', endLine: 2, ruleId: ' no-leak ' }, 0, '/src/app.js');
+    assert.deepEqual(issue, {
+        id: 'AI001',
+        title: 'Leak',
+        severity: 'Medium',
+        category: 'other',
+        file: 'app.js',
+        startLine: 7,
+        endLine: 7,
+        explanation: '',
+        replacement: undefined,
+        ruleId: 'no-leak'
+    });
+    assert.equal(normalizeIssue({ startLine: -3 }, 4).startLine, 1);
+    assert.equal(normalizeIssue('plain text', 1).title, 'plain text');
+});
+
+test('normalizeIssue drops issues past the end of the file and clamps end lines', () => {
+    assert.equal(normalizeIssue({ title: 'x', startLine: 9999 }, 0, 'a.js', 40), null);
+    assert.equal(normalizeIssue({ title: 'x', startLine: 38, endLine: 120 }, 0, 'a.js', 40).endLine, 40);
+    assert.equal(normalizeIssue({ title: 'x', startLine: 9999 }, 0, 'a.js').startLine, 9999);
+});
+
+test('normalizeReview keeps ids unique and drops made-up lines', () => {
+    const review = normalizeReview({
+        summary: ' ok ',
+        canAutoFix: 1,
+        issues: [{ id: 'X', title: 'a' }, { id: 'X', title: 'b' }, { title: 'c', startLine: 50 }],
+        suggestions: ['  tidy up ', '']
+    }, 'a.js', 'raw', { lineCount: 10 });
+
+    assert.equal(review.summary, 'ok');
+    assert.equal(review.canAutoFix, true);
+    assert.deepEqual(review.issues.map(issue => issue.id), ['X', 'X-2']);
+    assert.deepEqual(review.suggestions, ['tidy up']);
+    assert.equal(review.structured, true);
+});
+
+test('extractJson finds objects in fences and prose, and rejects the rest', () => {
+    assert.deepEqual(extractJson('{"a":1}'), { a: 1 });
+    assert.deepEqual(extractJson('Here you go:\n```json\n{"a":2}\n```'), { a: 2 });
+    assert.deepEqual(extractJson('Result: {"a":3} done'), { a: 3 });
+    assert.equal(extractJson('[1, 2]'), null);
+    assert.equal(extractJson('no json'), null);
+    assert.equal(extractJson(''), null);
+});
+
+test('sortIssues orders by severity, then line, without mutating', () => {
+    const issues = [
+        { severity: 'Low', startLine: 1 },
+        { severity: 'Critical', startLine: 9 },
+        { severity: 'Critical', startLine: 2 }
+    ];
+    assert.deepEqual(sortIssues(issues).map(i => `${i.severity}:${i.startLine}`), ['Critical:2', 'Critical:9', 'Low:1']);
+    assert.equal(issues[0].severity, 'Low');
+});
+
+test('formatIssue and numberLines render for the output and the prompt', () => {
+    assert.equal(formatIssue({ severity: 'High', title: 'Bad', category: 'bug', startLine: 3, endLine: 5, ruleId: 'r1' }), '[High] Bad (r1, bug, lines 3-5)');
+    assert.equal(formatIssue({ severity: 'Low', title: 'Meh', category: 'style', startLine: 2, endLine: 2 }), '[Low] Meh (style, line 2)');
+    assert.equal(numberLines('a\nb', 9), ' 9 | a\n10 | b');
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { buildSarif, sarifRuleId, SARIF_VERSION } from '../src/sarif.js';
+
+const baseDir = path.resolve('/workspace');
+const finding = (id, overrides = {}) => ({
+    id,
+    title: `Finding ${id}`,
+    explanation: '',
+    severity: 'Medium',
+    category: 'bug',
+    startLine: 3,
+    endLine: 4,
+    ...overrides
+});
+
+test('sarifRuleId prefers the team rule over the category', () => {
+    assert.equal(sarifRuleId({ category: 'security' }), 'ai-review/security');
+    assert.equal(sarifRuleId({ category: 'bug', ruleId: 'no-eval' }), 'no-eval');
+    assert.equal(sarifRuleId({}), 'ai-review/other');
+});
+
+test('buildSarif shares rules between results and makes locations relative', () => {
+    const sarif = buildSarif([
+        { filePath: path.join(baseDir, 'src', 'a.js'), findings: [finding('AI001'), finding('AI002', { severity: 'High' })] }
+    ], { baseDir, toolVersion: '1.2.3' });
+
+    assert.equal(sarif.version, SARIF_VERSION);
+    const [run] = sarif.runs;
+    assert.equal(run.tool.driver.version, '1.2.3');
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['ai-review/bug']);
+    assert.deepEqual(run.results.map(result => [result.ruleIndex, result.level]), [[0, 'error'], [0, 'warning']]);
+    assert.deepEqual(run.results[0].locations[0].physicalLocation, {
+        artifactLocation: { uri: 'src/a.js', uriBaseId: 'SRCROOT' },
+        region: { startLine: 3, endLine: 4 }
+    });
+    assert.ok(run.originalUriBaseIds.SRCROOT.uri.endsWith('/'));
+    assert.equal(run.invocations[0].executionSuccessful, true);
+});
+
+test('security-severity is set on the rule from its most severe finding', () => {
+    const sarif = buildSarif([
+        { filePath: path.join(baseDir, 'a.js'), findings: [finding('AI001', { category: 'security', severity: 'Low' })] },
+        { filePath: path.join(baseDir, 'b.js'), findings: [finding('AI001', { category: 'security', severity: 'High' }), finding('AI002')] }
+    ], { baseDir });
+
+    const [run] = sarif.runs;
+    const security = run.tool.driver.rules.find(rule => rule.id === 'ai-review/security');
+    assert.equal(security.properties['security-severity'], '7.5');
+    assert.ok(security.properties.tags.includes('security'));
+    assert.equal(run.tool.driver.rules.find(rule => rule.id === 'ai-review/bug').properties['security-severity'], undefined);
+    for (const result of run.results) {
+        assert.equal(result.properties['security-severity'], undefined);
+    }
+});
+
+test('team rules describe their findings', () => {
+    const sarif = buildSarif([
+        { filePath: path.join(baseDir, 'a.js'), findings: [finding('AI001', { ruleId: 'no-eval' })] }
+    ], { baseDir, teamRules: [{ id: 'no-eval', description: 'Do not use eval', severity: 'Critical' }] });
+
+    const [rule] = sarif.runs[0].tool.driver.rules;
+    assert.equal(rule.id, 'no-eval');
+    assert.equal(rule.shortDescription.text, 'Do not use eval');
+    assert.equal(rule.defaultConfiguration.level, 'error');
+});
+
+test('history state becomes baseline state, suppressions and fingerprints', () => {
+    const sarif = buildSarif([{
+        filePath: path.join(baseDir, 'a.js'),
+        findings: [
+            finding('AI001', { change: 'new', snippetHash: 'abc123' }),
+            finding('AI002', { change: 'persisting', status: 'dismissed' })
+        ]
+    }], { baseDir });
+
+    const [fresh, dismissed] = sarif.runs[0].results;
+    assert.equal(fresh.baselineState, 'new');
+    assert.deepEqual(fresh.partialFingerprints, { 'aiReviewSnippet/v1': 'abc123' });
+    assert.equal(fresh.suppressions, undefined);
+    assert.equal(dismissed.baselineState, 'unchanged');
+    assert.equal(dismissed.suppressions[0].status, 'accepted');
+});
+
+test('replacements become fixes and failures become notifications', () => {
+    const sarif = buildSarif([
+        { filePath: path.join(baseDir, 'a.js'), findings: [finding('AI001', { replacement: 'const x = 1;' })] }
+    ], { baseDir, failures: [{ filePath: path.join(baseDir, 'b.js'), message: 'timeout' }] });
+
+    const [run] = sarif.runs;
+    assert.equal(run.results[0].fixes[0].artifactChanges[0].replacements[0].insertedContent.text, 'const x = 1;');
+    assert.equal(run.invocations[0].executionSuccessful, false);
+    assert.equal(run.invocations[0].toolExecutionNotifications[0].message.text, 'Review failed: timeout');
+});
+
+test('files outside baseDir get absolute file URIs', () => {
+    const sarif = buildSarif([{ filePath: path.resolve('/elsewhere/a.js'), findings: [finding('AI001')] }], { baseDir });
+    assert.match(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri, /^file:\/\/\/elsewhere\/a\.js$/);
+});
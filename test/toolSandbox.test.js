@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ToolSandbox, SandboxError } from '../src/toolSandbox.js';
+
+let tmp;
+let root;
+let outside;
+
+before(async () => {
+    tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'tool-sandbox-')));
+    root = path.join(tmp, 'project');
+    outside = path.join(tmp, 'outside');
+    await fs.mkdir(path.join(root, 'src'), { recursive: true });
+    await fs.mkdir(path.join(root, 'node_modules', 'lib'), { recursive: true });
+    await fs.mkdir(outside);
+    await fs.writeFile(path.join(root, 'src', 'app.js'), 'export const app = 1;\n');
+    await fs.writeFile(path.join(root, 'node_modules', 'lib', 'index.js'), '');
+    await fs.writeFile(path.join(root, '.env'), 'TOKEN=secret\n');
+    await fs.writeFile(path.join(outside, 'secret.txt'), 'outside');
+    await fs.symlink(outside, path.join(root, 'linked'));
+    await fs.symlink(path.join(outside, 'secret.txt'), path.join(root, 'src', 'secret.txt'));
+});
+
+after(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const sandbox = (options = {}) => new ToolSandbox({ roots: [root], ...options });
+
+test('relative paths resolve inside the workspace', async () => {
+    assert.equal(await sandbox().resolve('src/app.js'), path.join(root, 'src', 'app.js'));
+    assert.equal(await sandbox().resolve('./src/../src/app.js'), path.join(root, 'src', 'app.js'));
+});
+
+test('.. escapes and absolute paths outside the workspace are refused', async () => {
+    await assert.rejects(sandbox().resolve('../outside/secret.txt'), SandboxError);
+    await assert.rejects(sandbox().resolve('src/../../outside/secret.txt'), /outside the workspace/);
+    await assert.rejects(sandbox().resolve(path.join(outside, 'secret.txt')), /outside the workspace/);
+    assert.equal(await sandbox().resolve(path.join(root, 'src', 'app.js')), path.join(root, 'src', 'app.js'));
+});
+
+test('symlinks pointing outside the workspace are refused', async () => {
+    await assert.rejects(sandbox().resolve('linked/secret.txt'), /outside the workspace/);
+    await assert.rejects(sandbox().resolve('src/secret.txt'), /outside the workspace/);
+});
+
+test('excluded paths and .env files are refused', async () => {
+    await assert.rejects(sandbox().resolve('node_modules/lib/index.js'), /excluded from review/);
+    await assert.rejects(sandbox().resolve('node_modules'), /excluded from review/);
+    await assert.rejects(sandbox().resolve('.env'), /excluded from review/);
+    // .env stays hidden even when the user's patterns leave it out
+    await assert.rejects(sandbox({ excludePatterns: [] }).resolve('.env'), /excluded from review/);
+    await assert.rejects(sandbox().resolve(''), /A path is required/);
+});
+
+test('outside access is asked once per review and the answer is kept', async () => {
+    const asked = [];
+    const allowed = sandbox({ confirmOutsideAccess: async absPath => { asked.push(absPath); return true; } });
+    assert.equal(await allowed.resolve('../outside/secret.txt'), path.join(outside, 'secret.txt'));
+    assert.equal(await allowed.resolve('linked/secret.txt'), path.join(outside, 'secret.txt'));
+    assert.deepEqual(asked, [path.join(outside, 'secret.txt')]);
+
+    let questions = 0;
+    const refused = sandbox({ confirmOutsideAccess: async () => { questions++; return false; } });
+    await assert.rejects(refused.resolve('../outside/secret.txt'), /outside the workspace/);
+    await assert.rejects(refused.resolve('linked/secret.txt'), /outside the workspace/);
+    assert.equal(questions, 1);
+});
+
+test('outside access does not lift the exclusions', async () => {
+    await fs.writeFile(path.join(outside, '.env.local'), 'TOKEN=secret\n');
+    const allowed = sandbox({ confirmOutsideAccess: async () => true });
+    await assert.rejects(allowed.resolve(path.join(outside, '.env.local')), /excluded from review/);
+});
+
+test('reads are capped per file and per review', async () => {
+    const file = path.join(root, 'src', 'big.txt');
+    await fs.writeFile(file, 'x'.repeat(100));
+    const capped = sandbox({ maxReadBytes: 40, maxReviewBytes: 100 });
+
+    assert.deepEqual(await capped.readText(file), { content: 'x'.repeat(40), size: 100, truncated: true });
+    await capped.readText(file);
+    const last = await capped.readText(file);
+    assert.equal(last.content.length, 20);
+    assert.equal(capped.remainingBytes, 0);
+    await assert.rejects(capped.readText(file), /budget for this review \(100 bytes\) is used up/);
+});